@@ -0,0 +1,134 @@
+// netlify/functions/_lib/accept-list-discovery.js
+//
+// Accept-list discovery: compare geo_accept_lists_v1.json with the duoareas EIA currently lists for
+// each route (GET /v2/<route>/facet/duoarea/) and build a proposed config for review.
+//
+// Per accept-list:
+//   added     on EIA and already mapped in duoarea_to_geo_code, but not accepted -> added to the proposal
+//   unmapped  on EIA with no geo_code mapping (metros, aggregates like NUS-Z00) -> listed only; choosing
+//             a geo_code, display name and fallback chain is a human decision
+//   retired   accepted but no longer listed by EIA -> dropped from the proposal
+//
+// Mapping keys no accept-list uses any more are dropped (the validator forbids extras). geo_codes that
+// disappear with them are reported, since geo_display_names_v1 and geo_fallback_map_v1 need the same edit.
+// expected_counts, expected_sorted_first_items and expected_set_hashes are recomputed with the
+// geo_config_hash.js algorithms, and the proposal is run through validateGeoAcceptListsV1.
+//
+// Used by scripts/discover-accept-lists.js.
+
+import { eiaUrl } from "./eia.js";
+import { validateGeoAcceptListsV1 } from "./config-validators.js";
+import { hashSortedList, hashStringMapByKey, firstNSortedLinesFromStringMap } from "./geo_config_hash.js";
+
+export const DISCOVERY_ROUTES = [
+  { list: "accepted_duoarea_petroleum_gnd", route: "petroleum/pri/gnd", facet: "duoarea" },
+  { list: "accepted_duoarea_petroleum_wfr", route: "petroleum/pri/wfr", facet: "duoarea" },
+  { list: "accepted_duoarea_natural_gas", route: "natural-gas/pri/sum", facet: "duoarea" }
+];
+
+const LIST_KEYS = DISCOVERY_ROUTES.map((r) => r.list);
+const DEFAULT_FIRST_ITEMS = 5;
+
+/**
+ * Values of one facet of an EIA route: [{ id, name }] sorted by id.
+ * An empty listing is an error, not "everything retired".
+ */
+export async function fetchFacetValues(eia, route, facet) {
+  const json = await eia.fetchJson(eiaUrl(`${route}/facet/${facet}`));
+  const facets = json?.response?.facets;
+  if (!Array.isArray(facets) || facets.length === 0) {
+    throw new Error(`DISCOVERY_EMPTY_FACETS: ${route} facet ${facet} returned no values`);
+  }
+  return facets
+    .filter((f) => f?.id !== undefined && f?.id !== null)
+    .map((f) => ({ id: String(f.id), name: f.name ?? null }))
+    .sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+}
+
+/**
+ * Recompute expected_counts, expected_sorted_first_items and expected_set_hashes of an accept-lists doc.
+ * First-item lists keep the length the doc already locks (5 when absent). Returns a new doc.
+ */
+export function recomputeAcceptListExpectations(doc) {
+  const firstN = (key) => doc.expected_sorted_first_items?.[key]?.length ?? DEFAULT_FIRST_ITEMS;
+  const mapping = doc.duoarea_to_geo_code;
+
+  const counts = {};
+  const first = {};
+  const hashes = {};
+  for (const key of LIST_KEYS) {
+    counts[key] = doc[key].length;
+    first[key] = [...doc[key]].sort().slice(0, firstN(key));
+    hashes[key] = hashSortedList(doc[key]);
+  }
+  counts.duoarea_to_geo_code = Object.keys(mapping).length;
+  first.duoarea_to_geo_code = firstNSortedLinesFromStringMap(mapping, firstN("duoarea_to_geo_code"));
+  hashes.duoarea_to_geo_code = hashStringMapByKey(mapping);
+
+  return { ...doc, expected_counts: counts, expected_sorted_first_items: first, expected_set_hashes: hashes };
+}
+
+/**
+ * Diff `doc` (geo_accept_lists_v1) against EIA's facet listings.
+ * Returns { report, proposed } where proposed is the updated doc (never written here).
+ */
+export async function discoverAcceptLists({ eia, doc, generatedAt = new Date().toISOString() }) {
+  const mapping = doc.duoarea_to_geo_code;
+  const lists = [];
+  const proposedLists = {};
+
+  for (const { list, route, facet } of DISCOVERY_ROUTES) {
+    const onEia = await fetchFacetValues(eia, route, facet);
+    const eiaIds = new Set(onEia.map((f) => f.id));
+    const accepted = new Set(doc[list]);
+
+    const added = onEia.filter((f) => !accepted.has(f.id) && mapping[f.id]).map((f) => ({ ...f, geo_code: mapping[f.id] }));
+    const unmapped = onEia.filter((f) => !accepted.has(f.id) && !mapping[f.id]);
+    const retired = doc[list].filter((id) => !eiaIds.has(id)).sort();
+
+    proposedLists[list] = [...doc[list].filter((id) => eiaIds.has(id)), ...added.map((f) => f.id)].sort();
+    lists.push({
+      list,
+      route,
+      facet,
+      eia_count: onEia.length,
+      accepted_count: doc[list].length,
+      proposed_count: proposedLists[list].length,
+      added,
+      unmapped,
+      retired
+    });
+  }
+
+  const stillAccepted = new Set(Object.values(proposedLists).flat());
+  const proposedMapping = Object.fromEntries(Object.entries(mapping).filter(([id]) => stillAccepted.has(id)));
+  const removedKeys = Object.keys(mapping).filter((id) => !(id in proposedMapping)).sort();
+  const keptGeoCodes = new Set(Object.values(proposedMapping));
+  const orphanedGeoCodes = [...new Set(removedKeys.map((id) => mapping[id]))].filter((g) => !keptGeoCodes.has(g)).sort();
+
+  const proposed = recomputeAcceptListExpectations({ ...doc, ...proposedLists, duoarea_to_geo_code: proposedMapping });
+
+  let validation;
+  try {
+    validateGeoAcceptListsV1(proposed);
+    validation = { ok: true };
+  } catch (err) {
+    validation = { ok: false, error: String(err?.message || err) };
+  }
+
+  const changed = lists.some((l) => l.added.length || l.retired.length) || removedKeys.length > 0;
+
+  return {
+    report: {
+      generated_at_utc: generatedAt,
+      changed,
+      lists,
+      mapping: { removed_keys: removedKeys, orphaned_geo_codes: orphanedGeoCodes },
+      follow_up: orphanedGeoCodes.length
+        ? `Remove ${orphanedGeoCodes.join(", ")} from geo_display_names_v1.json and geo_fallback_map_v1.json too.`
+        : null,
+      proposed_validation: validation
+    },
+    proposed
+  };
+}
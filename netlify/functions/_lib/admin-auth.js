@@ -0,0 +1,16 @@
+// netlify/functions/_lib/admin-auth.js
+//
+// Shared x-run-token check for the authenticated admin endpoints (run-update, generations, ...).
+// No RUN_UPDATE_TOKEN configured means every request is denied.
+
+export function isAuthorized(req) {
+  const expected = process.env.RUN_UPDATE_TOKEN;
+  return !!expected && req.headers.get("x-run-token") === expected;
+}
+
+export function forbidden() {
+  return new Response(JSON.stringify({ ok: false, error: "Forbidden" }), {
+    status: 403,
+    headers: { "content-type": "application/json; charset=utf-8" }
+  });
+}
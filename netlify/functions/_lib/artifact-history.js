@@ -0,0 +1,78 @@
+// netlify/functions/_lib/artifact-history.js
+//
+// Immutable, period-keyed snapshots of accepted artifacts.
+//
+// Every artifact the updater accepts is written twice:
+//   - artifacts/<artifact_key>                     (mutable "latest" pointer, served by the API)
+//   - artifacts/history/<artifact_key>/<period>    (write-once snapshot, never overwritten)
+//
+// Notes:
+// - Periods are EIA period strings (YYYY, YYYY-MM, YYYY-MM-DD), or several joined with "_" for
+//   artifacts that combine series (heating fuels: <petroleum_week>_<natural_gas_month>).
+//   Lexicographic sort == chronological.
+// - A snapshot for a period that already exists is left untouched, so history reflects
+//   what the site first published for that period.
+
+// Public history name (URL segment) -> artifact blob key
+export const HISTORY_ARTIFACTS = {
+  electricity_rates: "electricity_rates_latest",
+  electricity_rates_monthly: "electricity_rates_monthly_latest",
+  efficiency_all_other_costs: "efficiency_all_other_costs_latest",
+  heating_fuels: "heating_fuels_latest",
+  transportation_fuels: "transportation_fuels_latest"
+};
+
+const HISTORY_PREFIX = "history";
+
+function assertPeriod(period) {
+  const p = String(period ?? "");
+  if (!/^[0-9A-Za-z_-]+$/.test(p) || p === "seed") {
+    throw new Error(`ARTIFACT_HISTORY: invalid data_period "${p}"`);
+  }
+  return p;
+}
+
+export function historyPrefix(artifactKey) {
+  return `${HISTORY_PREFIX}/${artifactKey}/`;
+}
+
+export function snapshotKey(artifactKey, period) {
+  return `${historyPrefix(artifactKey)}${assertPeriod(period)}`;
+}
+
+/**
+ * Write an accepted artifact as an immutable snapshot keyed by its data_period.
+ * Returns { key, written } where written=false means the period already had a snapshot.
+ */
+export async function writeArtifactSnapshot(store, artifactKey, artifact) {
+  const key = snapshotKey(artifactKey, artifact?.data_period);
+
+  const existing = await store.getMetadata(key);
+  if (existing) return { key, written: false };
+
+  await store.set(key, JSON.stringify(artifact), {
+    metadata: {
+      data_period: String(artifact.data_period),
+      fetched_at_utc: artifact.fetched_at_utc ?? null
+    }
+  });
+
+  return { key, written: true };
+}
+
+/**
+ * List snapshots for one artifact, newest period first.
+ */
+export async function listArtifactSnapshots(store, artifactKey) {
+  const prefix = historyPrefix(artifactKey);
+  const { blobs } = await store.list({ prefix });
+
+  return blobs
+    .map((b) => ({ key: b.key, data_period: b.key.slice(prefix.length) }))
+    .filter((s) => s.data_period.length > 0)
+    .sort((a, b) => (a.data_period < b.data_period ? 1 : a.data_period > b.data_period ? -1 : 0));
+}
+
+export async function getArtifactSnapshot(store, artifactKey, period) {
+  return store.get(snapshotKey(artifactKey, period), { type: "json" });
+}
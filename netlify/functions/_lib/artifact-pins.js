@@ -0,0 +1,126 @@
+// netlify/functions/_lib/artifact-pins.js
+//
+// Admin pins, kept in the "system" blob store (key: artifact_pins):
+//
+//   { <artifact_key>: { data_period, pinned_at_utc, reason,
+//       ingest: { published_period, rows: { <status row>: { base_status, data_period, data_period_since_utc, fallback } } } } }
+//
+// While an artifact is pinned the updater does not fetch or overwrite it; its status rows report
+// fallback { active: true, pinned: true } until an admin unpins it. `ingest` is what was published and
+// what the last ingest reported for each row when the pin was taken, so unpinning can put it back
+// (pinned runs ingest nothing).
+
+import { evaluateFreshness } from "./status-health.js";
+
+export const PINS_KEY = "artifact_pins";
+
+export async function loadPins(systemStore) {
+  return (await systemStore.get(PINS_KEY, { type: "json", consistency: "strong" })) ?? {};
+}
+
+/**
+ * Pin an artifact. `ingest` is the rows' pre-pin state (see ingestStateOf); re-pinning keeps the
+ * state captured by the first pin, since the rows are pinned rows by then.
+ */
+export async function setPin(systemStore, artifactKey, { dataPeriod, reason, nowUtc, ingest = null }) {
+  const pins = await loadPins(systemStore);
+  pins[artifactKey] = {
+    data_period: dataPeriod,
+    pinned_at_utc: nowUtc,
+    reason: reason ?? null,
+    ingest: pins[artifactKey]?.ingest ?? ingest
+  };
+  await systemStore.set(PINS_KEY, JSON.stringify(pins), { contentType: "application/json" });
+  return pins[artifactKey];
+}
+
+// Returns the removed pin, or null when the artifact was not pinned.
+export async function clearPin(systemStore, artifactKey) {
+  const pins = await loadPins(systemStore);
+  const removed = pins[artifactKey];
+  if (!removed) return null;
+  delete pins[artifactKey];
+  await systemStore.set(PINS_KEY, JSON.stringify(pins), { contentType: "application/json" });
+  return removed;
+}
+
+function rowsOf(status, artifactKey) {
+  const name = `${artifactKey}.json`;
+  return (status?.artifacts ?? []).filter(
+    (row) => typeof row.artifact === "string" && (row.artifact === name || row.artifact.startsWith(`${name}#`))
+  );
+}
+
+/**
+ * The published data_period and what the last ingest reported for each of an artifact's status rows,
+ * for setPin.
+ */
+export function ingestStateOf(status, artifactKey, publishedPeriod) {
+  const rows = rowsOf(status, artifactKey).map((row) => [
+    row.artifact,
+    {
+      base_status: row.freshness?.base_status ?? row.status ?? null,
+      data_period: row.data_period ?? null,
+      data_period_since_utc: row.data_period_since_utc ?? null,
+      fallback: row.fallback ?? null
+    }
+  ]);
+  return { published_period: publishedPeriod ?? null, rows: Object.fromEntries(rows) };
+}
+
+export function pinnedFallback(pin) {
+  return {
+    active: true,
+    pinned: true,
+    pinned_period: pin.data_period,
+    pinned_at_utc: pin.pinned_at_utc,
+    reason: `Pinned by admin to ${pin.data_period}${pin.reason ? ` (${pin.reason})` : ""}; updater will not overwrite until unpinned.`
+  };
+}
+
+/**
+ * Reflect a pin change in a stored system_status document right away (the next updater run would
+ * otherwise be the first to show it). Mutates and returns status.
+ *
+ *   pin              the new pin: rows are WARN (or worse, if stale) at the pinned period
+ *   released         the pin just removed: rows go back to its ingest state
+ *   publishedPeriod  data_period readers get once unpinned; when an admin restore changed it since the
+ *                    ingest, the row stays a WARN fallback until the next updater run replaces it
+ */
+export function applyPinToStatus(status, artifactKey, { pin = null, released = null, publishedPeriod = null } = {}, nowMs = Date.now()) {
+  for (const row of rowsOf(status, artifactKey)) {
+    let baseStatus;
+    if (pin) {
+      row.data_period = pin.data_period;
+      row.fallback = pinnedFallback(pin);
+      baseStatus = "WARN";
+    } else {
+      // Pins taken before `ingest` was recorded leave the row's status and period as they are.
+      const ingest = released?.ingest?.rows?.[row.artifact] ?? {
+        base_status: row.freshness?.base_status ?? row.status,
+        data_period: row.data_period,
+        data_period_since_utc: row.data_period_since_utc
+      };
+      baseStatus = ingest.base_status;
+      row.data_period = ingest.data_period;
+      row.data_period_since_utc = ingest.data_period_since_utc;
+      row.fallback = ingest.fallback?.active
+        ? ingest.fallback
+        : { active: false, reason: "Unpinned by admin; the next updater run refreshes this artifact." };
+
+      const ingestPeriod = released?.ingest?.published_period;
+      if (publishedPeriod && ingestPeriod && publishedPeriod !== ingestPeriod) {
+        row.data_period = publishedPeriod;
+        row.fallback = {
+          active: true,
+          reason: `Serving restored ${publishedPeriod} until the next updater run refreshes this artifact.`
+        };
+        if (baseStatus !== "ERROR") baseStatus = "WARN";
+      }
+    }
+
+    // freshness.base_status is what the read path re-evaluates from, so it has to change with the pin.
+    Object.assign(row, evaluateFreshness({ ...row, freshness: { ...row.freshness, base_status: baseStatus } }, nowMs));
+  }
+  return status;
+}
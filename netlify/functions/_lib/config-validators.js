@@ -17,11 +17,11 @@
 // - This file assumes geo_config_hash.js provides deterministic hashing utilities.
 // - Keep configs in the site root served from /public (so they load at /geo_*.json).
 
-import crypto from "node:crypto";
-
 import {
   hashStringMap,
   hashChainMap,
+  hashSortedList,
+  hashStringMapByKey,
   firstNSortedLinesFromStringMap,
   firstNSortedLinesFromChainMap
 } from "./geo_config_hash.js";
@@ -65,23 +65,6 @@ function assertUniqueStringArray(arr, context) {
   assert(dups.length === 0, `${context}: duplicate items not allowed: ${dups.join(", ")}`);
 }
 
-function sha256Hex(s) {
-  return crypto.createHash("sha256").update(s, "utf8").digest("hex");
-}
-
-// Keep the exact same list-hash algorithm you’ve already been using successfully.
-function sortedListHash(list) {
-  const sorted = [...list].slice().sort();
-  return sha256Hex(sorted.join("\n"));
-}
-
-function mappingHash(mapObj) {
-  // lines "KEY=VALUE", sort by KEY, join "\n", sha256
-  const keys = Object.keys(mapObj).slice().sort();
-  const lines = keys.map((k) => `${k}=${mapObj[k]}`);
-  return sha256Hex(lines.join("\n"));
-}
-
 function assertExpectedCounts(expectedCounts, actualCounts, context, allowedCountKeys) {
   assert(isPlainObject(expectedCounts), `${context}: expected_counts must be object`);
   assertExactKeys(expectedCounts, allowedCountKeys, `${context}.expected_counts`);
@@ -258,10 +241,10 @@ export function validateGeoAcceptListsV1(doc) {
 
   // Compute hashes
   const actualHashes = {
-    accepted_duoarea_petroleum_gnd: sortedListHash(doc.accepted_duoarea_petroleum_gnd),
-    accepted_duoarea_petroleum_wfr: sortedListHash(doc.accepted_duoarea_petroleum_wfr),
-    accepted_duoarea_natural_gas: sortedListHash(doc.accepted_duoarea_natural_gas),
-    duoarea_to_geo_code: mappingHash(doc.duoarea_to_geo_code)
+    accepted_duoarea_petroleum_gnd: hashSortedList(doc.accepted_duoarea_petroleum_gnd),
+    accepted_duoarea_petroleum_wfr: hashSortedList(doc.accepted_duoarea_petroleum_wfr),
+    accepted_duoarea_natural_gas: hashSortedList(doc.accepted_duoarea_natural_gas),
+    duoarea_to_geo_code: hashStringMapByKey(doc.duoarea_to_geo_code)
   };
 
   // Tightening: expected_* objects must have exact keys (no extras, no missing)
@@ -0,0 +1,188 @@
+// netlify/functions/_lib/eia-breaker.js
+//
+// Circuit breaker for EIA, kept in the "system" blob store (key: eia_breaker) so every function instance
+// and every run sees the same state. Without it, an EIA outage costs each run up to three attempts (with
+// backoff sleeps) per request before each job gives up.
+//
+//   closed     requests go through; EIA_BREAKER_THRESHOLD consecutive failed requests (retries exhausted
+//              on 5xx / 429 / network errors) open the breaker
+//   open       requests fail fast with EIA_CIRCUIT_OPEN (no HTTP, no sleeps) until open_until_utc, so jobs
+//              go straight to last-known-good
+//   half_open  the cooldown (EIA_BREAKER_COOLDOWN_MS) is over: one caller claims a probe request. Success
+//              closes the breaker; failure re-opens it for another cooldown. Others fail fast meanwhile.
+//
+//   { state, consecutive_failures, trips, opened_at_utc, open_until_utc, probe: { owner, expires_at_utc },
+//     last_failure_utc, last_error, last_success_utc, updated_at_utc }
+//
+// Any answer from EIA other than 5xx / 429 (a 400 for a bad facet, say) means EIA is up and counts as a
+// success. Like run-lock.js, the probe is claimed write-then-verify with strongly consistent reads.
+
+import { envInt } from "./eia.js";
+
+export const BREAKER_KEY = "eia_breaker";
+export const BREAKER_DEDUPE_KEY = "eia_breaker";
+
+const DEFAULT_THRESHOLD = 3;
+const DEFAULT_COOLDOWN_MS = 10 * 60 * 1000;
+const PROBE_LEASE_MS = 2 * 60 * 1000;
+
+function closedState() {
+  return {
+    state: "closed",
+    consecutive_failures: 0,
+    trips: 0,
+    opened_at_utc: null,
+    open_until_utc: null,
+    probe: null,
+    last_failure_utc: null,
+    last_error: null,
+    last_success_utc: null,
+    updated_at_utc: null
+  };
+}
+
+export async function loadBreakerState(store) {
+  const stored = await store.get(BREAKER_KEY, { type: "json", consistency: "strong" });
+  return { ...closedState(), ...(stored ?? {}) };
+}
+
+async function saveBreakerState(store, state) {
+  await store.set(BREAKER_KEY, JSON.stringify(state), { contentType: "application/json" });
+}
+
+/**
+ * Public view of a breaker state (system_status, energy_prices_status). An open breaker whose cooldown
+ * has passed is reported as half_open: the next request will probe EIA.
+ */
+export function breakerView(state, nowMs = Date.now()) {
+  const open = state.state === "open" && Date.parse(state.open_until_utc) > nowMs;
+  return {
+    state: state.state === "closed" ? "closed" : open ? "open" : "half_open",
+    consecutive_failures: state.consecutive_failures,
+    trips: state.trips,
+    opened_at_utc: state.opened_at_utc,
+    open_until_utc: state.open_until_utc,
+    last_failure_utc: state.last_failure_utc,
+    last_error: state.last_error,
+    last_success_utc: state.last_success_utc
+  };
+}
+
+/**
+ * recent_flags entry while the breaker is not closed (null when it is; the updater is authoritative for
+ * BREAKER_DEDUPE_KEY, so the flag-log entry resolves on the first run that finds it closed).
+ */
+export function breakerFlag(view, { generatedAt }) {
+  if (view.state === "closed") return null;
+  return {
+    timestamp_utc: generatedAt,
+    severity: "WARN",
+    component: "updater",
+    dataset: "eia",
+    type: "circuit_breaker",
+    dedupe_key: BREAKER_DEDUPE_KEY,
+    summary: `EIA circuit breaker ${view.state} after ${view.consecutive_failures} consecutive failed requests (until ${view.open_until_utc}); serving last-known-good data.`
+  };
+}
+
+function isOutage(err) {
+  return err?.status === 0 || err?.status === 429 || (err?.status >= 500 && err?.status <= 599);
+}
+
+function openError(state, why) {
+  return new Error(
+    `EIA_CIRCUIT_OPEN: EIA circuit breaker is open until ${state.open_until_utc} ${why} (last error: ${state.last_error ?? "unknown"}).`
+  );
+}
+
+/**
+ * Breaker bound to a blob store, for createEiaClient({ breaker }). Options:
+ *   owner        id of this caller (e.g. the run id), used to claim the half-open probe
+ *   threshold    consecutive failed requests that open the breaker
+ *   cooldownMs   how long it stays open before a probe is allowed
+ *
+ * Returns { allow(), recordSuccess(), recordFailure(err), snapshot() }.
+ */
+export function createEiaBreaker(store, {
+  owner = crypto.randomUUID(),
+  threshold = envInt("EIA_BREAKER_THRESHOLD", DEFAULT_THRESHOLD, { min: 1 }),
+  cooldownMs = envInt("EIA_BREAKER_COOLDOWN_MS", DEFAULT_COOLDOWN_MS, { min: 0 })
+} = {}) {
+  // Last state read or written by this breaker; lets steady-state successes skip the blob write.
+  let known = null;
+
+  async function save(state) {
+    known = { ...state, updated_at_utc: new Date().toISOString() };
+    await saveBreakerState(store, known);
+  }
+
+  // Throws EIA_CIRCUIT_OPEN unless the request may go to EIA.
+  async function allow() {
+    const nowMs = Date.now();
+    const state = await loadBreakerState(store);
+    known = state;
+    if (state.state === "closed") return;
+    if (state.state === "open" && Date.parse(state.open_until_utc) > nowMs) {
+      throw openError(state, `after ${state.consecutive_failures} consecutive failed requests`);
+    }
+
+    const probeLive = state.probe && Date.parse(state.probe.expires_at_utc) > nowMs;
+    if (probeLive && state.probe.owner !== owner) throw openError(state, "while another caller probes EIA");
+    if (probeLive) return;
+
+    await save({
+      ...state,
+      state: "half_open",
+      probe: { owner, expires_at_utc: new Date(nowMs + PROBE_LEASE_MS).toISOString() }
+    });
+    const check = await loadBreakerState(store);
+    if (check.probe?.owner !== owner) throw openError(check, "while another caller probes EIA");
+  }
+
+  // `known` can be a request old, and other runs share the blob: re-read it before writing so their
+  // failures and trips are not overwritten. Only our own probe closes a breaker that is not closed; one
+  // tripped by another caller since allow() stays open until its cooldown probe.
+  async function recordSuccess() {
+    if (known?.state === "closed" && known.consecutive_failures === 0) return;
+    const state = await loadBreakerState(store);
+    known = state;
+    if (state.state === "closed" ? state.consecutive_failures === 0 : state.probe?.owner !== owner) return;
+    await save({
+      ...state,
+      state: "closed",
+      consecutive_failures: 0,
+      probe: null,
+      last_success_utc: new Date().toISOString()
+    });
+  }
+
+  async function recordFailure(err) {
+    // Budget and fixture errors never reached EIA, so they say nothing about it.
+    if (!Number.isInteger(err?.status)) return;
+    if (!isOutage(err)) return recordSuccess();
+
+    const nowMs = Date.now();
+    const state = await loadBreakerState(store);
+    const failures = state.consecutive_failures + 1;
+    const trip = state.state === "half_open" || failures >= threshold;
+
+    await save({
+      ...state,
+      state: trip ? "open" : state.state,
+      consecutive_failures: failures,
+      trips: trip && state.state === "closed" ? state.trips + 1 : state.trips,
+      opened_at_utc: trip && state.state === "closed" ? new Date(nowMs).toISOString() : state.opened_at_utc,
+      open_until_utc: trip ? new Date(nowMs + cooldownMs).toISOString() : state.open_until_utc,
+      probe: null,
+      last_failure_utc: new Date(nowMs).toISOString(),
+      last_error: String(err.message).slice(0, 300)
+    });
+  }
+
+  return {
+    allow,
+    recordSuccess,
+    recordFailure,
+    snapshot: async () => breakerView(await loadBreakerState(store))
+  };
+}
@@ -0,0 +1,121 @@
+// netlify/functions/_lib/eia-schemas.js
+//
+// Declared response shape of every EIA v2 route the updater reads. The normalizers in _lib/jobs/ and
+// _lib/fuels/ take these columns, units and codes at face value; if EIA renames a column or changes
+// units, they would quietly publish nulls or wrong numbers. The EIA client checks each response
+// against its route's declaration (checkEiaSchema) and the ingest runner reports the differences
+// as a schema_drift validation failure.
+//
+// Per route:
+//   required  columns the normalizers read; a missing one is drift (ERROR)
+//   optional  descriptive columns EIA also returns; any column in neither list is reported (WARN)
+//   units     { column: [accepted unit strings] }; any other value is drift (ERROR)
+//   facets    { column: [accepted codes] } for columns the query pins with facets[...]: a code outside
+//             the list was never requested, so the facet changed meaning (ERROR). Unpinned columns and
+//             geo columns are left to unknown-codes.js, which reports new codes as warnings.
+
+export const EIA_ROUTE_SCHEMAS = {
+  "electricity/retail-sales": {
+    required: ["period", "stateid", "sectorid", "price", "price-units"],
+    optional: ["stateDescription", "sectorName"],
+    units: { "price-units": ["cents per kilowatt-hour"] },
+    facets: { sectorid: ["RES", "COM", "IND", "TRA"] }
+  },
+  "electricity/state-electricity-profiles/energy-efficiency": {
+    required: ["period", "state", "sector", "all-other-costs", "all-other-costs-units"],
+    optional: ["stateName", "sectorName"],
+    units: { "all-other-costs-units": ["thousand dollars"] },
+    facets: {}
+  },
+  "petroleum/pri/wfr": {
+    required: ["period", "duoarea", "product", "process", "series", "value", "units"],
+    optional: ["area-name", "product-name", "process-name", "series-description"],
+    units: { units: ["$/GAL"] },
+    facets: { product: ["EPD2F", "EPLLPA"], process: ["PRS"] }
+  },
+  // transportation-fuels picks the best retail process per run, so process codes are not pinned.
+  "petroleum/pri/gnd": {
+    required: ["period", "duoarea", "product", "process", "series", "value", "units"],
+    optional: ["area-name", "product-name", "process-name", "series-description"],
+    units: { units: ["$/GAL"] },
+    facets: { product: ["EPD2DXL0", "EPMR"] }
+  },
+  "natural-gas/pri/sum": {
+    required: ["period", "duoarea", "process", "series", "value", "units"],
+    optional: ["area-name", "product", "product-name", "process-name", "series-description"],
+    units: { units: ["$/MCF"] },
+    facets: { process: ["PRS"] }
+  }
+};
+
+const MAX_SEEN_VALUES = 10;
+
+/**
+ * Route of an EIA v2 data URL: ".../v2/petroleum/pri/wfr/data/?..." -> "petroleum/pri/wfr".
+ */
+export function eiaRoute(url) {
+  const pathname = new URL(url).pathname;
+  return pathname.replace(/^.*?\/v2\//, "").replace(/\/+$/, "").replace(/\/data$/, "");
+}
+
+/**
+ * Compare response rows with the route's declaration. Returns findings, one per (field, issue):
+ *   { route, field, issue, severity, expected, seen, rows }
+ * issue: missing_column | unexpected_column | units_changed | unknown_facet_value
+ * seen lists up to 10 offending values; rows counts the rows affected.
+ * Routes without a declaration (and empty pages) return [].
+ */
+export function checkEiaSchema(route, rows, schemas = EIA_ROUTE_SCHEMAS) {
+  const schema = schemas[route];
+  if (!schema || !Array.isArray(rows) || rows.length === 0) return [];
+
+  const known = new Set([...schema.required, ...(schema.optional ?? [])]);
+  const findings = new Map();
+
+  function note(field, issue, severity, expected, value) {
+    const key = `${field}|${issue}`;
+    const f = findings.get(key) ?? { route, field, issue, severity, expected, seen: [], rows: 0 };
+    f.rows += 1;
+    if (value !== undefined && f.seen.length < MAX_SEEN_VALUES && !f.seen.includes(value)) f.seen.push(value);
+    findings.set(key, f);
+  }
+
+  for (const row of rows) {
+    if (!row || typeof row !== "object") continue;
+
+    for (const col of schema.required) {
+      if (!(col in row)) note(col, "missing_column", "ERROR", "present", undefined);
+    }
+    for (const col of Object.keys(row)) {
+      if (!known.has(col)) note(col, "unexpected_column", "WARN", "absent", undefined);
+    }
+    for (const [col, accepted] of Object.entries(schema.units ?? {})) {
+      const v = row[col];
+      if (v !== null && v !== undefined && !accepted.includes(String(v))) note(col, "units_changed", "ERROR", accepted, String(v));
+    }
+    for (const [col, accepted] of Object.entries(schema.facets ?? {})) {
+      const v = row[col];
+      if (v !== null && v !== undefined && !accepted.includes(String(v))) note(col, "unknown_facet_value", "ERROR", accepted, String(v));
+    }
+  }
+
+  return [...findings.values()];
+}
+
+/**
+ * Fold new findings into an accumulated list (same route, field and issue -> one finding).
+ */
+export function mergeSchemaDrift(into, findings) {
+  for (const f of findings) {
+    const prev = into.find((x) => x.route === f.route && x.field === f.field && x.issue === f.issue);
+    if (!prev) {
+      into.push({ ...f, seen: [...f.seen] });
+      continue;
+    }
+    prev.rows += f.rows;
+    for (const v of f.seen) {
+      if (prev.seen.length < MAX_SEEN_VALUES && !prev.seen.includes(v)) prev.seen.push(v);
+    }
+  }
+  return into;
+}
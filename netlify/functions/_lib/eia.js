@@ -1,26 +1,484 @@
 // netlify/functions/_lib/eia.js
+//
+// Shared EIA v2 client. Every EIA request in the updater and the diagnostic functions goes through here.
+//
+// createEiaClient() is the entry point (one client per updater run):
+//   - api_key is added at request time, so URLs built by callers (and kept in diagnostics) never carry it;
+//     errors are run through redactSecrets() before they leave this module
+//   - 5xx / 429 / network errors are retried with jittered exponential backoff (Retry-After is honoured)
+//   - offset/length paging (fetchPaged) and facet chunking (fetchChunked) for large facet lists
+//   - a per-run request budget (EIA_REQUEST_BUDGET, default 100 HTTP attempts) so a misbehaving run
+//     cannot hammer EIA
+//   - a short-lived in-memory response cache keyed by the normalized query (shared by clients in one
+//     warm function instance; EIA_CACHE_TTL_MS, default 5 minutes, 0 disables it)
+//   - an optional circuit breaker shared across instances (see eia-breaker.js); while it is open,
+//     requests fail fast with EIA_CIRCUIT_OPEN instead of retrying
+//   - every response is checked against its route's declared shape (eia-schemas.js); differences
+//     collect on the client until the caller takes them with takeSchemaDrift()
+//
+// Fixture mode (offline development / CI), set with EIA_FIXTURE_MODE:
+//   record   fetch from EIA as usual and also save each response under EIA_FIXTURE_DIR
+//   replay   serve saved responses only; never touches the network and needs no EIA_API_KEY
+// Fixtures are keyed by the normalized query (route + sorted params, without api_key, start and end)
+// and stored as <EIA_FIXTURE_DIR>/<route>/<hash>.json with the api_key redacted from URL and body.
+// start/end are left out of the key because our fetchers derive them from the current date.
+//
+// EIA_API_BASE_URL points every request at another EIA v2 host (e.g. the mock server in test/mock-eia/).
+
+import crypto from "node:crypto";
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { EIA_ROUTE_SCHEMAS, checkEiaSchema, eiaRoute, mergeSchemaDrift } from "./eia-schemas.js";
+
+export const EIA_API_BASE = "https://api.eia.gov/v2";
+
+const FIXTURE_MODES = ["record", "replay"];
+const DEFAULT_FIXTURE_DIR = "fixtures/eia";
+const UNKEYED_PARAMS = new Set(["api_key", "start", "end"]);
+
+export function eiaFixtureMode() {
+  const mode = (process.env.EIA_FIXTURE_MODE ?? "").trim().toLowerCase();
+  if (!mode || mode === "off") return null;
+  if (!FIXTURE_MODES.includes(mode)) {
+    throw new Error(`EIA_FIXTURE_MODE: unknown mode "${mode}" (record, replay or off).`);
+  }
+  return mode;
+}
+
+/**
+ * Full URL of an EIA v2 route, e.g. eiaUrl("electricity/retail-sales/data") -> ".../v2/electricity/retail-sales/data/".
+ */
+export function eiaUrl(route) {
+  const base = (process.env.EIA_API_BASE_URL || EIA_API_BASE).replace(/\/+$/, "");
+  return `${base}/${route}/`;
+}
+
 export function assertEnvApiKey() {
   const key = process.env.EIA_API_KEY;
-  if (!key) throw new Error("EIA_API_KEY is missing (set it in Netlify environment variables).");
-  return key;
+  if (key) return key;
+  // Replayed responses never reach EIA, so any placeholder key will do.
+  if (eiaFixtureMode() === "replay") return "REPLAY";
+  throw new Error("EIA_API_KEY is missing (set it in Netlify environment variables).");
+}
+
+export function redactEiaUrl(url) {
+  try {
+    const u = new URL(url);
+    if (u.searchParams.has("api_key")) u.searchParams.set("api_key", "REDACTED");
+    return u.toString();
+  } catch {
+    return String(url).replace(/api_key=[^&]+/g, "api_key=REDACTED");
+  }
+}
+
+/**
+ * Strip api_key values from free text (error bodies, messages); also removes bare occurrences of `apiKey`.
+ */
+export function redactSecrets(text, apiKey = process.env.EIA_API_KEY) {
+  let s = String(text ?? "")
+    .replace(/api_key=[^&\s"']+/g, "api_key=REDACTED")
+    .replace(/("api_key"\s*:\s*)"[^"]*"/g, '$1"REDACTED"');
+  if (apiKey) s = s.split(apiKey).join("REDACTED");
+  return s;
+}
+
+/**
+ * Normalized key for an EIA URL: "<route>?<sorted params>", e.g.
+ *   "electricity/retail-sales/data?data[]=price&facets[sectorid][]=RES&frequency=annual&length=5000&offset=0"
+ * `omit` defaults to the params fixtures are not keyed on (api_key, start, end).
+ */
+export function eiaQueryKey(url, { omit = UNKEYED_PARAMS } = {}) {
+  const u = new URL(url);
+  const route = u.pathname.replace(/^\/v2\//, "").replace(/\/+$/, "");
+  const params = [...u.searchParams]
+    .filter(([k]) => !omit.has(k))
+    .sort(([ak, av], [bk, bv]) => (ak === bk ? (av < bv ? -1 : av > bv ? 1 : 0) : ak < bk ? -1 : 1))
+    .map(([k, v]) => `${k}=${v}`);
+  return `${route}?${params.join("&")}`;
+}
+
+function fixturePath(key) {
+  const dir = path.resolve(process.env.EIA_FIXTURE_DIR || DEFAULT_FIXTURE_DIR);
+  const route = key.slice(0, key.indexOf("?")).replace(/\//g, "__");
+  const hash = crypto.createHash("sha256").update(key).digest("hex").slice(0, 16);
+  return path.join(dir, route, `${hash}.json`);
+}
+
+// EIA echoes request params (api_key included) back in the response body.
+function redactBody(value, apiKey) {
+  if (Array.isArray(value)) return value.map((v) => redactBody(v, apiKey));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([k, v]) => [k, k === "api_key" ? "REDACTED" : redactBody(v, apiKey)])
+    );
+  }
+  if (typeof value === "string" && apiKey && value.includes(apiKey)) return value.split(apiKey).join("REDACTED");
+  return value;
+}
+
+// Returns a fresh Response with the recorded body: reading a clone() of an undici response can leave the
+// original's body marked as read.
+async function recordFixture(url, res) {
+  const key = eiaQueryKey(url);
+  const apiKey = new URL(url).searchParams.get("api_key");
+  const text = await res.text();
+
+  let body;
+  try {
+    body = redactBody(JSON.parse(text), apiKey);
+  } catch {
+    body = apiKey ? text.split(apiKey).join("REDACTED") : text;
+  }
+
+  const file = fixturePath(key);
+  await mkdir(path.dirname(file), { recursive: true });
+  await writeFile(
+    file,
+    JSON.stringify(
+      {
+        key,
+        url: redactEiaUrl(url),
+        recorded_at_utc: new Date().toISOString(),
+        status: res.status,
+        status_text: res.statusText,
+        body
+      },
+      null,
+      2
+    )
+  );
+
+  return new Response(text, { status: res.status, statusText: res.statusText, headers: res.headers });
+}
+
+async function replayFixture(url) {
+  const key = eiaQueryKey(url);
+  const file = fixturePath(key);
+
+  let fixture;
+  try {
+    fixture = JSON.parse(await readFile(file, "utf8"));
+  } catch (err) {
+    if (err?.code !== "ENOENT") throw new Error(`EIA_FIXTURE_INVALID: ${file}: ${err?.message || err}`);
+    throw new Error(
+      `EIA_FIXTURE_MISSING: no recorded response for ${key} (expected ${file}; record it with EIA_FIXTURE_MODE=record).`
+    );
+  }
+
+  const text = typeof fixture.body === "string" ? fixture.body : JSON.stringify(fixture.body);
+  return new Response(text, {
+    status: fixture.status ?? 200,
+    statusText: fixture.status_text ?? "",
+    headers: { "content-type": "application/json" }
+  });
+}
+
+/**
+ * fetch() for EIA URLs. Every EIA request goes through here so fixture mode covers all callers.
+ */
+export async function eiaFetch(url, init) {
+  const mode = eiaFixtureMode();
+  if (mode === "replay") return replayFixture(url);
+
+  const res = await fetch(url, init);
+  return mode === "record" ? recordFixture(url, res) : res;
+}
+
+// ---------- values ----------
+
+/**
+ * EIA data cell -> finite number, or null for withheld / non-numeric values (null, "", "NA", "n/a", ".", "-").
+ */
+export function toNumberOrNull(v) {
+  if (v === null || v === undefined) return null;
+  if (typeof v === "number") return Number.isFinite(v) ? v : null;
+  if (typeof v !== "string") return null;
+
+  const t = v.trim();
+  if (!t) return null;
+
+  const lower = t.toLowerCase();
+  if (lower === "null" || lower === "na" || lower === "n/a" || t === "." || t === "-") return null;
+
+  const n = Number(t);
+  return Number.isFinite(n) ? n : null;
+}
+
+export function chunkArray(arr, size) {
+  const out = [];
+  for (let i = 0; i < arr.length; i += size) out.push(arr.slice(i, i + size));
+  return out;
+}
+
+// ---------- single request with retry ----------
+
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
 }
 
-export async function fetchEiaJson(url) {
-  const apiKey = assertEnvApiKey();
+function isRetryableStatus(status) {
+  return status === 429 || (status >= 500 && status <= 599);
+}
+
+// Equal jitter: half the exponential step fixed, half random, so concurrent retries spread out.
+function backoffMs(attempt, { baseDelayMs, maxDelayMs }) {
+  const step = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(step / 2 + Math.random() * (step / 2));
+}
+
+function retryAfterMs(res, maxDelayMs) {
+  const h = res.headers.get("retry-after");
+  if (!h) return null;
+  const seconds = Number(h);
+  const ms = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(h) - Date.now();
+  return Number.isFinite(ms) ? Math.min(Math.max(ms, 0), maxDelayMs) : null;
+}
+
+function fetchFailed(last, url, apiKey, attempts) {
+  const what = last.status ? `${last.status} ${last.statusText ?? ""}`.trim() : "network error";
+  const err = new Error(
+    redactSecrets(`EIA_FETCH_FAILED: ${what} for ${url} after ${attempts} attempt(s) :: ${last.detail}`, apiKey)
+  );
+  err.status = last.status;
+  return err;
+}
+
+/**
+ * One EIA request (api_key added here), retried on 5xx / 429 / network errors.
+ *   onAttempt  ({ attempt }) called before every HTTP attempt; may throw to stop (request budget)
+ * Throws EIA_FETCH_FAILED (with err.status; 0 = network error) once retries run out.
+ */
+export async function fetchEiaJson(
+  url,
+  { apiKey = null, tries = 3, baseDelayMs = 400, maxDelayMs = 8000, onAttempt = null } = {}
+) {
+  const key = apiKey ?? assertEnvApiKey();
 
-  // EIA v2 supports api_key query param; we append safely.
   const u = new URL(url);
-  if (!u.searchParams.get("api_key")) u.searchParams.set("api_key", apiKey);
+  if (!u.searchParams.get("api_key")) u.searchParams.set("api_key", key);
+  const target = u.toString();
+  const shown = redactEiaUrl(target);
+
+  let last = null;
+  let attempt = 0;
+  while (attempt < tries) {
+    attempt += 1;
+    onAttempt?.({ attempt });
+
+    let res = null;
+    try {
+      res = await eiaFetch(target, { headers: { accept: "application/json" } });
+    } catch (err) {
+      // A missing fixture will not appear on retry.
+      if (String(err?.message).startsWith("EIA_FIXTURE_")) throw err;
+      last = { status: 0, detail: String(err?.message || err) };
+    }
+
+    if (res?.ok) {
+      const text = await res.text();
+      try {
+        return JSON.parse(text);
+      } catch {
+        throw fetchFailed({ status: res.status, statusText: "invalid JSON", detail: text.slice(0, 300) }, shown, key, attempt);
+      }
+    }
+
+    if (res) {
+      last = {
+        status: res.status,
+        statusText: res.statusText,
+        detail: (await res.text().catch(() => "")).slice(0, 300),
+        retryAfterMs: retryAfterMs(res, maxDelayMs)
+      };
+      if (!isRetryableStatus(res.status)) break;
+    }
 
-  const res = await fetch(u.toString(), { headers: { accept: "application/json" } });
-  if (!res.ok) {
-    const text = await res.text().catch(() => "");
-    throw new Error(`EIA_FETCH_FAILED: ${res.status} ${res.statusText} :: ${text.slice(0, 300)}`);
+    if (attempt < tries) await sleep(last.retryAfterMs ?? backoffMs(attempt, { baseDelayMs, maxDelayMs }));
   }
-  return res.json();
+
+  throw fetchFailed(last, shown, key, attempt);
+}
+
+// EIA v2 caps `length` at 5000 rows per request.
+export const EIA_MAX_PAGE_SIZE = 5000;
+
+/**
+ * Fetch every page of an EIA v2 data query.
+ *
+ * Overwrites offset/length on `url` and keeps requesting until response.total rows
+ * have been collected (or a page comes back empty). Results no longer depend on
+ * whether a query happens to fit in one page.
+ *
+ * Returns { rows, total, pages }.
+ */
+export async function fetchEiaPaged(
+  url,
+  { pageSize = EIA_MAX_PAGE_SIZE, maxPages = 50, fetchJson = fetchEiaJson } = {}
+) {
+  const rows = [];
+  let total = null;
+  let pages = 0;
+
+  for (let offset = 0; ; offset += pageSize) {
+    if (pages >= maxPages) {
+      throw new Error(
+        `EIA_PAGINATION_LIMIT: stopped after ${pages} pages (${rows.length}/${total} rows)`
+      );
+    }
+
+    const u = new URL(url);
+    u.searchParams.set("offset", String(offset));
+    u.searchParams.set("length", String(pageSize));
+
+    const json = await fetchJson(u.toString());
+    pages += 1;
+
+    const pageRows = mustArray(json?.response?.data ?? [], "EIA response.data");
+    rows.push(...pageRows);
+
+    // EIA returns total as a string on some routes; without it, a short page means done.
+    const t = Number(json?.response?.total);
+    total = Number.isFinite(t) ? t : null;
+
+    const done = total !== null ? rows.length >= total : pageRows.length < pageSize;
+    if (pageRows.length === 0 || done) break;
+  }
+
+  return { rows, total, pages };
 }
 
 export function mustArray(x, label) {
   if (!Array.isArray(x)) throw new Error(`${label} must be an array`);
   return x;
 }
+
+// ---------- client ----------
+
+const DEFAULT_REQUEST_BUDGET = 100;
+const DEFAULT_CACHE_TTL_MS = 5 * 60 * 1000;
+
+// normalized query (without api_key) -> { expiresMs, json }
+const responseCache = new Map();
+
+export function clearEiaCache() {
+  responseCache.clear();
+}
+
+export function envInt(name, fallback, { min }) {
+  const raw = process.env[name];
+  const n = Number(raw);
+  return raw !== undefined && raw !== "" && Number.isInteger(n) && n >= min ? n : fallback;
+}
+
+/**
+ * Create an EIA client. Options:
+ *   apiKey       defaults to EIA_API_KEY, resolved at the first request (so a missing key fails that request)
+ *   budget       max HTTP attempts (retries included) over the client's lifetime; then EIA_BUDGET_EXHAUSTED
+ *   cacheTtlMs   how long successful responses are reused (0 = no cache)
+ *   tries, baseDelayMs, maxDelayMs   retry policy (see fetchEiaJson)
+ *   breaker      optional circuit breaker from createEiaBreaker(); consulted before every request that
+ *                is not served from the cache
+ *   schemas      route declarations responses are checked against (see eia-schemas.js)
+ *
+ * Returns { fetchJson(url), fetchPaged(url, opts), fetchChunked(url, opts), takeSchemaDrift(), stats() }.
+ */
+export function createEiaClient({
+  apiKey = null,
+  budget = envInt("EIA_REQUEST_BUDGET", DEFAULT_REQUEST_BUDGET, { min: 1 }),
+  cacheTtlMs = envInt("EIA_CACHE_TTL_MS", DEFAULT_CACHE_TTL_MS, { min: 0 }),
+  tries = 3,
+  baseDelayMs = 400,
+  maxDelayMs = 8000,
+  breaker = null,
+  schemas = EIA_ROUTE_SCHEMAS
+} = {}) {
+  const counters = { requests: 0, retries: 0, cache_hits: 0, breaker_rejections: 0 };
+  let schemaDrift = [];
+
+  // Cached responses are checked again, so every caller sees the drift in the data it got.
+  function checkSchema(url, json) {
+    mergeSchemaDrift(schemaDrift, checkEiaSchema(eiaRoute(url), json?.response?.data, schemas));
+    return json;
+  }
+
+  async function fetchJson(url) {
+    const cacheKey = eiaQueryKey(url, { omit: new Set(["api_key"]) });
+    const hit = responseCache.get(cacheKey);
+    if (cacheTtlMs > 0 && hit && hit.expiresMs > Date.now()) {
+      counters.cache_hits += 1;
+      return checkSchema(url, structuredClone(hit.json));
+    }
+
+    if (breaker) {
+      try {
+        await breaker.allow();
+      } catch (err) {
+        counters.breaker_rejections += 1;
+        throw err;
+      }
+    }
+
+    let json;
+    try {
+      json = await fetchEiaJson(url, {
+        apiKey,
+        tries,
+        baseDelayMs,
+        maxDelayMs,
+        onAttempt: ({ attempt }) => {
+          if (counters.requests >= budget) {
+            throw new Error(
+              `EIA_BUDGET_EXHAUSTED: all ${budget} EIA requests for this run are used (refused ${redactEiaUrl(url)}).`
+            );
+          }
+          counters.requests += 1;
+          if (attempt > 1) counters.retries += 1;
+        }
+      });
+    } catch (err) {
+      await breaker?.recordFailure(err);
+      throw err;
+    }
+    await breaker?.recordSuccess();
+
+    if (cacheTtlMs > 0) responseCache.set(cacheKey, { expiresMs: Date.now() + cacheTtlMs, json: structuredClone(json) });
+    return checkSchema(url, json);
+  }
+
+  function fetchPaged(url, opts = {}) {
+    return fetchEiaPaged(url, { ...opts, fetchJson });
+  }
+
+  /**
+   * Split a long facet list into chunks (EIA 500s on very large facet queries) and page through each.
+   * Returns { rows, pages, chunks, urls } with urls redacted.
+   */
+  async function fetchChunked(url, { facet, values, chunkSize, ...pagedOpts }) {
+    const chunks = chunkArray(values, chunkSize);
+    const out = { rows: [], pages: 0, chunks: chunks.length, urls: [] };
+
+    for (const chunk of chunks) {
+      const u = new URL(url);
+      for (const v of chunk) u.searchParams.append(`facets[${facet}][]`, v);
+      out.urls.push(redactEiaUrl(u.toString()));
+
+      const paged = await fetchPaged(u.toString(), pagedOpts);
+      out.pages += paged.pages;
+      out.rows.push(...paged.rows);
+    }
+    return out;
+  }
+
+  return {
+    fetchJson,
+    fetchPaged,
+    fetchChunked,
+    // Schema differences found since the last call (see checkEiaSchema); clears the list.
+    takeSchemaDrift: () => {
+      const taken = schemaDrift;
+      schemaDrift = [];
+      return taken;
+    },
+    stats: () => ({ ...counters, budget, budget_remaining: Math.max(0, budget - counters.requests) })
+  };
+}
@@ -0,0 +1,462 @@
+// netlify/functions/_lib/energy-prices.js
+//
+// Energy price pipeline stages, composed in-process by one request:
+//
+//   loadFuelPayloads   heating + transportation artifacts (blobs written by the updater)
+//   combineLatest      -> /api/energy_prices_latest.json
+//   applyGeoFallback   -> /api/energy_prices_latest_with_fallback.json
+//   buildUiBody        -> /api/energy_prices_latest_ui.json (contract-checked matrix)
+//
+// The HTTP endpoints are thin wrappers around these functions, so the public URLs stay the same
+// while a UI request costs one function invocation, one config load, and plain error messages.
+
+import { loadAndValidateGeoConfigs } from "./config-validators.js";
+import { readPublishedArtifacts } from "./generations.js";
+
+// Additive changes keep v1 and are listed under "UI contract" in README.md; removals or renames bump it.
+export const CONTRACT_VERSION = "v1";
+const EXPECTED_GEOS = 61;
+const EXPECTED_FUELS = 5;
+
+// Fixed stable UI fuel order (combos=5)
+// NOTE: Transportation fuels are Retail (not Residential).
+const CANONICAL_FUELS = [
+  { dataset: "heating_fuels_latest", fuel: "Heating Oil", sector: "Residential" },
+  { dataset: "heating_fuels_latest", fuel: "Propane", sector: "Residential" },
+  { dataset: "heating_fuels_latest", fuel: "Natural Gas", sector: "Residential" },
+  { dataset: "transportation_fuels_latest", fuel: "Diesel", sector: "Retail" },
+  { dataset: "transportation_fuels_latest", fuel: "Gasoline", sector: "Retail" }
+];
+
+function originFromRequest(req) {
+  try {
+    return new URL(req.url).origin;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Load + validate the locked geo configs from the site serving this request.
+ */
+export async function loadGeoConfigsForRequest(request) {
+  const baseUrl = process.env.URL || process.env.DEPLOY_PRIME_URL || originFromRequest(request);
+  if (!baseUrl) {
+    throw new Error("Could not determine baseUrl (process.env.URL missing and request origin unavailable).");
+  }
+  return loadAndValidateGeoConfigs({ baseUrl });
+}
+
+function asRows(payload) {
+  return Array.isArray(payload?.rows) ? payload.rows : [];
+}
+
+// ---------- stage 1: fuel payloads ----------
+
+/**
+ * Stored fuel artifact -> the payload shape the per-fuel endpoints return.
+ */
+export function fuelPayloadFromArtifact(artifact) {
+  const { version, source, dataset, fetched_at_utc, ...payload } = artifact;
+  return {
+    ok: true,
+    generated_at: fetched_at_utc,
+    artifact: { version, source, dataset, fetched_at_utc },
+    ...payload
+  };
+}
+
+export async function loadFuelPayloads(artifactsStore) {
+  // Both read through the same publish pointer, so they always come from one generation.
+  const {
+    heating_fuels_latest: heatingArtifact,
+    transportation_fuels_latest: transportArtifact
+  } = await readPublishedArtifacts(artifactsStore, ["heating_fuels_latest", "transportation_fuels_latest"]);
+
+  if (!heatingArtifact) throw new Error("No heating fuels artifact yet. Updater has not ingested EIA data.");
+  if (!transportArtifact) {
+    throw new Error("No transportation fuels artifact yet. Updater has not ingested EIA data.");
+  }
+
+  return {
+    heating: fuelPayloadFromArtifact(heatingArtifact),
+    transport: fuelPayloadFromArtifact(transportArtifact)
+  };
+}
+
+// ---------- stage 2: combine ----------
+
+export function combineLatest({ heating, transport }) {
+  // Provide a flattened "rows" array for UI convenience
+  // while also keeping the original payloads.
+  const combinedRows = [
+    ...asRows(heating).map((r) => ({ ...r, dataset: "heating_fuels_latest" })),
+    ...asRows(transport).map((r) => ({ ...r, dataset: "transportation_fuels_latest" }))
+  ];
+
+  // Deterministic sort (dataset, fuel, geo_code, period DESC)
+  combinedRows.sort(stableRowSort);
+
+  return {
+    ok: true,
+    generated_at: new Date().toISOString(),
+    endpoints: {
+      heating_fuels_latest: "/api/heating_fuels_latest.json",
+      transportation_fuels_latest: "/api/transportation_fuels_latest.json",
+      energy_prices_latest: "/api/energy_prices_latest.json"
+    },
+    latest: {
+      heating: heating.latest || null,
+      transportation: transport.latest || null
+    },
+    windows: {
+      heating: heating.windows || null,
+      transportation: transport.windows || null
+    },
+    counts: {
+      heating_rows: asRows(heating).length,
+      transportation_rows: asRows(transport).length,
+      combined_rows: combinedRows.length
+    },
+    // The flattened row list (easy for UI)
+    rows: combinedRows,
+    // Keep original payloads for audits/debug
+    components: {
+      heating_fuels_latest: heating,
+      transportation_fuels_latest: transport
+    }
+  };
+}
+
+// ---------- stage 3: geo fallback ----------
+
+// key builder for row-value lookup
+function kFuelPeriodGeo(fuel, period, geo) {
+  return `${fuel}||${period}||${geo}`;
+}
+
+function stableRowSort(a, b) {
+  if (a.dataset !== b.dataset) return a.dataset < b.dataset ? -1 : 1;
+  if (a.fuel !== b.fuel) return a.fuel < b.fuel ? -1 : 1;
+  if (a.geo_code !== b.geo_code) return a.geo_code < b.geo_code ? -1 : 1;
+  if (a.period !== b.period) return a.period > b.period ? -1 : 1; // DESC
+  return 0;
+}
+
+/**
+ * Apply fallback chains (geo_fallback_map_v1) to produce a complete grid:
+ * every geo_code gets a value for every (dataset, fuel, period) combo when any value exists
+ * in its chain, marked with is_fallback + fallback_from_geo_code.
+ */
+export function applyGeoFallback(combined, cfg) {
+  const geoNames = cfg.geo_display_names_v1.geo_display_names;
+  const fb = cfg.geo_fallback_map_v1.fallback_chain_by_geo_code;
+
+  const rows = asRows(combined);
+
+  // Build (fuel,period,geo)->row index for quick lookup
+  // If duplicates exist, prefer a row with numeric price over null.
+  const index = new Map();
+  for (const r of rows) {
+    if (!r) continue;
+    const fuel = String(r.fuel || "");
+    const period = String(r.period || "");
+    const geo = String(r.geo_code || "");
+    if (!fuel || !period || !geo) continue;
+
+    const key = kFuelPeriodGeo(fuel, period, geo);
+    const prev = index.get(key);
+
+    if (!prev) {
+      index.set(key, r);
+      continue;
+    }
+
+    const prevHas = prev.price !== null && prev.price !== undefined;
+    const curHas = r.price !== null && r.price !== undefined;
+    if (!prevHas && curHas) index.set(key, r);
+  }
+
+  // Determine which (dataset,fuel,period) combos exist.
+  // We fill for each combo across all geo codes in fallback map.
+  const combos = new Map(); // comboKey -> { dataset, fuel, period, sector, price_units }
+  for (const r of rows) {
+    if (!r?.fuel || !r?.period || !r?.dataset) continue;
+    const comboKey = `${r.dataset}||${r.fuel}||${r.period}`;
+    if (!combos.has(comboKey)) {
+      combos.set(comboKey, {
+        dataset: r.dataset,
+        fuel: r.fuel,
+        period: r.period,
+        sector: r.sector || null,
+        price_units: r.price_units || null
+      });
+    }
+  }
+
+  const allGeoCodes = Object.keys(fb).slice().sort(); // canonical universe (61 keys)
+  const filled = [];
+  const stats = {
+    combos: combos.size,
+    geos: allGeoCodes.length,
+    direct_hits: 0,
+    fallback_hits: 0,
+    still_missing: 0
+  };
+
+  for (const combo of combos.values()) {
+    for (const targetGeo of allGeoCodes) {
+      const directKey = kFuelPeriodGeo(combo.fuel, combo.period, targetGeo);
+      const directRow = index.get(directKey);
+
+      if (directRow && directRow.price !== null && directRow.price !== undefined) {
+        stats.direct_hits += 1;
+        filled.push({
+          ...directRow,
+          geo_display_name: geoNames[targetGeo] || targetGeo,
+          is_fallback: false,
+          fallback_from_geo_code: null
+        });
+        continue;
+      }
+
+      // Walk fallback chain: targetGeo -> ... -> US
+      const chain = fb[targetGeo] || [targetGeo, "US"];
+      let picked = null;
+      let pickedFrom = null;
+
+      for (const geoTry of chain) {
+        const keyTry = kFuelPeriodGeo(combo.fuel, combo.period, geoTry);
+        const rowTry = index.get(keyTry);
+        if (rowTry && rowTry.price !== null && rowTry.price !== undefined) {
+          picked = rowTry;
+          pickedFrom = geoTry;
+          break;
+        }
+      }
+
+      if (picked) {
+        stats.fallback_hits += 1;
+        // An override belongs to the geo it was written for; cells filled from it are plain fallbacks.
+        const { is_override, override, source_price, ...pickedValues } = picked;
+        filled.push({
+          ...pickedValues,
+          // overwrite to represent the target geo (the one we are filling)
+          geo_code: targetGeo,
+          geo_display_name: geoNames[targetGeo] || targetGeo,
+          is_fallback: true,
+          fallback_from_geo_code: pickedFrom,
+          is_override: false
+        });
+      } else {
+        stats.still_missing += 1;
+        filled.push({
+          dataset: combo.dataset,
+          fuel: combo.fuel,
+          sector: combo.sector,
+          geo_code: targetGeo,
+          geo_display_name: geoNames[targetGeo] || targetGeo,
+          period: combo.period,
+          price: null,
+          price_units: combo.price_units,
+          source_route: null,
+          source_series: null,
+          is_fallback: true,
+          fallback_from_geo_code: null,
+          is_override: false
+        });
+      }
+    }
+  }
+
+  filled.sort(stableRowSort);
+
+  return {
+    ok: true,
+    generated_at: new Date().toISOString(),
+    endpoints: {
+      energy_prices_latest: "/api/energy_prices_latest.json",
+      energy_prices_latest_with_fallback: "/api/energy_prices_latest_with_fallback.json"
+    },
+    latest: combined.latest || null,
+    windows: combined.windows || null,
+    counts: {
+      input_rows: rows.length,
+      output_rows_filled: filled.length,
+      ...stats
+    },
+    rows_filled: filled
+  };
+}
+
+// ---------- stage 4: UI matrix ----------
+
+function stableSortStrings(a, b) {
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function makeFuelKey(dataset, fuel, sector) {
+  return `${dataset}::${fuel}::${sector}`;
+}
+
+function assertContract(condition, message) {
+  if (!condition) {
+    throw new Error(`CONTRACT_VIOLATION: ${message}`);
+  }
+}
+
+/**
+ * Build the frozen v1 UI body (fuel x geo matrix) from the with-fallback output.
+ * Enforces contract invariants (fuels/geos counts + required keys); throws CONTRACT_VIOLATION.
+ * Output ordering is deterministic so the caller can derive a stable ETag.
+ */
+export function buildUiBody(src, cfg) {
+  const names = cfg.geo_display_names_v1.geo_display_names;
+  const fallbackChains = cfg.geo_fallback_map_v1.fallback_chain_by_geo_code;
+
+  // Canonical geo list (61), deterministic
+  const geoCodes = Object.keys(fallbackChains).slice().sort(stableSortStrings);
+  const geos = geoCodes.map((geo_code) => ({
+    geo_code,
+    geo_display_name: names[geo_code] || geo_code
+  }));
+
+  // Contract: expected geo count
+  assertContract(
+    geos.length === EXPECTED_GEOS,
+    `expected geos=${EXPECTED_GEOS}, got ${geos.length}`
+  );
+
+  assertContract(!!src && src.ok === true, `upstream ok!=true (${src?.error || "unknown"})`);
+
+  const rows = Array.isArray(src?.rows_filled) ? src.rows_filled : [];
+  assertContract(Array.isArray(rows), "upstream rows_filled missing or invalid");
+
+  assertContract(
+    CANONICAL_FUELS.length === EXPECTED_FUELS,
+    `expected fuels=${EXPECTED_FUELS}, got ${CANONICAL_FUELS.length}`
+  );
+
+  const fuels = CANONICAL_FUELS.map((f) => ({
+    fuel_key: makeFuelKey(f.dataset, f.fuel, f.sector),
+    dataset: f.dataset,
+    fuel: f.fuel,
+    sector: f.sector
+  }));
+
+  const fuelKeys = fuels.map((f) => f.fuel_key);
+
+  // Determine best period per fuel_key (defensive)
+  const bestPeriodByFuelKey = new Map();
+  for (const r of rows) {
+    const dataset = r?.dataset ? String(r.dataset) : null;
+    const fuel = r?.fuel ? String(r.fuel) : null;
+    const sector = r?.sector ? String(r.sector) : null;
+    const period = r?.period ? String(r.period) : null;
+    if (!dataset || !fuel || !sector || !period) continue;
+
+    const fk = makeFuelKey(dataset, fuel, sector);
+    const prev = bestPeriodByFuelKey.get(fk);
+    if (!prev || period > prev) bestPeriodByFuelKey.set(fk, period);
+  }
+
+  // Contract: every canonical fuel key must have a period
+  for (const fk of fuelKeys) {
+    assertContract(
+      !!bestPeriodByFuelKey.get(fk),
+      `missing best period for fuel_key=${fk} (upstream rows_filled may have changed)`
+    );
+  }
+
+  // Initialize matrix
+  const values = {};
+  for (const fk of fuelKeys) {
+    values[fk] = {};
+    for (const geo of geoCodes) {
+      values[fk][geo] = {
+        price: null,
+        units: null,
+        period: bestPeriodByFuelKey.get(fk) || null,
+        is_fallback: true,
+        fallback_from_geo_code: null,
+        is_override: false
+      };
+    }
+  }
+
+  // Fill matrix using only each fuel_key’s best period
+  for (const r of rows) {
+    const dataset = r?.dataset ? String(r.dataset) : null;
+    const fuel = r?.fuel ? String(r.fuel) : null;
+    const sector = r?.sector ? String(r.sector) : null;
+    const geo = r?.geo_code ? String(r.geo_code) : null;
+    const period = r?.period ? String(r.period) : null;
+
+    if (!dataset || !fuel || !sector || !geo || !period) continue;
+
+    const fk = makeFuelKey(dataset, fuel, sector);
+    if (!values[fk]) continue;
+
+    const targetPeriod = bestPeriodByFuelKey.get(fk);
+    if (targetPeriod && period !== targetPeriod) continue;
+
+    values[fk][geo] = {
+      price: r.price ?? null,
+      units: r.price_units ?? null,
+      period,
+      is_fallback: !!r.is_fallback,
+      fallback_from_geo_code: r.fallback_from_geo_code ?? null,
+      is_override: !!r.is_override
+    };
+  }
+
+  // Contract: matrix dimensions
+  for (const fk of fuelKeys) {
+    assertContract(!!values[fk], `values missing fuel_key=${fk}`);
+    const keys = Object.keys(values[fk] || {});
+    assertContract(
+      keys.length === EXPECTED_GEOS,
+      `values[${fk}] expected ${EXPECTED_GEOS} geos, got ${keys.length}`
+    );
+  }
+
+  // Build deterministic response body (important for stable ETag)
+  const body = {
+    ok: true,
+    version: CONTRACT_VERSION,
+    schema: {
+      name: "energy_prices_latest_ui",
+      fuels: EXPECTED_FUELS,
+      geos: EXPECTED_GEOS,
+      fuel_key_format: "dataset::fuel::sector",
+      value_cell: ["price", "units", "period", "is_fallback", "fallback_from_geo_code", "is_override"]
+    },
+    meta: {
+      generated_at: new Date().toISOString(),
+      latest: src.latest || null,
+      windows: src.windows || null,
+      counts: {
+        fuels: fuels.length,
+        geos: geos.length
+      }
+    },
+    endpoints: {
+      energy_prices_latest_ui: "/api/energy_prices_latest_ui.json"
+    },
+    geos,
+    fuels,
+    values
+  };
+
+  // Contract: counts must match expectations
+  assertContract(
+    body.meta.counts.fuels === EXPECTED_FUELS,
+    `meta.counts.fuels expected ${EXPECTED_FUELS}, got ${body.meta.counts.fuels}`
+  );
+  assertContract(
+    body.meta.counts.geos === EXPECTED_GEOS,
+    `meta.counts.geos expected ${EXPECTED_GEOS}, got ${body.meta.counts.geos}`
+  );
+
+  return body;
+}
@@ -0,0 +1,92 @@
+// netlify/functions/_lib/flag-log.js
+//
+// Rolling, deduplicated flag log kept in the "system" blob store (key: flag_log).
+// system_status.recent_flags only describes the latest run; the log remembers across runs:
+//
+//   - one entry per dedupe_key with first_seen_utc, last_seen_utc and an occurrence count
+//   - WARN / ERROR flags open (or re-open) an entry; an INFO flag for the same key resolves it
+//   - an open entry whose key a run is authoritative for, but which that run did not raise, resolves too
+//   - resolved entries expire after resolvedTtlDays; the log is capped at maxEntries (oldest first out)
+
+export const FLAG_LOG_KEY = "flag_log";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function isProblem(flag) {
+  return flag?.severity && flag.severity !== "INFO";
+}
+
+export async function loadFlagLog(systemStore) {
+  const log = await systemStore.get(FLAG_LOG_KEY, { type: "json" });
+  return Array.isArray(log?.entries) ? log : { schema_version: 1, updated_at_utc: null, entries: [] };
+}
+
+export async function saveFlagLog(systemStore, log) {
+  await systemStore.set(FLAG_LOG_KEY, JSON.stringify(log), { contentType: "application/json" });
+}
+
+/**
+ * Merge one run's flags into the log. Pure; returns a new log.
+ * authoritativeKeys: dedupe keys this run checked (open entries among them that were not raised get resolved).
+ */
+export function mergeFlags(log, flags, {
+  nowUtc,
+  authoritativeKeys = [],
+  maxEntries = 200,
+  resolvedTtlDays = 14
+}) {
+  const byKey = new Map((log?.entries ?? []).map((e) => [e.dedupe_key, { ...e }]));
+  const raised = new Set();
+
+  for (const f of flags) {
+    if (!f?.dedupe_key) continue;
+    const prev = byKey.get(f.dedupe_key);
+
+    if (!isProblem(f)) {
+      if (prev?.state === "ACTIVE") {
+        byKey.set(f.dedupe_key, { ...prev, state: "RESOLVED", resolved_at_utc: nowUtc, resolution: f.summary });
+      }
+      continue;
+    }
+
+    raised.add(f.dedupe_key);
+    const reopen = !prev || prev.state !== "ACTIVE";
+    byKey.set(f.dedupe_key, {
+      dedupe_key: f.dedupe_key,
+      state: "ACTIVE",
+      severity: f.severity,
+      component: f.component,
+      dataset: f.dataset,
+      type: f.type,
+      summary: f.summary,
+      first_seen_utc: reopen ? (f.timestamp_utc ?? nowUtc) : prev.first_seen_utc,
+      last_seen_utc: f.timestamp_utc ?? nowUtc,
+      occurrences: reopen ? 1 : (prev.occurrences ?? 0) + 1,
+      resolved_at_utc: null
+    });
+  }
+
+  for (const key of authoritativeKeys) {
+    const prev = byKey.get(key);
+    if (prev?.state === "ACTIVE" && !raised.has(key)) {
+      byKey.set(key, { ...prev, state: "RESOLVED", resolved_at_utc: nowUtc, resolution: "No longer raised." });
+    }
+  }
+
+  const nowMs = Date.parse(nowUtc);
+  const entries = [...byKey.values()]
+    .filter((e) => e.state === "ACTIVE" || nowMs - Date.parse(e.resolved_at_utc) <= resolvedTtlDays * DAY_MS)
+    .sort((a, b) => (a.last_seen_utc < b.last_seen_utc ? 1 : a.last_seen_utc > b.last_seen_utc ? -1 : 0))
+    .slice(0, maxEntries);
+
+  return { schema_version: 1, updated_at_utc: nowUtc, entries };
+}
+
+/**
+ * Load, merge and save in one go (used by the updater + manual trigger).
+ */
+export async function recordFlags(systemStore, flags, opts) {
+  const next = mergeFlags(await loadFlagLog(systemStore), flags, opts);
+  await saveFlagLog(systemStore, next);
+  return next;
+}
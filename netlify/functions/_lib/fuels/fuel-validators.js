@@ -0,0 +1,87 @@
+// netlify/functions/_lib/fuels/fuel-validators.js
+//
+// Validators shared by the heating + transportation fuel ingestion jobs.
+// data.rows is the normalized row list from fetchHeatingFuels / fetchTransportationFuels.
+//
+// - coverage: every expected fuel has at least one numeric price
+// - range:    every non-null price is 0 < price < maxPrice
+// - delta:    largest move per (fuel, geo_code) vs the previous artifact (WARN only)
+// - outliers: each (fuel, geo_code) vs its earlier periods in data.history; an outlier row keeps its
+//             previous artifact row (see withQuarantinedRows)
+//
+// Missing geos are expected (the fallback stage fills them), so they are not a coverage failure.
+
+import { coverageCheck, rangeCheck, maxDeltaCheck, robustZScoreCheck } from "../ingest-validators.js";
+
+function hasPrice(r) {
+  return r?.price !== null && r?.price !== undefined;
+}
+
+const rowKey = (r) => `${r.fuel}|${r.geo_code}`;
+
+function prevRowsByKey(prevArtifact) {
+  const prevRows = Array.isArray(prevArtifact?.rows) ? prevArtifact.rows : [];
+  return new Map(prevRows.filter(hasPrice).map((r) => [rowKey(r), r]));
+}
+
+export function fuelValidators({ fuels, maxPrice, maxDeltaPct }) {
+  return [
+    coverageCheck({
+      expected: fuels,
+      present: (data) => [...new Set(data.rows.filter(hasPrice).map((r) => r.fuel))]
+    }),
+    rangeCheck({
+      cells: (data) =>
+        data.rows
+          .filter(hasPrice)
+          .map((r) => ({ fuel: r.fuel, geo_code: r.geo_code, value: r.price })),
+      isValid: (v) => Number.isFinite(v) && v > 0 && v < maxPrice
+    }),
+    maxDeltaCheck({
+      pairs: (data, { prevArtifact }) => {
+        const prevRows = Array.isArray(prevArtifact?.rows) ? prevArtifact.rows : null;
+        if (!prevRows) return null;
+
+        const prevByKey = new Map(prevRows.filter(hasPrice).map((r) => [`${r.fuel}|${r.geo_code}`, r.price]));
+        return data.rows
+          .filter(hasPrice)
+          .map((r) => ({
+            fuel: r.fuel,
+            geo_code: r.geo_code,
+            next: r.price,
+            prev: prevByKey.get(`${r.fuel}|${r.geo_code}`)
+          }));
+      },
+      maxPct: maxDeltaPct,
+      reason: "Large price move vs previous artifact flagged; published but monitored."
+    }),
+    // Weekly prices trend, so the scale floor is 5% of the median: a flat history still lets a ~25% move through.
+    robustZScoreCheck({
+      series: (data, { prevArtifact }) => {
+        const prevByKey = prevRowsByKey(prevArtifact);
+        return data.rows.filter(hasPrice).map((r) => ({
+          fuel: r.fuel,
+          geo_code: r.geo_code,
+          next: r.price,
+          history: data.history?.[rowKey(r)] ?? [],
+          fallback: prevByKey.get(rowKey(r))?.price
+        }));
+      },
+      maxZ: 5,
+      minHistory: 4,
+      minRelativeScale: 0.05,
+      reason: "Outlier vs trailing history; quarantined fuel/geo row(s) keep their last-known-good price."
+    })
+  ];
+}
+
+/**
+ * data.rows with each quarantined (fuel, geo_code) row swapped for the previous artifact's row, so the
+ * row keeps the period its price belongs to.
+ */
+export function withQuarantinedRows(rows, quarantined, prevArtifact) {
+  if (!quarantined.length) return rows;
+  const held = new Set(quarantined.map(rowKey));
+  const prevByKey = prevRowsByKey(prevArtifact);
+  return rows.map((r) => (held.has(rowKey(r)) ? prevByKey.get(rowKey(r)) ?? r : r));
+}
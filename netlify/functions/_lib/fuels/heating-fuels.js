@@ -0,0 +1,340 @@
+// netlify/functions/_lib/fuels/heating-fuels.js
+//
+// Latest-only Heating Fuels (PRS-only):
+// - Petroleum weekly (wfr): Heating Oil (EPD2F) + Propane (EPLLPA)
+// - Natural gas monthly (sum): Residential (PRS)
+//
+// Runs inside the scheduled updater (see _lib/jobs/); the public endpoint serves the stored artifact.
+//
+// Uses locked configs in public/:
+// - geo_accept_lists_v1.json
+// - geo_display_names_v1.json
+// - geo_fallback_map_v1.json
+//
+// Hardening (via the shared EIA client, _lib/eia.js):
+// - Never leak api_key (the client adds it per request and redacts errors)
+// - Petroleum WFR calls are CHUNKED to avoid EIA 500s on huge facet queries
+// - Retry transient EIA 5xx / 429 with jittered backoff
+//
+// Tightening additions (small):
+// 1) Latest NG month chosen from rows that have a valid numeric value
+// 2) Deduplicate output rows by (geo_code, fuel, period) deterministically
+
+import { eiaUrl, redactEiaUrl, toNumberOrNull } from "../eia.js";
+import { findUnknownCodes } from "../unknown-codes.js";
+
+// Earlier weeks (months for natural gas) per fuel + geo handed to the outlier check.
+const HISTORY_PERIODS = 8;
+
+function pickLatestPeriod(rows) {
+  // Period strings are YYYY-MM-DD or YYYY-MM; lexicographic compare works.
+  let best = null;
+  for (const r of rows) {
+    if (!r?.period) continue;
+    const p = String(r.period);
+    if (best === null || p > best) best = p;
+  }
+  return best;
+}
+
+// Earlier periods per "<fuel>|<geo_code>", newest first (null where missing); weekly and monthly rows
+// go through separately since their periods differ.
+function historyByKey(rows, { latestPeriod, depth, keyOf }) {
+  const periods = [...new Set(rows.map((r) => String(r?.period ?? "")))]
+    .filter((p) => p && p < latestPeriod)
+    .sort()
+    .reverse()
+    .slice(0, depth);
+  const history = {};
+  for (const r of rows) {
+    const i = periods.indexOf(String(r?.period ?? ""));
+    const key = i < 0 ? null : keyOf(r);
+    if (!key) continue;
+    const series = (history[key] ??= Array(periods.length).fill(null));
+    series[i] ??= toNumberOrNull(r?.value);
+  }
+  return history;
+}
+
+function pad2(n) {
+  return String(n).padStart(2, "0");
+}
+
+function startForWeeksBack(weeksBack) {
+  const d = new Date();
+  d.setUTCDate(d.getUTCDate() - weeksBack * 7);
+  return `${d.getUTCFullYear()}-${pad2(d.getUTCMonth() + 1)}-${pad2(d.getUTCDate())}`;
+}
+
+function startForMonthsBack(monthsBack) {
+  const d = new Date();
+  d.setUTCMonth(d.getUTCMonth() - monthsBack);
+  return `${d.getUTCFullYear()}-${pad2(d.getUTCMonth() + 1)}`;
+}
+
+// --- EIA query builders ---
+
+// Duoarea facets are added per chunk by the EIA client.
+function buildPetroleumWfrUrl({ start }) {
+  const base = eiaUrl("petroleum/pri/wfr/data");
+  const params = new URLSearchParams();
+  params.set("frequency", "weekly");
+  params.set("data[0]", "value");
+
+  params.append("facets[process][]", "PRS");
+  params.append("facets[product][]", "EPD2F");
+  params.append("facets[product][]", "EPLLPA");
+
+  params.set("start", start);
+
+  params.set("sort[0][column]", "period");
+  params.set("sort[0][direction]", "desc");
+  params.set("sort[1][column]", "duoarea");
+  params.set("sort[1][direction]", "asc");
+  params.set("sort[2][column]", "product");
+  params.set("sort[2][direction]", "asc");
+
+  return `${base}?${params.toString()}`;
+}
+
+function buildNaturalGasSumUrl({ acceptedDuoareas, start }) {
+  const base = eiaUrl("natural-gas/pri/sum/data");
+  const params = new URLSearchParams();
+  params.set("frequency", "monthly");
+  params.set("data[0]", "value");
+
+  params.append("facets[process][]", "PRS");
+
+  for (const d of acceptedDuoareas) params.append("facets[duoarea][]", d);
+
+  params.set("start", start);
+
+  params.set("sort[0][column]", "period");
+  params.set("sort[0][direction]", "desc");
+  params.set("sort[1][column]", "duoarea");
+  params.set("sort[1][direction]", "asc");
+  params.set("sort[2][column]", "series");
+  params.set("sort[2][direction]", "asc");
+
+  return `${base}?${params.toString()}`;
+}
+
+function assertMappingCoverage({ acceptedDuoareas, duoToGeo, label }) {
+  const missing = [];
+  for (const d of acceptedDuoareas) {
+    if (!duoToGeo[d]) missing.push(d);
+  }
+  if (missing.length) {
+    throw new Error(
+      `CONFIG_VALIDATION_FAILED: ${label}: duoarea_to_geo_code missing keys: ${missing.join(", ")}`
+    );
+  }
+}
+
+function dedupeLatestRows(rows) {
+  // rows are already for a single latest period per fuel
+  // Key: geo_code|fuel|period, keep first non-null price, else first row.
+  const byKey = new Map();
+
+  for (const r of rows) {
+    const key = `${r.geo_code}|${r.fuel}|${r.period}`;
+    const prev = byKey.get(key);
+    if (!prev) {
+      byKey.set(key, r);
+      continue;
+    }
+    const prevHas = prev.price !== null && prev.price !== undefined;
+    const curHas = r.price !== null && r.price !== undefined;
+    if (!prevHas && curHas) byKey.set(key, r);
+  }
+
+  return Array.from(byKey.values());
+}
+
+/**
+ * Fetch + normalize the latest heating fuel prices from EIA.
+ * cfg = loadAndValidateGeoConfigs() result.
+ */
+export async function fetchHeatingFuels({ eia, cfg }) {
+  const accept = cfg.geo_accept_lists_v1;
+  const names = cfg.geo_display_names_v1.geo_display_names;
+  const duoToGeo = accept.duoarea_to_geo_code;
+
+  assertMappingCoverage({
+    acceptedDuoareas: accept.accepted_duoarea_petroleum_wfr,
+    duoToGeo,
+    label: "heating-fuels-latest petroleum_wfr"
+  });
+  assertMappingCoverage({
+    acceptedDuoareas: accept.accepted_duoarea_natural_gas,
+    duoToGeo,
+    label: "heating-fuels-latest natural_gas"
+  });
+
+  const petroleumStart = startForWeeksBack(26);
+  const naturalGasStart = startForMonthsBack(24);
+
+  // --- Petroleum WFR (weekly) CHUNKED ---
+  const DUOAREA_CHUNK_SIZE = 15;
+  const petroleum = await eia.fetchChunked(buildPetroleumWfrUrl({ start: petroleumStart }), {
+    facet: "duoarea",
+    values: accept.accepted_duoarea_petroleum_wfr,
+    chunkSize: DUOAREA_CHUNK_SIZE
+  });
+  const petroleumAllRows = petroleum.rows;
+
+  const PETRO_FUELS = new Set(["EPD2F", "EPLLPA"]);
+  const petroleumPRS = petroleumAllRows.filter(
+    (r) => r && r.process === "PRS" && PETRO_FUELS.has(r.product)
+  );
+
+  const latestPetroleumWeek = pickLatestPeriod(petroleumPRS);
+  if (!latestPetroleumWeek) {
+    throw new Error(`EIA_WFR_NO_DATA: could not determine latest weekly period (start=${petroleumStart})`);
+  }
+  const petroleumLatest = petroleumPRS.filter((r) => String(r.period) === latestPetroleumWeek);
+
+  // --- Natural Gas (monthly) ---
+  const naturalGasUrl = buildNaturalGasSumUrl({
+    acceptedDuoareas: accept.accepted_duoarea_natural_gas,
+    start: naturalGasStart
+  });
+
+  const naturalGas = await eia.fetchPaged(naturalGasUrl);
+  const ngRows = naturalGas.rows;
+
+  const ngPRS = ngRows.filter((r) => r && r.process === "PRS");
+
+  // Tightening #1: choose "latest" month from rows with a valid numeric value
+  const ngPRSWithValue = ngPRS.filter((r) => toNumberOrNull(r?.value) !== null);
+  const latestNgMonth = pickLatestPeriod(ngPRSWithValue);
+  if (!latestNgMonth) {
+    throw new Error(
+      `EIA_NG_NO_DATA: could not determine latest monthly period with numeric values (start=${naturalGasStart})`
+    );
+  }
+  const ngLatest = ngPRS.filter((r) => String(r.period) === latestNgMonth);
+
+  // --- Normalize ---
+  const fuelNameByProduct = {
+    EPD2F: "Heating Oil",
+    EPLLPA: "Propane",
+    EPG0: "Natural Gas"
+  };
+
+  const out = [];
+
+  function pushRow({ source, period, duoarea, product, units, value, series }) {
+    const geo_code = duoToGeo[duoarea] || null;
+    if (!geo_code) throw new Error(`INTERNAL_MAPPING_GAP: duoarea ${duoarea} missing in duoarea_to_geo_code`);
+    out.push({
+      fuel: fuelNameByProduct[product] || product,
+      sector: "Residential",
+      geo_code,
+      geo_display_name: names[geo_code] || geo_code,
+      period,
+      price: toNumberOrNull(value),
+      price_units: units || null,
+      source_route: source,
+      source_series: series || null
+    });
+  }
+
+  for (const r of petroleumLatest) {
+    pushRow({
+      source: "petroleum/pri/wfr (weekly)",
+      period: String(r.period),
+      duoarea: String(r.duoarea),
+      product: String(r.product),
+      units: r.units || "$/GAL",
+      value: r.value,
+      series: r.series || null
+    });
+  }
+
+  for (const r of ngLatest) {
+    pushRow({
+      source: "natural-gas/pri/sum (monthly)",
+      period: String(r.period),
+      duoarea: String(r.duoarea),
+      product: "EPG0",
+      units: r.units || "$/MCF",
+      value: r.value,
+      series: r.series || null
+    });
+  }
+
+  const unknownCodes = [
+    ...findUnknownCodes(petroleumAllRows, {
+      route: "petroleum/pri/wfr",
+      checks: [
+        { kind: "duoareas", column: "duoarea", known: accept.accepted_duoarea_petroleum_wfr, nameColumn: "area-name" },
+        { kind: "products", column: "product", known: [...PETRO_FUELS], nameColumn: "product-name" },
+        { kind: "processes", column: "process", known: ["PRS"], nameColumn: "process-name" }
+      ]
+    }),
+    ...findUnknownCodes(ngRows, {
+      route: "natural-gas/pri/sum",
+      checks: [
+        { kind: "duoareas", column: "duoarea", known: accept.accepted_duoarea_natural_gas, nameColumn: "area-name" },
+        { kind: "processes", column: "process", known: ["PRS"], nameColumn: "process-name" }
+      ]
+    })
+  ];
+
+  // Tightening #2: dedupe by (geo_code, fuel, period)
+  const deduped = dedupeLatestRows(out);
+
+  const geoKey = (fuel) => (r) => {
+    const geo_code = duoToGeo[String(r.duoarea)];
+    return geo_code ? `${fuel(r)}|${geo_code}` : null;
+  };
+  const history = {
+    ...historyByKey(petroleumPRS, {
+      latestPeriod: latestPetroleumWeek,
+      depth: HISTORY_PERIODS,
+      keyOf: geoKey((r) => fuelNameByProduct[String(r.product)])
+    }),
+    ...historyByKey(ngPRS, {
+      latestPeriod: latestNgMonth,
+      depth: HISTORY_PERIODS,
+      keyOf: geoKey(() => fuelNameByProduct.EPG0)
+    })
+  };
+
+  // Deterministic sort
+  deduped.sort((a, b) => {
+    if (a.fuel !== b.fuel) return a.fuel < b.fuel ? -1 : 1;
+    if (a.geo_code !== b.geo_code) return a.geo_code < b.geo_code ? -1 : 1;
+    if (a.period !== b.period) return a.period > b.period ? -1 : 1; // DESC
+    return 0;
+  });
+
+  return {
+    latest: {
+      petroleum_week: latestPetroleumWeek,
+      natural_gas_month: latestNgMonth
+    },
+    windows: {
+      petroleum_start: petroleumStart,
+      natural_gas_start: naturalGasStart
+    },
+    sources: {
+      petroleum_wfr_urls: petroleum.urls,
+      natural_gas_url: redactEiaUrl(naturalGasUrl)
+    },
+    counts: {
+      petroleum_chunks: petroleum.chunks,
+      petroleum_pages: petroleum.pages,
+      natural_gas_pages: naturalGas.pages,
+      petroleum_rows_fetched_total: petroleumAllRows.length,
+      petroleum_rows_latest_period: petroleumLatest.length,
+      natural_gas_rows_latest_period: ngLatest.length,
+      output_rows: deduped.length
+    },
+    // Diagnostics and validator input only; the job does not publish these.
+    unknown_codes: unknownCodes,
+    history,
+    rows: deduped
+  };
+}
@@ -0,0 +1,320 @@
+// netlify/functions/_lib/fuels/transportation-fuels.js
+//
+// Latest-only Transportation Fuels (retail-first, resilient):
+// - Petroleum weekly (gnd): Diesel (EPD2DXL0) + Gasoline (EPMR)
+//
+// Runs inside the scheduled updater (see _lib/jobs/); the public endpoint serves the stored artifact.
+//
+// Uses locked configs in public/:
+// - geo_accept_lists_v1.json
+// - geo_display_names_v1.json
+// - geo_fallback_map_v1.json
+//
+// Hardening (via the shared EIA client, _lib/eia.js):
+// - Never leak api_key (the client adds it per request and redacts errors)
+// - Chunk duoarea facet queries to avoid EIA 500s
+// - Retry transient 5xx / 429 with jittered backoff
+//
+// Tightening:
+// - Latest week chosen from rows with numeric values (after selecting best process)
+// - Deduplicate output rows by (geo_code, fuel, period)
+//
+// Contract:
+// - sector is a stable UI label ("Retail") for transportation fuels
+// - source_process preserves the upstream EIA process code (e.g., PTE)
+
+import { eiaUrl, toNumberOrNull } from "../eia.js";
+import { findUnknownCodes } from "../unknown-codes.js";
+
+// Earlier weeks per fuel + geo handed to the outlier check.
+const HISTORY_PERIODS = 8;
+
+function pickLatestPeriod(rows) {
+  let best = null;
+  for (const r of rows) {
+    if (!r?.period) continue;
+    const p = String(r.period);
+    if (best === null || p > best) best = p;
+  }
+  return best;
+}
+
+function pad2(n) {
+  return String(n).padStart(2, "0");
+}
+
+// Up to `depth` earlier periods per "<fuel>|<geo_code>", newest first (null where missing); the outlier
+// check in fuel-validators.js compares the latest price with them.
+function historyByKey(rows, { latestPeriod, depth, keyOf }) {
+  const periods = [...new Set(rows.map((r) => String(r?.period ?? "")))]
+    .filter((p) => p && p < latestPeriod)
+    .sort()
+    .reverse()
+    .slice(0, depth);
+  const history = {};
+  for (const r of rows) {
+    const i = periods.indexOf(String(r?.period ?? ""));
+    const key = i < 0 ? null : keyOf(r);
+    if (!key) continue;
+    const series = (history[key] ??= Array(periods.length).fill(null));
+    series[i] ??= toNumberOrNull(r?.value);
+  }
+  return history;
+}
+
+function startForWeeksBack(weeksBack) {
+  const d = new Date();
+  d.setUTCDate(d.getUTCDate() - weeksBack * 7);
+  return `${d.getUTCFullYear()}-${pad2(d.getUTCMonth() + 1)}-${pad2(d.getUTCDate())}`;
+}
+
+// Duoarea facets are added per chunk by the EIA client.
+function buildPetroleumGndUrl({ products, start }) {
+  const base = eiaUrl("petroleum/pri/gnd/data");
+  const params = new URLSearchParams();
+  params.set("frequency", "weekly");
+  params.set("data[0]", "value");
+
+  for (const p of products) params.append("facets[product][]", p);
+
+  params.set("start", start);
+
+  params.set("sort[0][column]", "period");
+  params.set("sort[0][direction]", "desc");
+  params.set("sort[1][column]", "duoarea");
+  params.set("sort[1][direction]", "asc");
+  params.set("sort[2][column]", "product");
+  params.set("sort[2][direction]", "asc");
+
+  return `${base}?${params.toString()}`;
+}
+
+function assertMappingCoverage({ acceptedDuoareas, duoToGeo, label }) {
+  const missing = [];
+  for (const d of acceptedDuoareas) {
+    if (!duoToGeo[d]) missing.push(d);
+  }
+  if (missing.length) {
+    throw new Error(
+      `CONFIG_VALIDATION_FAILED: ${label}: duoarea_to_geo_code missing keys: ${missing.join(", ")}`
+    );
+  }
+}
+
+function dedupeLatestRows(rows) {
+  const byKey = new Map();
+  for (const r of rows) {
+    const key = `${r.geo_code}|${r.fuel}|${r.period}`;
+    const prev = byKey.get(key);
+    if (!prev) {
+      byKey.set(key, r);
+      continue;
+    }
+    const prevHas = prev.price !== null && prev.price !== undefined;
+    const curHas = r.price !== null && r.price !== undefined;
+    if (!prevHas && curHas) byKey.set(key, r);
+  }
+  return Array.from(byKey.values());
+}
+
+// Processes sectorLabelFromProcess has a label for, in order of preference.
+// In practice, EIA often uses PTE for gasoline/diesel.
+const KNOWN_PROCESSES = ["PTE", "RRP", "PRS"];
+
+function pickBestProcess(rowsWithNumericValues) {
+  // Prefer transportation retail-like processes if present.
+  const preferred = KNOWN_PROCESSES;
+
+  const counts = new Map();
+  for (const r of rowsWithNumericValues) {
+    const proc = r?.process ? String(r.process) : "";
+    if (!proc) continue;
+    counts.set(proc, (counts.get(proc) || 0) + 1);
+  }
+
+  for (const p of preferred) {
+    if (counts.has(p)) return p;
+  }
+
+  // Otherwise pick the most common process among numeric rows (deterministic tie-break)
+  let best = null;
+  for (const [proc, n] of counts.entries()) {
+    if (best === null) {
+      best = { proc, n };
+      continue;
+    }
+    if (n > best.n) best = { proc, n };
+    else if (n === best.n && proc < best.proc) best = { proc, n };
+  }
+  return best?.proc || null;
+}
+
+function sectorLabelFromProcess(proc) {
+  if (!proc) return "Retail";
+  if (proc === "PTE") return "Retail";
+  if (proc === "RRP") return "Retail";
+  if (proc === "PRS") return "Residential";
+  return proc; // deterministic fallback
+}
+
+/**
+ * Fetch + normalize the latest transportation fuel prices from EIA.
+ * cfg = loadAndValidateGeoConfigs() result.
+ */
+export async function fetchTransportationFuels({ eia, cfg }) {
+  const accept = cfg.geo_accept_lists_v1;
+  const names = cfg.geo_display_names_v1.geo_display_names;
+  const duoToGeo = accept.duoarea_to_geo_code;
+
+  assertMappingCoverage({
+    acceptedDuoareas: accept.accepted_duoarea_petroleum_gnd,
+    duoToGeo,
+    label: "transportation-fuels-latest petroleum_gnd"
+  });
+
+  const PRODUCTS = ["EPD2DXL0", "EPMR"]; // diesel + gasoline
+  const fuelNameByProduct = {
+    EPD2DXL0: "Diesel",
+    EPMR: "Gasoline"
+  };
+
+  // Deterministic window candidates
+  const startCandidates = [26, 52, 104].map(startForWeeksBack);
+  const triedStarts = [];
+
+  const DUOAREA_CHUNK_SIZE = 12;
+
+  let allRows = [];
+  let urls = [];
+  let pages = 0;
+  let chunks = 0;
+  let chosenStart = null;
+
+  let latestWeek = null;
+  let chosenProcess = null;
+
+  for (const start of startCandidates) {
+    triedStarts.push(start);
+
+    const fetched = await eia.fetchChunked(buildPetroleumGndUrl({ products: PRODUCTS, start }), {
+      facet: "duoarea",
+      values: accept.accepted_duoarea_petroleum_gnd,
+      chunkSize: DUOAREA_CHUNK_SIZE
+    });
+    const thisRows = fetched.rows;
+
+    const prodRows = thisRows.filter((r) => r && PRODUCTS.includes(r.product));
+    const numericRows = prodRows.filter((r) => toNumberOrNull(r?.value) !== null);
+
+    const proc = pickBestProcess(numericRows);
+
+    let latest = null;
+    if (proc) {
+      const numericProcRows = numericRows.filter((r) => String(r.process || "") === proc);
+      latest = pickLatestPeriod(numericProcRows);
+    }
+
+    if (!latest) {
+      latest = pickLatestPeriod(numericRows);
+    }
+
+    if (latest) {
+      chosenStart = start;
+      allRows = thisRows;
+      urls = fetched.urls;
+      pages = fetched.pages;
+      chunks = fetched.chunks;
+      latestWeek = latest;
+      chosenProcess = proc;
+      break;
+    }
+  }
+
+  if (!latestWeek) {
+    throw new Error(
+      `EIA_GND_NO_DATA: could not determine latest weekly period with numeric values (tried starts: attaching disabled here; last=${triedStarts[triedStarts.length - 1]})`
+    );
+  }
+
+  const prodRows = allRows.filter((r) => r && PRODUCTS.includes(r.product));
+
+  const filtered = chosenProcess
+    ? prodRows.filter((r) => String(r.process || "") === chosenProcess)
+    : prodRows;
+
+  const latestRows = filtered.filter((r) => String(r.period) === latestWeek);
+
+  const out = [];
+  for (const r of latestRows) {
+    const duoarea = String(r.duoarea);
+    const geo_code = duoToGeo[duoarea] || null;
+    if (!geo_code) continue;
+
+    const proc = r?.process ? String(r.process) : null;
+
+    out.push({
+      fuel: fuelNameByProduct[String(r.product)] || String(r.product),
+
+      // IMPORTANT: stable UI label, not raw process code
+      sector: sectorLabelFromProcess(proc),
+
+      geo_code,
+      geo_display_name: names[geo_code] || geo_code,
+      period: String(r.period),
+      price: toNumberOrNull(r.value),
+      price_units: r.units || null,
+      source_route: "petroleum/pri/gnd (weekly)",
+
+      // Traceability
+      source_process: proc,
+      source_series: r.series || null
+    });
+  }
+
+  const deduped = dedupeLatestRows(out);
+
+  const history = historyByKey(filtered, {
+    latestPeriod: latestWeek,
+    depth: HISTORY_PERIODS,
+    keyOf: (r) => {
+      const geo_code = duoToGeo[String(r.duoarea)];
+      return geo_code ? `${fuelNameByProduct[String(r.product)] || String(r.product)}|${geo_code}` : null;
+    }
+  });
+
+  const unknownCodes = findUnknownCodes(allRows, {
+    route: "petroleum/pri/gnd",
+    checks: [
+      { kind: "duoareas", column: "duoarea", known: accept.accepted_duoarea_petroleum_gnd, nameColumn: "area-name" },
+      { kind: "products", column: "product", known: PRODUCTS, nameColumn: "product-name" },
+      { kind: "processes", column: "process", known: KNOWN_PROCESSES, nameColumn: "process-name" }
+    ]
+  });
+
+  deduped.sort((a, b) => {
+    if (a.fuel !== b.fuel) return a.fuel < b.fuel ? -1 : 1;
+    if (a.geo_code !== b.geo_code) return a.geo_code < b.geo_code ? -1 : 1;
+    if (a.period !== b.period) return a.period > b.period ? -1 : 1; // DESC
+    return 0;
+  });
+
+  return {
+    latest: { petroleum_week: latestWeek },
+    windows: { petroleum_start: chosenStart, tried_starts: triedStarts },
+    selection: {
+      chosen_process: chosenProcess || null
+    },
+    sources: { petroleum_gnd_urls: urls },
+    counts: {
+      petroleum_chunks: chunks,
+      petroleum_pages: pages,
+      petroleum_rows_fetched_total: allRows.length,
+      petroleum_rows_latest_period: latestRows.length,
+      output_rows: deduped.length
+    },
+    // Diagnostics and validator input only; the job does not publish these.
+    unknown_codes: unknownCodes,
+    history,
+    rows: deduped
+  };
+}
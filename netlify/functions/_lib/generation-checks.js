@@ -0,0 +1,136 @@
+// netlify/functions/_lib/generation-checks.js
+//
+// Cross-artifact checks on a staged generation, run before it is promoted (see generations.js).
+// Per-job validators only ever see one artifact; these look at the generation as a whole:
+//
+//   schema_contract       every artifact has the fields its endpoints read
+//   period_regression     no artifact moves to an older data_period than the one published now
+//   electricity_periods   the monthly series is not behind the annual one
+//   fuel_weeks            heating + transportation petroleum weeks are close together (WARN only)
+//   energy_prices_ui      the staged fuel artifacts still build a valid energy-prices UI payload
+//
+// Any ERROR check blocks promotion; the previous generation stays live.
+
+import {
+  fuelPayloadFromArtifact,
+  combineLatest,
+  applyGeoFallback,
+  buildUiBody
+} from "./energy-prices.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_FUEL_WEEK_GAP_DAYS = 14;
+
+const COMMON_FIELDS = [
+  ["version", "number"],
+  ["source", "string"],
+  ["data_period", "string"],
+  ["fetched_at_utc", "string"]
+];
+
+const ELECTRICITY_FIELDS = [["values.by_sector", "object"], ["values.by_state_cents_per_kwh", "object"]];
+const FUEL_FIELDS = [["latest", "object"], ["rows", "array"]];
+
+const CONTRACT_FIELDS = {
+  electricity_rates_latest: ELECTRICITY_FIELDS,
+  electricity_rates_monthly_latest: ELECTRICITY_FIELDS,
+  efficiency_all_other_costs_latest: [["values.by_state", "object"]],
+  heating_fuels_latest: FUEL_FIELDS,
+  transportation_fuels_latest: FUEL_FIELDS
+};
+
+function pick(obj, path) {
+  return path.split(".").reduce((o, k) => (o === null || o === undefined ? undefined : o[k]), obj);
+}
+
+function typeOf(v) {
+  if (Array.isArray(v)) return "array";
+  if (v === null) return "null";
+  return typeof v;
+}
+
+function check(name, severity, ok, details = null) {
+  return { name, ok, severity: ok ? "OK" : severity, details };
+}
+
+function schemaContract(staged) {
+  const violations = [];
+  for (const [key, artifact] of staged) {
+    for (const [path, type] of [...COMMON_FIELDS, ...(CONTRACT_FIELDS[key] ?? [])]) {
+      const actual = typeOf(pick(artifact, path));
+      if (actual !== type) violations.push({ artifact: key, field: path, expected: type, actual });
+    }
+  }
+  return check("schema_contract", "ERROR", violations.length === 0, violations.length ? violations : null);
+}
+
+function periodRegression(staged, published) {
+  const regressions = [];
+  for (const [key, artifact] of staged) {
+    const prev = published[key]?.data_period;
+    if (prev && artifact.data_period < prev) {
+      regressions.push({ artifact: key, published: prev, staged: artifact.data_period });
+    }
+  }
+  return check("period_regression", "ERROR", regressions.length === 0, regressions.length ? regressions : null);
+}
+
+function electricityPeriods(all) {
+  const annual = all.electricity_rates_latest?.data_period;
+  const monthly = all.electricity_rates_monthly_latest?.data_period;
+  if (!annual || !monthly) return null;
+
+  const ok = monthly.slice(0, 4) >= annual.slice(0, 4);
+  return check("electricity_periods", "ERROR", ok, ok ? null : { annual, monthly });
+}
+
+function fuelWeeks(all) {
+  const heating = all.heating_fuels_latest?.latest?.petroleum_week;
+  const transport = all.transportation_fuels_latest?.latest?.petroleum_week;
+  if (!heating || !transport) return null;
+
+  const gapDays = Math.abs(Date.parse(heating) - Date.parse(transport)) / DAY_MS;
+  const ok = Number.isFinite(gapDays) && gapDays <= MAX_FUEL_WEEK_GAP_DAYS;
+  return check("fuel_weeks", "WARN", ok, ok ? null : { heating, transport, gap_days: gapDays });
+}
+
+async function energyPricesUi(all, staged, loadGeoConfigs) {
+  if (!staged.has("heating_fuels_latest") && !staged.has("transportation_fuels_latest")) return null;
+  if (!all.heating_fuels_latest || !all.transportation_fuels_latest) return null;
+
+  try {
+    const cfg = await loadGeoConfigs();
+    const combined = combineLatest({
+      heating: fuelPayloadFromArtifact(all.heating_fuels_latest),
+      transport: fuelPayloadFromArtifact(all.transportation_fuels_latest)
+    });
+    buildUiBody(applyGeoFallback(combined, cfg), cfg);
+    return check("energy_prices_ui", "ERROR", true);
+  } catch (err) {
+    return check("energy_prices_ui", "ERROR", false, { error: String(err?.message || err) });
+  }
+}
+
+/**
+ * Run every check on a staged generation.
+ *   staged     Map artifact_key -> artifact staged in this generation
+ *   published  { artifact_key: artifact } currently published (for every key the generation will contain)
+ * Returns { ok, severity, checks }.
+ */
+export async function runGenerationChecks({ staged, published, loadGeoConfigs }) {
+  const all = { ...published, ...Object.fromEntries(staged) };
+
+  const checks = [
+    schemaContract(staged),
+    periodRegression(staged, published),
+    electricityPeriods(all),
+    fuelWeeks(all),
+    await energyPricesUi(all, staged, loadGeoConfigs)
+  ].filter(Boolean);
+
+  const severity = checks.some((c) => c.severity === "ERROR")
+    ? "ERROR"
+    : checks.some((c) => c.severity === "WARN") ? "WARN" : "OK";
+
+  return { ok: severity !== "ERROR", severity, checks };
+}
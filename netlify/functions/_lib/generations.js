@@ -0,0 +1,230 @@
+// netlify/functions/_lib/generations.js
+//
+// Two-phase publish for the "artifacts" store.
+//
+// An updater run stages every artifact it accepts under generations/<generation>/<artifact_key>.
+// Once cross-artifact checks pass (see generation-checks.js) the generation is promoted by rewriting
+// one pointer blob, so readers switch from one consistent set of artifacts to the next in one step:
+//
+//   publish_pointer = {
+//     generation, previous, promoted_at_utc,
+//     artifacts: { <artifact_key>: <blob key> }   // blob keys of older generations are carried forward
+//   }
+//
+// Each generation also keeps a manifest (generations/<generation>/manifest) so an admin can roll back.
+// Before the first promotion readers fall back to the legacy "<artifact_key>" blobs.
+
+import { writeArtifactSnapshot } from "./artifact-history.js";
+
+export const POINTER_KEY = "publish_pointer";
+export const GENERATIONS_PREFIX = "generations";
+// Flag raised by an admin rollback; the updater resolves it once it promotes a generation again.
+export const ROLLBACK_DEDUPE_KEY = "publish:rollback";
+
+// Generations (manifests + blobs no kept manifest references) beyond this many are pruned on promote.
+const KEEP_GENERATIONS = 10;
+
+export function generationId(generatedAt) {
+  return generatedAt.replace(/[-:.]/g, "");
+}
+
+export function generationKey(generation, name) {
+  return `${GENERATIONS_PREFIX}/${generation}/${name}`;
+}
+
+export async function loadPointer(store) {
+  return store.get(POINTER_KEY, { type: "json", consistency: "strong" });
+}
+
+export async function loadManifest(store, generation) {
+  return store.get(generationKey(generation, "manifest"), { type: "json" });
+}
+
+/**
+ * Read published artifacts through the pointer (one pointer read for all keys).
+ * Returns { [artifactKey]: artifact | null }.
+ */
+export async function readPublishedArtifacts(store, artifactKeys) {
+  const pointer = await loadPointer(store);
+  const entries = await Promise.all(
+    artifactKeys.map(async (key) => {
+      const blobKey = pointer ? pointer.artifacts?.[key] : key;
+      return [key, blobKey ? await store.get(blobKey, { type: "json" }) : null];
+    })
+  );
+  return Object.fromEntries(entries);
+}
+
+export async function readPublishedArtifact(store, artifactKey) {
+  return (await readPublishedArtifacts(store, [artifactKey]))[artifactKey];
+}
+
+/**
+ * Open a staging generation on top of whatever is published now.
+ * artifactKeys lists every known artifact so legacy blobs are carried into the first generation.
+ */
+export async function openGeneration(store, { generatedAt, artifactKeys }) {
+  const pointer = await loadPointer(store);
+
+  let base = pointer?.artifacts ?? null;
+  if (!base) {
+    base = {};
+    for (const key of artifactKeys) {
+      if (await store.getMetadata(key)) base[key] = key;
+    }
+  }
+
+  const id = generationId(generatedAt);
+  const staged = new Map();
+
+  return {
+    id,
+    pointer,
+    base,
+    staged,
+
+    // Currently published artifact (what a new value is validated against).
+    current: async (key) => (base[key] ? store.get(base[key], { type: "json" }) : null),
+
+    stage: async (key, artifact) => {
+      await store.set(generationKey(id, key), JSON.stringify(artifact), { contentType: "application/json" });
+      staged.set(key, artifact);
+    },
+
+    artifacts: () => {
+      const out = { ...base };
+      for (const key of staged.keys()) out[key] = generationKey(id, key);
+      return out;
+    }
+  };
+}
+
+async function writeManifest(store, gen, { state, generatedAt, checks }) {
+  const manifest = {
+    generation: gen.id,
+    state,
+    created_at_utc: generatedAt,
+    staged: [...gen.staged.keys()],
+    artifacts: gen.artifacts(),
+    checks
+  };
+  await store.set(generationKey(gen.id, "manifest"), JSON.stringify(manifest), { contentType: "application/json" });
+  return manifest;
+}
+
+/**
+ * Flip the pointer to the staged generation, then snapshot its new artifacts into history.
+ */
+export async function promoteGeneration(store, gen, { generatedAt, checks }) {
+  const manifest = await writeManifest(store, gen, { state: "promoted", generatedAt, checks });
+
+  const pointer = {
+    schema_version: 1,
+    generation: gen.id,
+    previous: gen.pointer?.generation ?? null,
+    promoted_at_utc: generatedAt,
+    artifacts: manifest.artifacts
+  };
+  await store.set(POINTER_KEY, JSON.stringify(pointer), { contentType: "application/json" });
+
+  for (const [key, artifact] of gen.staged) {
+    await writeArtifactSnapshot(store, key, artifact);
+  }
+
+  await pruneGenerations(store);
+  return pointer;
+}
+
+/**
+ * Keep a staged generation that failed its checks for inspection; the pointer is left alone.
+ */
+export async function rejectGeneration(store, gen, { generatedAt, checks }) {
+  return writeManifest(store, gen, { state: "rejected", generatedAt, checks });
+}
+
+/**
+ * Manifests, newest first.
+ */
+export async function listGenerations(store, { limit = 20 } = {}) {
+  const { blobs } = await store.list({ prefix: `${GENERATIONS_PREFIX}/` });
+  const ids = blobs
+    .filter((b) => b.key.endsWith("/manifest"))
+    .map((b) => b.key.split("/")[1])
+    .sort()
+    .reverse()
+    .slice(0, limit);
+
+  const manifests = [];
+  for (const id of ids) {
+    const m = await loadManifest(store, id);
+    if (m) manifests.push(m);
+  }
+  return manifests;
+}
+
+/**
+ * Point readers back at an earlier promoted generation (default: the one before the current).
+ * Throws GENERATION_ROLLBACK: when there is nothing valid to roll back to.
+ */
+export async function rollbackGeneration(store, { to = null, nowUtc }) {
+  const pointer = await loadPointer(store);
+  if (!pointer) throw new Error("GENERATION_ROLLBACK: nothing has been promoted yet.");
+
+  const target = to ?? pointer.previous;
+  if (!target) throw new Error("GENERATION_ROLLBACK: no previous generation to roll back to.");
+  if (target === pointer.generation) throw new Error(`GENERATION_ROLLBACK: ${target} is already current.`);
+
+  const manifest = await loadManifest(store, target);
+  if (!manifest) throw new Error(`GENERATION_ROLLBACK: generation ${target} not found.`);
+  if (manifest.state !== "promoted") {
+    throw new Error(`GENERATION_ROLLBACK: generation ${target} was ${manifest.state}, not promoted.`);
+  }
+
+  const next = {
+    schema_version: 1,
+    generation: target,
+    previous: pointer.generation,
+    promoted_at_utc: nowUtc,
+    rolled_back_from: pointer.generation,
+    artifacts: manifest.artifacts
+  };
+  await store.set(POINTER_KEY, JSON.stringify(next), { contentType: "application/json" });
+  return next;
+}
+
+/**
+ * Publish one artifact (e.g. a history snapshot an admin restores) as a generation of its own,
+ * leaving every other artifact as currently published. Cross-artifact checks are skipped: going
+ * back to an older period is the point.
+ */
+export async function restoreArtifact(store, { artifactKey, artifact, artifactKeys, generatedAt, note }) {
+  const gen = await openGeneration(store, { generatedAt, artifactKeys });
+  await gen.stage(artifactKey, artifact);
+
+  const checks = {
+    ok: true,
+    severity: "OK",
+    checks: [{ name: "manual_restore", ok: true, severity: "OK", details: { artifact: artifactKey, note } }]
+  };
+  return promoteGeneration(store, gen, { generatedAt, checks });
+}
+
+async function pruneGenerations(store) {
+  const { blobs } = await store.list({ prefix: `${GENERATIONS_PREFIX}/` });
+  const ids = [...new Set(blobs.map((b) => b.key.split("/")[1]))].sort().reverse();
+  if (ids.length <= KEEP_GENERATIONS) return;
+
+  const kept = ids.slice(0, KEEP_GENERATIONS);
+  const referenced = new Set();
+  for (const id of kept) {
+    const m = await loadManifest(store, id);
+    for (const blobKey of Object.values(m?.artifacts ?? {})) referenced.add(blobKey);
+  }
+
+  const keptSet = new Set(kept);
+  for (const b of blobs) {
+    const id = b.key.split("/")[1];
+    if (keptSet.has(id) || referenced.has(b.key)) continue;
+    await store.delete(b.key);
+  }
+}
@@ -41,6 +41,23 @@ export function hashChainMap(chainObj) {
   return sha256(lines.join("\n"));
 }
 
+/**
+ * Hash a list of strings (order does not matter).
+ * Sort, join with "\n", hash. Used for the accept-lists in geo_accept_lists_v1.json.
+ */
+export function hashSortedList(list) {
+  return sha256([...list].sort().join("\n"));
+}
+
+/**
+ * Hash a string map by sorted KEY (not by sorted line; "NUS" sorts before "NUS-Z00" here,
+ * after it by line). Used for duoarea_to_geo_code in geo_accept_lists_v1.json.
+ */
+export function hashStringMapByKey(mapObj) {
+  const lines = Object.keys(mapObj).sort().map((k) => `${k}=${mapObj[k]}`);
+  return sha256(lines.join("\n"));
+}
+
 /**
  * For auditing: return the first N lines of the normalized map.
  * This lets you "lock" a known first few values.
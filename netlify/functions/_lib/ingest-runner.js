@@ -0,0 +1,402 @@
+// netlify/functions/_lib/ingest-runner.js
+//
+// Runs registered ingestion jobs (see _lib/jobs/index.js) and assembles system_status from the results.
+//
+// Per job:
+//   fetch -> validate -> stage artifact into the run's generation or keep last-known-good
+//
+// Staged artifacts go live only when the updater promotes the whole generation (see generations.js);
+// if the generation fails its cross-artifact checks, holdBackResults() turns the staged writes into fallbacks.
+//
+// Status rules (same for every job):
+//   - every job is checked for EIA schema drift first (see eia-schemas.js)
+//   - validators pass             -> OK,   artifact written
+//   - validators WARN only        -> WARN, artifact written, fallback.reason explains why
+//   - validators ERROR / fetch err -> WARN if a prior artifact exists (last-known-good), else ERROR
+
+import { createEiaClient } from "./eia.js";
+import { loadAndValidateGeoConfigs } from "./config-validators.js";
+import { runValidators, schemaDriftCheck } from "./ingest-validators.js";
+import { pinnedFallback } from "./artifact-pins.js";
+import { evaluateFreshness, freshnessFlags, summarizeHealth } from "./status-health.js";
+import { unknownCodesFlag } from "./unknown-codes.js";
+
+export function artifactName(job) {
+  return `${job.artifact_key}.json`;
+}
+
+// A pinned artifact is not re-validated; its rows carry an empty report.
+function pinnedValidation() {
+  return {
+    schema_valid: true,
+    complete_coverage: true,
+    missing_keys: [],
+    range_ok: true,
+    delta_ok: true,
+    anomalies: [{ type: "pinned", details: "Not fetched: artifact pinned by admin." }]
+  };
+}
+
+// Drift seen before the fetch failed is usually why it failed, so it is reported alongside the error.
+function fetchFailedValidation(err, schemaDrift) {
+  return {
+    schema_valid: false,
+    complete_coverage: false,
+    missing_keys: ["all_states"],
+    range_ok: false,
+    delta_ok: false,
+    anomalies: [
+      { type: "fetch_error", details: String(err.message) },
+      ...(schemaDrift.length ? [{ type: "schema_drift", details: schemaDrift }] : [])
+    ]
+  };
+}
+
+// Geo configs are loaded at most once per run, and only if a job asks for them.
+export function geoConfigLoader() {
+  let pending = null;
+  return () => {
+    if (!pending) {
+      const baseUrl = process.env.URL || process.env.DEPLOY_PRIME_URL;
+      pending = loadAndValidateGeoConfigs({ baseUrl });
+    }
+    return pending;
+  };
+}
+
+// A job without `partitions` is a single partition covering the whole artifact.
+function partitionsOf(job) {
+  if (!Array.isArray(job.partitions)) {
+    return [{ key: null, name: artifactName(job), label: job.label, dedupe_key: job.dedupe_key, validators: job.validators }];
+  }
+  return job.partitions.map((p) => ({
+    key: p.key,
+    name: `${artifactName(job)}#${p.key}`,
+    label: p.label ?? `${job.label} (${p.key})`,
+    dedupe_key: p.dedupe_key ?? `${job.dedupe_key}:${p.key}`,
+    validators: p.validators
+  }));
+}
+
+function hasPrevious(job, prevArtifact, key) {
+  if (!prevArtifact) return false;
+  return key === null ? true : !!job.hasPartition?.(prevArtifact, key);
+}
+
+/**
+ * Run one job. Never throws; failures are reported in the result.
+ *
+ * Partitioned jobs (job.partitions, e.g. one per electricity sector) validate each partition on its
+ * own: accepted partitions are published, rejected ones keep their last-known-good values inside the
+ * same artifact (job.buildArtifact merges them), and each partition gets its own status row.
+ *
+ * Validators may quarantine single cells, which buildArtifact receives as `quarantined` and replaces
+ * with their last-known-good values.
+ *
+ * dryRun: fetch, validate and build the artifact, but write nothing; the would-be artifact is returned.
+ * pins:   admin pins by artifact_key (see artifact-pins.js); a pinned job is not fetched at all.
+ */
+export async function runIngestJob(job, {
+  generation,
+  generatedAt,
+  loadGeoConfigs = geoConfigLoader(),
+  eia = createEiaClient(),
+  dryRun = false,
+  pins = {}
+}) {
+  const startedAtMs = Date.now();
+  const prevArtifact = await generation.current(job.artifact_key);
+  const partitions = partitionsOf(job);
+
+  let wrote = false;
+  let period = prevArtifact?.data_period ?? "seed";
+  let diagnostics = null;
+  let error = null;
+  let artifact = null;
+  let parts;
+
+  const pin = pins[job.artifact_key];
+  if (pin) {
+    parts = partitions.map((p) => ({
+      ...p,
+      accepted: false,
+      status: "WARN",
+      fallback: pinnedFallback(pin),
+      validation: pinnedValidation(),
+      hasPrev: true,
+      wrote: false,
+      periodChanged: false,
+      period
+    }));
+    return { job, wrote, period, prevPeriod: period, diagnostics, parts, error, duration_ms: 0, pinned: true };
+  }
+
+  // Whatever an earlier caller of this client left behind is not about this job's responses.
+  eia.takeSchemaDrift();
+  let schemaDrift = [];
+
+  try {
+    const data = await job.fetch({ eia, loadGeoConfigs });
+    schemaDrift = eia.takeSchemaDrift();
+    period = data.period;
+    diagnostics = data.diagnostics ?? null;
+
+    parts = partitions.map((p) => {
+      const partData = p.key === null ? data : job.selectPartition(data, p.key);
+      const verdict = runValidators([schemaDriftCheck(), ...p.validators], partData, {
+        prevArtifact,
+        partition: p.key,
+        schemaDrift
+      });
+      const accepted = verdict.severity !== "ERROR";
+      const hasPrev = hasPrevious(job, prevArtifact, p.key);
+
+      let status;
+      let fallback;
+      if (accepted) {
+        status = verdict.severity;
+        fallback = { active: false, reason: verdict.reasons.length ? verdict.reasons.join(" ") : null };
+      } else if (hasPrev) {
+        status = "WARN";
+        fallback = { active: true, reason: "Validation failed; serving last-known-good artifact." };
+      } else {
+        status = "ERROR";
+        fallback = { active: true, reason: "Validation failed and no prior artifact exists." };
+      }
+
+      return {
+        ...p,
+        accepted,
+        status,
+        fallback,
+        validation: verdict.validation,
+        quarantine: accepted ? verdict.quarantine : [],
+        hasPrev,
+        wrote: false,
+        periodChanged: accepted && (!hasPrev || prevArtifact?.data_period !== data.period),
+        period: data.period
+      };
+    });
+
+    const accepted = parts.filter((p) => p.accepted);
+    if (accepted.length > 0) {
+      artifact = job.buildArtifact(data, {
+        generatedAt,
+        prevArtifact,
+        accepted: accepted.map((p) => p.key),
+        quarantined: accepted.flatMap((p) => p.quarantine)
+      });
+    }
+
+    if (artifact && !dryRun) {
+      await generation.stage(job.artifact_key, artifact);
+
+      wrote = true;
+      for (const p of parts) p.wrote = p.accepted;
+    }
+  } catch (err) {
+    error = String(err.message);
+    schemaDrift = schemaDrift.concat(eia.takeSchemaDrift());
+    parts = partitions.map((p) => {
+      const hasPrev = hasPrevious(job, prevArtifact, p.key);
+      return {
+        ...p,
+        accepted: false,
+        status: hasPrev ? "WARN" : "ERROR",
+        fallback: hasPrev
+          ? { active: true, reason: `Fetch failed; serving last-known-good (${String(err.message)})` }
+          : { active: true, reason: `Fetch failed and no prior artifact (${String(err.message)})` },
+        validation: fetchFailedValidation(err, schemaDrift),
+        hasPrev,
+        wrote: false,
+        periodChanged: false,
+        period
+      };
+    });
+  }
+
+  return {
+    job,
+    wrote,
+    period,
+    prevPeriod: prevArtifact?.data_period ?? "seed",
+    diagnostics,
+    parts,
+    error,
+    duration_ms: Date.now() - startedAtMs,
+    ...(dryRun ? { artifact } : {})
+  };
+}
+
+export async function runIngestJobs(jobs, ctx) {
+  // One EIA client per run: the request budget and response cache span every job.
+  const shared = { loadGeoConfigs: geoConfigLoader(), eia: createEiaClient(), ...ctx };
+  const results = [];
+  // Sequential on purpose: keeps EIA request rate low and logs readable.
+  for (const job of jobs) results.push(await runIngestJob(job, shared));
+  return results;
+}
+
+/**
+ * The staged generation failed its cross-artifact checks and was not promoted: every staged write
+ * becomes a fallback to the previous generation. Mutates and returns results.
+ */
+export function holdBackResults(results, checks) {
+  const failed = checks.checks.filter((c) => c.severity === "ERROR").map((c) => c.name);
+
+  for (const r of results) {
+    if (!r.wrote) continue;
+    r.wrote = false;
+
+    for (const p of r.parts) {
+      if (!p.accepted) continue;
+      p.accepted = false;
+      p.wrote = false;
+      p.periodChanged = false;
+      p.period = r.prevPeriod;
+      p.status = p.hasPrev ? "WARN" : "ERROR";
+      p.fallback = {
+        active: true,
+        reason: `Generation failed cross-artifact checks (${failed.join(", ")}); serving previous generation.`
+      };
+      p.validation = {
+        ...p.validation,
+        anomalies: [...p.validation.anomalies, { type: "generation_check", details: failed }]
+      };
+    }
+  }
+  return results;
+}
+
+function artifactRow(job, part, { prevStatus, generatedAt }) {
+  const prevRow = prevStatus?.artifacts?.find((x) => x.artifact === part.name);
+
+  return {
+    artifact: part.name,
+    calculator: job.calculator,
+    source: job.source,
+    data_period: part.period,
+    last_checked_utc: generatedAt,
+    last_successful_update_utc: part.wrote
+      ? generatedAt
+      : (prevRow?.last_successful_update_utc ?? generatedAt),
+    // When the currently published data_period first went live (drives freshness)
+    data_period_since_utc: part.periodChanged
+      ? generatedAt
+      : (prevRow?.data_period_since_utc ?? prevRow?.last_successful_update_utc ?? generatedAt),
+    status: part.status,
+    fallback: part.fallback,
+    validation: part.validation,
+    thresholds: job.thresholds
+  };
+}
+
+function jobRecord(result) {
+  const { job } = result;
+  return {
+    job: job.job,
+    source: job.source,
+    checked: !result.pinned,
+    updated: result.wrote,
+    data_period_detected: result.period,
+    duration_ms: result.duration_ms,
+    diagnostics: result.diagnostics,
+    ...(result.error ? { error: result.error } : {}),
+    ...(Array.isArray(job.partitions)
+      ? { partitions: result.parts.map((p) => ({ key: p.key, status: p.status, updated: p.wrote })) }
+      : {}),
+    message: result.pinned
+      ? `Skipped ${job.label}: ${artifactName(job)} is pinned by admin.`
+      : result.wrote
+        ? `Fetched and stored ${job.label}.`
+        : `Did not overwrite ${artifactName(job)} (served last-known-good or failed validation).`
+  };
+}
+
+function partFlag(job, part, { generatedAt }) {
+  return {
+    timestamp_utc: generatedAt,
+    severity: part.status === "OK" ? "INFO" : part.status,
+    component: job.calculator,
+    dataset: job.artifact_key,
+    type: "ingest",
+    dedupe_key: part.dedupe_key,
+    summary: `${part.label} ingest complete. Status=${part.status}, fallback=${part.fallback.active ? "on" : "off"}, period=${part.period}.`
+  };
+}
+
+/**
+ * Build the system_status document from job results.
+ * Rows for artifacts not owned by any job in `jobs` are carried over from prevStatus.
+ */
+export function buildSystemStatus({ jobs, results, prevStatus, generatedAt, startedAtMs, finishedAtMs }) {
+  // A job owns its base row name plus every partition row (so rows from before a job was partitioned are dropped)
+  const owned = new Set(jobs.flatMap((job) => [artifactName(job), ...partitionsOf(job).map((p) => p.name)]));
+  const prevArtifacts = Array.isArray(prevStatus?.artifacts) ? prevStatus.artifacts : [];
+  const kept = prevArtifacts.filter((a) => !owned.has(a?.artifact));
+
+  const nowMs = Date.parse(generatedAt);
+  const artifacts = [
+    ...kept,
+    ...results.flatMap((r) => r.parts.map((p) => artifactRow(r.job, p, { prevStatus, generatedAt })))
+  ].map((a) => evaluateFreshness(a, nowMs));
+
+  // ---------- OVERALL HEALTH ----------
+  const { overall, reason, anyError, anyWarn, anyFallback } = summarizeHealth(artifacts);
+
+  return {
+    schema_version: 1,
+    environment: "prod",
+    generated_at_utc: generatedAt,
+    overall_health: {
+      status: overall,
+      reason,
+      last_successful_update_utc: generatedAt,
+      fallback_active: anyFallback,
+      broken_user_impact: overall === "BROKEN"
+    },
+    build: prevStatus?.build ?? { site_version: "git:unknown", build_id: null, deployed_at_utc: null },
+    updater_last_run: {
+      run_id: generatedAt,
+      started_at_utc: new Date(startedAtMs).toISOString(),
+      finished_at_utc: new Date(finishedAtMs).toISOString(),
+      duration_ms: finishedAtMs - startedAtMs,
+      result: anyError ? "PARTIAL" : "SUCCESS",
+      jobs: results.map(jobRecord),
+      errors: [
+        ...(anyError ? ["One or more artifacts failed."] : []),
+        ...results.filter((r) => r.error).map((r) => `${r.job.job}: ${r.error}`)
+      ],
+      warnings: anyWarn ? ["One or more artifacts in WARN."] : [],
+      fallback_in_effect: anyFallback
+    },
+    artifacts,
+    runtime_checks: prevStatus?.runtime_checks ?? {
+      artifact_fetch_test: { status: "SKIP", checked_at_utc: generatedAt, message: "Runtime checks not yet enabled." },
+      calculator_boot_test: { status: "SKIP", checked_at_utc: generatedAt, message: "Runtime checks not yet enabled." },
+      ads_container_present: { status: "SKIP", checked_at_utc: generatedAt, message: "Ads not yet configured." }
+    },
+    recent_flags: [
+      ...freshnessFlags(artifacts, { timestampUtc: generatedAt }),
+      ...results.flatMap((r) => r.parts.map((p) => partFlag(r.job, p, { generatedAt }))),
+      ...results.map((r) => unknownCodesFlag(r.job, r.diagnostics?.unknown_codes, { generatedAt })).filter(Boolean)
+    ],
+    links: prevStatus?.links ?? { deploy_logs: null, function_logs: null }
+  };
+}
+
+/**
+ * Dedupe keys a run over `jobs` is authoritative for (open flag-log entries among them that the run
+ * did not raise again are resolved). Freshness is covered for every artifact row in the status;
+ * unknown codes only for jobs that got far enough to check for them this run.
+ */
+export function flagKeysCovered({ jobs, status }) {
+  const checkedCodes = (job) =>
+    Array.isArray(status?.updater_last_run?.jobs?.find((r) => r.job === job.job)?.diagnostics?.unknown_codes);
+
+  return [
+    ...jobs.flatMap((job) => partitionsOf(job).map((p) => p.dedupe_key)),
+    ...jobs.filter(checkedCodes).map((job) => `${job.dedupe_key}:unknown_codes`),
+    ...(status?.artifacts ?? []).map((a) => `freshness:${a.artifact}`)
+  ];
+}
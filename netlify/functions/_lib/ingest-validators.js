@@ -0,0 +1,217 @@
+// netlify/functions/_lib/ingest-validators.js
+//
+// Reusable validator factories for ingestion jobs.
+//
+// Every validator is a function (data, ctx) -> result where:
+//   data = whatever the job's fetch() returned
+//   ctx  = { prevArtifact, partition, schemaDrift }
+//          (schemaDrift = findings from the EIA client for this job's responses, see eia-schemas.js)
+//
+// and result is:
+//   {
+//     fields:    partial validation object (complete_coverage, range_ok, ...)
+//     anomalies: [{ type, details }]
+//     severity:  "OK" | "WARN" | "ERROR"   (ERROR = do not publish)
+//     reason:    string | null             (why WARN; surfaced as fallback.reason)
+//     quarantine: [{ ...labels, fallback }] optional; single cells to replace with their last-known-good value
+//   }
+
+const SEVERITY_RANK = { OK: 0, WARN: 1, ERROR: 2 };
+
+function worse(a, b) {
+  return SEVERITY_RANK[b] > SEVERITY_RANK[a] ? b : a;
+}
+
+/**
+ * Every expected key must be present.
+ * Missing keys listed in tolerateMissing downgrade the failure to WARN (publish anyway).
+ */
+export function coverageCheck({ expected, present, tolerateMissing = [], tolerateReason = null }) {
+  return (data) => {
+    const have = new Set(present(data));
+    const missing = expected.filter((k) => !have.has(k));
+    const complete = missing.length === 0;
+    const tolerated = !complete && missing.every((k) => tolerateMissing.includes(k));
+
+    return {
+      fields: { complete_coverage: complete, missing_keys: missing },
+      anomalies: [],
+      severity: complete ? "OK" : tolerated ? "WARN" : "ERROR",
+      reason: tolerated ? tolerateReason : null
+    };
+  };
+}
+
+/**
+ * EIA responses must match their route's declared shape. Any missing column, changed unit or unknown
+ * facet code rejects the data (ERROR); new columns alone are a WARN. The runner adds this to every job.
+ */
+export function schemaDriftCheck() {
+  return (data, { schemaDrift = [] }) => {
+    const errors = schemaDrift.filter((f) => f.severity === "ERROR");
+    const drifted = schemaDrift.length > 0;
+
+    return {
+      fields: { schema_valid: errors.length === 0 },
+      anomalies: drifted ? [{ type: "schema_drift", details: schemaDrift }] : [],
+      severity: errors.length ? "ERROR" : drifted ? "WARN" : "OK",
+      reason: drifted && !errors.length
+        ? `EIA response has new columns (${schemaDrift.map((f) => f.field).join(", ")}); published but monitored.`
+        : null
+    };
+  };
+}
+
+/**
+ * Every cell value must satisfy isValid. cells(data) returns [{ ...labels, value }].
+ */
+export function rangeCheck({ cells, isValid, anomalyType = "range" }) {
+  return (data) => {
+    const bad = cells(data).filter((c) => !isValid(c.value));
+    const ok = bad.length === 0;
+
+    return {
+      fields: { range_ok: ok },
+      anomalies: ok ? [] : [{ type: anomalyType, details: bad.slice(0, 10) }],
+      severity: ok ? "OK" : "ERROR",
+      reason: null
+    };
+  };
+}
+
+/**
+ * Largest percent change vs the previous artifact must not exceed maxPct.
+ * pairs(data, ctx) returns [{ next, prev, ...labels, maxPct? }] or null when there is nothing to compare against;
+ * a pair's own maxPct overrides the default (per-state / per-sector tolerances).
+ * Exceeding the limit is a WARN (published but monitored), not a rejection.
+ * Offending pairs (largest first, up to 10) are listed with their labels in the anomaly details.
+ */
+export function maxDeltaCheck({ pairs, maxPct, reason }) {
+  return (data, ctx) => {
+    const list = pairs(data, ctx);
+    if (!list) return { fields: { delta_ok: true }, anomalies: [], severity: "OK", reason: null };
+
+    let maxDeltaPct = 0;
+    const offenders = [];
+    for (const { next, prev, maxPct: pairMaxPct, ...labels } of list) {
+      if (Number.isFinite(prev) && Number.isFinite(next) && prev > 0) {
+        const pct = Math.abs((next - prev) / prev) * 100;
+        if (pct > maxDeltaPct) maxDeltaPct = pct;
+
+        const limit = pairMaxPct ?? maxPct;
+        if (pct > limit) {
+          offenders.push({ ...labels, prev, next, delta_pct: Math.round(pct * 10) / 10, max_pct: limit });
+        }
+      }
+    }
+    const ok = offenders.length === 0;
+    offenders.sort((x, y) => y.delta_pct - x.delta_pct);
+
+    return {
+      fields: { delta_ok: ok },
+      anomalies: ok
+        ? []
+        : [{
+            type: "delta",
+            details: {
+              max_delta_pct: Math.round(maxDeltaPct * 10) / 10,
+              offender_count: offenders.length,
+              offenders: offenders.slice(0, 10)
+            }
+          }],
+      severity: ok ? "OK" : "WARN",
+      reason: ok ? null : reason
+    };
+  };
+}
+
+function median(xs) {
+  const s = [...xs].sort((a, b) => a - b);
+  const mid = Math.floor(s.length / 2);
+  return s.length % 2 ? s[mid] : (s[mid - 1] + s[mid]) / 2;
+}
+
+/**
+ * Robust z-score of each new value against its own trailing history:
+ *   z = 0.6745 * (next - median) / MAD
+ * (MAD = median absolute deviation; falls back to 1.2533 * mean absolute deviation when MAD is 0).
+ * The scale never drops below minRelativeScale * |median| (default 2%, so with maxZ = 5 a value must be
+ * 10% off its median), so a near-flat history does not turn the next one-cent move into an outlier.
+ *
+ * series(data, ctx) returns [{ ...labels, next, history: [numbers], fallback }] or null when there is no history.
+ * Cells with fewer than minHistory points are skipped. |z| > maxZ is an outlier: flagged individually, and
+ * quarantined when the cell has a finite fallback (last-known-good) so the job can keep that one value.
+ * Outliers never reject the whole artifact (WARN).
+ */
+export function robustZScoreCheck({ series, maxZ = 3.5, minHistory = 4, minRelativeScale = 0.02, reason }) {
+  return (data, ctx) => {
+    const list = series(data, ctx);
+    if (!list) return { fields: { outliers_ok: true }, anomalies: [], severity: "OK", reason: null };
+
+    const outliers = [];
+    for (const { next, history, fallback, ...labels } of list) {
+      const hist = (history || []).filter(Number.isFinite);
+      if (!Number.isFinite(next) || hist.length < minHistory) continue;
+
+      const med = median(hist);
+      const mad = median(hist.map((x) => Math.abs(x - med)));
+      const spread = mad > 0
+        ? mad / 0.6745
+        : 1.2533 * (hist.reduce((acc, x) => acc + Math.abs(x - med), 0) / hist.length);
+      const scale = Math.max(spread, minRelativeScale * Math.abs(med));
+      if (!(scale > 0)) continue;
+
+      const z = (next - med) / scale;
+      if (Math.abs(z) > maxZ) {
+        outliers.push({
+          ...labels,
+          next,
+          median: Math.round(med * 1000) / 1000,
+          robust_z: Math.round(z * 10) / 10,
+          history_points: hist.length,
+          quarantined: Number.isFinite(fallback),
+          fallback: Number.isFinite(fallback) ? fallback : null
+        });
+      }
+    }
+    const ok = outliers.length === 0;
+
+    return {
+      fields: { outliers_ok: ok },
+      anomalies: outliers.map(({ fallback, ...details }) => ({ type: "outlier", details })),
+      quarantine: outliers.filter((o) => o.quarantined).map(({ quarantined, ...o }) => o),
+      severity: ok ? "OK" : "WARN",
+      reason: ok ? null : reason
+    };
+  };
+}
+
+/**
+ * Run a job's validators and fold them into one validation report.
+ */
+export function runValidators(validators, data, ctx) {
+  const validation = {
+    schema_valid: true,
+    complete_coverage: true,
+    missing_keys: [],
+    range_ok: true,
+    delta_ok: true,
+    anomalies: []
+  };
+  let severity = "OK";
+  const reasons = [];
+  const quarantine = [];
+
+  for (const validate of validators) {
+    const r = validate(data, ctx);
+    Object.assign(validation, r.fields || {});
+    validation.anomalies.push(...(r.anomalies || []));
+    severity = worse(severity, r.severity || "OK");
+    if (r.reason) reasons.push(r.reason);
+    quarantine.push(...(r.quarantine || []));
+  }
+
+  if (quarantine.length > 0) validation.quarantined = quarantine;
+
+  return { validation, severity, reasons, quarantine };
+}
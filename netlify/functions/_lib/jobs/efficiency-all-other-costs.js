@@ -0,0 +1,250 @@
+// netlify/functions/_lib/jobs/efficiency-all-other-costs.js
+//
+// Ingestion job: EIA state electricity profiles, energy-efficiency "all-other-costs" by state + sector.
+//
+// The query returns every year, so the outlier check compares each state + sector with its earlier years
+// from the same response (as electricity-rates.js does).
+
+import { eiaUrl, toNumberOrNull } from "../eia.js";
+import { coverageCheck, rangeCheck, maxDeltaCheck, robustZScoreCheck } from "../ingest-validators.js";
+import { findUnknownCodes } from "../unknown-codes.js";
+
+const STATES_50_PLUS_DC_US = [
+  "AL","AK","AZ","AR","CA","CO","CT","DE","FL","GA",
+  "HI","ID","IL","IN","IA","KS","KY","LA","ME","MD",
+  "MA","MI","MN","MS","MO","MT","NE","NV","NH","NJ",
+  "NM","NY","NC","ND","OH","OK","OR","PA","RI","SC",
+  "SD","TN","TX","UT","VT","VA","WA","WV","WI","WY",
+  "DC","US"
+];
+
+// Sectors the efficiency calculator knows; the query does not filter by sector, so others can appear.
+const EFFICIENCY_SECTORS = ["RES", "COM", "IND", "TRA"];
+
+// Earlier years per state + sector handed to the outlier check.
+const HISTORY_YEARS = 8;
+
+// Year-over-year tolerance (percent) per state + sector vs the previous artifact.
+// Lookup order: by_state_sector["ST|sector"] -> by_state[ST] -> by_sector[sector] -> default_pct.
+// Program spending swings a lot year to year, so the default is loose; exceeding it is a WARN only.
+// These are the defaults; see efficiencyDeltaTolerances() for the env override.
+export const EFFICIENCY_DELTA_TOLERANCES = {
+  default_pct: 75,
+  by_sector: {},
+  by_state: {
+    // Single-utility / small-program states move in large steps.
+    DC: 150,
+    AK: 150,
+    HI: 120
+  },
+  by_state_sector: {}
+};
+
+const TOLERANCE_MAPS = ["by_sector", "by_state", "by_state_sector"];
+
+function assertPct(v, where) {
+  if (!Number.isFinite(v) || v < 0) {
+    throw new Error(`EFFICIENCY_TOLERANCES: ${where} must be a non-negative number of percent (got ${JSON.stringify(v)})`);
+  }
+}
+
+/**
+ * The tolerances in effect: EFFICIENCY_DELTA_TOLERANCES with the env var of the same name (JSON, same
+ * shape) laid over it. The env's default_pct replaces the default; its maps add or replace entries, e.g.
+ *   EFFICIENCY_DELTA_TOLERANCES='{"by_state_sector":{"VT|COM":200}}'
+ */
+export function efficiencyDeltaTolerances(raw = process.env.EFFICIENCY_DELTA_TOLERANCES) {
+  if (!raw) return EFFICIENCY_DELTA_TOLERANCES;
+
+  let override;
+  try {
+    override = JSON.parse(raw);
+  } catch {
+    throw new Error("EFFICIENCY_TOLERANCES: EFFICIENCY_DELTA_TOLERANCES is not valid JSON");
+  }
+  if (!override || typeof override !== "object" || Array.isArray(override)) {
+    throw new Error("EFFICIENCY_TOLERANCES: EFFICIENCY_DELTA_TOLERANCES must be a JSON object");
+  }
+
+  const tol = { default_pct: override.default_pct ?? EFFICIENCY_DELTA_TOLERANCES.default_pct };
+  assertPct(tol.default_pct, "default_pct");
+  for (const map of TOLERANCE_MAPS) {
+    tol[map] = { ...EFFICIENCY_DELTA_TOLERANCES[map], ...override[map] };
+    for (const [k, v] of Object.entries(tol[map])) assertPct(v, `${map}.${k}`);
+  }
+  return tol;
+}
+
+function deltaTolerancePct(state, sector, tol = EFFICIENCY_DELTA_TOLERANCES) {
+  return (
+    tol.by_state_sector?.[`${state}|${sector}`] ??
+    tol.by_state?.[state] ??
+    tol.by_sector?.[sector] ??
+    tol.default_pct
+  );
+}
+
+async function fetchEiaAllOtherCosts(eia) {
+  const base = eiaUrl("electricity/state-electricity-profiles/energy-efficiency/data");
+
+  const params = new URLSearchParams();
+  params.set("frequency", "annual");
+  params.append("data[]", "all-other-costs");
+
+  for (const s of STATES_50_PLUS_DC_US) params.append("facets[state][]", s);
+
+  // Your chosen sort stack
+  params.append("sort[0][column]", "period");
+  params.append("sort[0][direction]", "desc");
+  params.append("sort[1][column]", "state");
+  params.append("sort[1][direction]", "asc");
+  params.append("sort[2][column]", "sector");
+  params.append("sort[2][direction]", "asc");
+
+  const url = `${base}?${params.toString()}`;
+  const { rows, total, pages } = await eia.fetchPaged(url);
+  if (rows.length === 0) throw new Error("EIA returned no data rows");
+
+  const latestPeriod = String(rows[0]?.period ?? "");
+  if (!latestPeriod) throw new Error("EIA data missing period");
+
+  const latestRows = rows.filter(r => String(r?.period ?? "") === latestPeriod);
+
+  const byState = {};
+  for (const r of latestRows) {
+    const state = r?.state;
+    const sector = r?.sector;
+    if (!state || !sector) continue;
+
+    if (!byState[state]) byState[state] = {};
+    byState[state][sector] = toNumberOrNull(r?.["all-other-costs"]);
+  }
+
+  // Up to HISTORY_YEARS earlier years per state + sector, newest first (null where not reported).
+  const historyPeriods = [...new Set(rows.map((r) => String(r?.period ?? "")))]
+    .filter((p) => p && p < latestPeriod)
+    .sort()
+    .reverse()
+    .slice(0, HISTORY_YEARS);
+  const historyByState = {};
+  for (const r of rows) {
+    const i = historyPeriods.indexOf(String(r?.period ?? ""));
+    const state = r?.state;
+    const sector = r?.sector;
+    if (i < 0 || !state || !sector) continue;
+    const series = ((historyByState[state] ??= {})[sector] ??= Array(historyPeriods.length).fill(null));
+    series[i] = toNumberOrNull(r?.["all-other-costs"]);
+  }
+
+  // Rows without state or sector are skipped above; they are counted here.
+  const unknownCodes = findUnknownCodes(rows, {
+    route: "electricity/state-electricity-profiles/energy-efficiency",
+    checks: [
+      { kind: "states", column: "state", known: STATES_50_PLUS_DC_US, nameColumn: "stateName" },
+      { kind: "sectors", column: "sector", known: EFFICIENCY_SECTORS, nameColumn: "sectorName" }
+    ]
+  });
+
+  return {
+    period: latestPeriod,
+    byState,
+    historyByState,
+    diagnostics: {
+      pages,
+      rows_fetched: rows.length,
+      total,
+      history_periods: historyPeriods.length,
+      unknown_codes: unknownCodes
+    }
+  };
+}
+
+export const efficiencyAllOtherCostsJob = {
+  job: "eia_efficiency_all_other_costs",
+  source: "EIA",
+  calculator: "efficiency",
+  artifact_key: "efficiency_all_other_costs_latest",
+  thresholds: { warn_after_days: 400, error_after_days: 800 },
+  dedupe_key: "efficiency:all_other_costs",
+  label: "EIA efficiency all-other-costs",
+
+  fetch: ({ eia }) => fetchEiaAllOtherCosts(eia),
+
+  validators: [
+    // AK is sometimes absent in certain EIA tables; treat ONLY-AK-missing as WARN but still acceptable.
+    coverageCheck({
+      expected: STATES_50_PLUS_DC_US,
+      present: (data) => Object.keys(data.byState),
+      tolerateMissing: ["AK"],
+      tolerateReason: "AK missing in latest EIA output; publishing remainder."
+    }),
+    // Range check (no negatives)
+    rangeCheck({
+      cells: (data) =>
+        Object.entries(data.byState).flatMap(([state, sectors]) =>
+          Object.entries(sectors ?? {}).map(([sector, value]) => ({ state, sector, value }))
+        ),
+      isValid: (v) => v === null || v >= 0,
+      anomalyType: "negative_values"
+    }),
+    // YoY delta per state + sector vs the previous artifact
+    maxDeltaCheck({
+      pairs: (data, { prevArtifact }) => {
+        const prevByState = prevArtifact?.values?.by_state ?? null;
+        if (!prevByState) return null;
+
+        const tol = efficiencyDeltaTolerances();
+        return Object.entries(data.byState).flatMap(([state, sectors]) =>
+          Object.entries(sectors ?? {}).map(([sector, next]) => ({
+            state,
+            sector,
+            next,
+            prev: prevByState[state]?.[sector] ?? null,
+            maxPct: deltaTolerancePct(state, sector, tol)
+          }))
+        );
+      },
+      maxPct: EFFICIENCY_DELTA_TOLERANCES.default_pct,
+      reason: "Large YoY delta in efficiency costs flagged; published but monitored."
+    }),
+    // Each state + sector vs its own earlier years; an outlier cell keeps its previous value.
+    // Program spending is lumpy, so the scale floor is 10% of the median rather than the default 2%.
+    robustZScoreCheck({
+      series: (data, { prevArtifact }) => {
+        const prevByState = prevArtifact?.values?.by_state ?? {};
+        return Object.entries(data.byState).flatMap(([state, sectors]) =>
+          Object.entries(sectors ?? {}).map(([sector, next]) => ({
+            state,
+            sector,
+            next,
+            history: data.historyByState[state]?.[sector] ?? [],
+            fallback: prevByState[state]?.[sector]
+          }))
+        );
+      },
+      maxZ: 5,
+      minHistory: 4,
+      minRelativeScale: 0.1,
+      reason: "Outlier vs earlier years; quarantined state/sector value(s) keep their last-known-good value."
+    })
+  ],
+
+  buildArtifact: (data, { generatedAt, quarantined = [] }) => {
+    const byState = {};
+    for (const [state, sectors] of Object.entries(data.byState)) byState[state] = { ...sectors };
+    for (const q of quarantined) byState[q.state][q.sector] = q.fallback;
+
+    return {
+      version: 1,
+      source: "EIA",
+      dataset: "state-electricity-profiles/energy-efficiency",
+      metric: "all-other-costs",
+      data_period: data.period,
+      fetched_at_utc: generatedAt,
+      values: {
+        by_state: byState,
+        ...(quarantined.length ? { quarantined: quarantined.map((q) => ({ state: q.state, sector: q.sector })) } : {})
+      }
+    };
+  }
+};
@@ -0,0 +1,302 @@
+// netlify/functions/_lib/jobs/electricity-rates.js
+//
+// Ingestion jobs: EIA electricity prices (cents/kWh) by sector and state, as two separate series:
+//   - annual  -> electricity_rates_latest          (stable yearly figure)
+//   - monthly -> electricity_rates_monthly_latest  (states + US, current within ~2 months)
+//
+// Both are partitioned by sector (RES, COM, IND, TRA): each sector is validated on its own and gets its
+// own status row; a sector that fails validation keeps its last-known-good values in the artifact.
+//
+// The outlier check compares each state with the earlier periods of the same response (the annual query
+// returns every year, the monthly one two years), so it works from the first run instead of waiting for
+// years of per-period snapshots to pile up.
+
+import { eiaUrl } from "../eia.js";
+import { coverageCheck, rangeCheck, maxDeltaCheck, robustZScoreCheck } from "../ingest-validators.js";
+import { findUnknownCodes } from "../unknown-codes.js";
+
+const STATE_CODES_50_PLUS_DC = [
+  "AL","AK","AZ","AR","CA","CO","CT","DE","FL","GA",
+  "HI","ID","IL","IN","IA","KS","KY","LA","ME","MD",
+  "MA","MI","MN","MS","MO","MT","NE","NV","NH","NJ",
+  "NM","NY","NC","ND","OH","OK","OR","PA","RI","SC",
+  "SD","TN","TX","UT","VT","VA","WA","WV","WI","WY",
+  "DC"
+];
+
+const STATE_CODES_50_PLUS_DC_US = [...STATE_CODES_50_PLUS_DC, "US"];
+
+export const ELECTRICITY_SECTORS = {
+  RES: "residential",
+  COM: "commercial",
+  IND: "industrial",
+  TRA: "transportation"
+};
+
+function pad2(n) {
+  return String(n).padStart(2, "0");
+}
+
+function startForMonthsBack(monthsBack) {
+  const d = new Date();
+  d.setUTCMonth(d.getUTCMonth() - monthsBack);
+  return `${d.getUTCFullYear()}-${pad2(d.getUTCMonth() + 1)}`;
+}
+
+async function fetchEiaRatesBySector(eia, { frequency, stateIds, start = null, historyDepth = 0 }) {
+  const base = eiaUrl("electricity/retail-sales/data");
+  const params = new URLSearchParams();
+  params.set("frequency", frequency);
+  params.append("data[]", "price");
+  for (const sec of Object.keys(ELECTRICITY_SECTORS)) params.append("facets[sectorid][]", sec);
+  // Always ask for US too: transportation is only reported for a handful of states.
+  for (const s of new Set([...stateIds, "US"])) params.append("facets[stateid][]", s);
+
+  if (start) params.set("start", start);
+
+  params.append("sort[0][column]", "period");
+  params.append("sort[0][direction]", "desc");
+
+  const url = `${base}?${params.toString()}`;
+  const { rows, total, pages } = await eia.fetchPaged(url);
+  if (rows.length === 0) throw new Error("EIA retail-sales returned no data");
+
+  const latestPeriod = String(rows[0]?.period ?? "");
+  if (!latestPeriod) throw new Error("EIA retail-sales missing period");
+
+  const latestRows = rows.filter(r => String(r?.period ?? "") === latestPeriod);
+
+  const bySector = {};
+  for (const sec of Object.keys(ELECTRICITY_SECTORS)) bySector[sec] = {};
+
+  for (const r of latestRows) {
+    const st = r?.stateid;
+    const sec = r?.sectorid;
+    const v = Number(r?.price);
+    // Withheld cells come back as price: null, which Number() would turn into 0.
+    if (!st || !bySector[sec] || r?.price === null || !Number.isFinite(v)) continue;
+    bySector[sec][st] = v; // cents per kWh
+  }
+
+  // Up to historyDepth earlier periods per sector and state, newest first (null where withheld).
+  const historyPeriods = [...new Set(rows.map((r) => String(r?.period ?? "")))]
+    .filter((p) => p && p < latestPeriod)
+    .sort()
+    .reverse()
+    .slice(0, historyDepth);
+  const historyBySector = {};
+  for (const sec of Object.keys(ELECTRICITY_SECTORS)) historyBySector[sec] = {};
+
+  for (const r of rows) {
+    const i = historyPeriods.indexOf(String(r?.period ?? ""));
+    const st = r?.stateid;
+    const sec = r?.sectorid;
+    if (i < 0 || !st || !historyBySector[sec]) continue;
+    const v = Number(r?.price);
+    const series = (historyBySector[sec][st] ??= Array(historyPeriods.length).fill(null));
+    series[i] = r?.price === null || !Number.isFinite(v) ? null : v;
+  }
+
+  const unknownCodes = findUnknownCodes(rows, {
+    route: "electricity/retail-sales",
+    checks: [
+      { kind: "states", column: "stateid", known: [...stateIds, "US"], nameColumn: "stateDescription" },
+      { kind: "sectors", column: "sectorid", known: Object.keys(ELECTRICITY_SECTORS), nameColumn: "sectorName" }
+    ]
+  });
+
+  return {
+    period: latestPeriod,
+    bySector,
+    historyBySector,
+    diagnostics: {
+      pages,
+      rows_fetched: rows.length,
+      total,
+      history_periods: historyPeriods.length,
+      unknown_codes: unknownCodes
+    }
+  };
+}
+
+function sectorValidators({ sector, expected, maxDeltaPct, deltaReason }) {
+  return [
+    coverageCheck({
+      expected,
+      present: (data) => Object.keys(data.byState)
+    }),
+    // Range sanity: cents/kWh, allow 0 < v < 100
+    rangeCheck({
+      cells: (data) => Object.entries(data.byState).map(([state, value]) => ({ sector, state, value })),
+      isValid: (v) => v > 0 && v < 100
+    }),
+    maxDeltaCheck({
+      pairs: (data, { prevArtifact }) => {
+        const prevMap = prevSectorValues(prevArtifact, sector);
+        if (!prevMap) return null;
+        return Object.keys(data.byState).map((st) => ({
+          sector,
+          state: st,
+          next: data.byState[st],
+          prev: prevMap[st]
+        }));
+      },
+      maxPct: maxDeltaPct,
+      reason: deltaReason
+    }),
+    // Each state vs its own earlier periods; an outlier state keeps its previous value, the rest publish.
+    robustZScoreCheck({
+      series: (data, { prevArtifact }) => {
+        const prevMap = prevSectorValues(prevArtifact, sector) ?? {};
+        return Object.keys(data.byState).map((st) => ({
+          sector,
+          state: st,
+          next: data.byState[st],
+          history: data.history[st] ?? [],
+          fallback: prevMap[st]
+        }));
+      },
+      maxZ: 5,
+      minHistory: 4,
+      reason: "Outlier vs trailing history; quarantined state(s) keep their last-known-good value."
+    })
+  ];
+}
+
+// Version 1 artifacts were residential-only and kept the map at values.by_state_cents_per_kwh.
+function prevSectorValues(prevArtifact, sector) {
+  const bySector = prevArtifact?.values?.by_sector;
+  if (bySector) return bySector[sector]?.by_state_cents_per_kwh ?? null;
+  return sector === "RES" ? (prevArtifact?.values?.by_state_cents_per_kwh ?? null) : null;
+}
+
+function electricityRatesJob({
+  job,
+  frequency,
+  artifact_key,
+  thresholds,
+  dedupe_key,
+  label,
+  stateIds,
+  monthsBack,
+  maxDeltaPct,
+  deltaReason,
+  historyPeriods
+}) {
+  // Transportation (rail/transit) is only published for a few states; require the national figure only.
+  const expectedBySector = { RES: stateIds, COM: stateIds, IND: stateIds, TRA: ["US"] };
+
+  return {
+    job,
+    source: "EIA",
+    calculator: "electricity",
+    artifact_key,
+    thresholds,
+    dedupe_key,
+    label,
+
+    fetch: ({ eia }) =>
+      fetchEiaRatesBySector(eia, {
+        frequency,
+        stateIds,
+        start: monthsBack ? startForMonthsBack(monthsBack) : null,
+        historyDepth: historyPeriods
+      }),
+
+    partitions: Object.entries(ELECTRICITY_SECTORS).map(([sector, name]) => ({
+      key: sector,
+      label: `${label} (${name})`,
+      dedupe_key: `${dedupe_key}:${sector}`,
+      validators: sectorValidators({ sector, expected: expectedBySector[sector], maxDeltaPct, deltaReason })
+    })),
+
+    selectPartition: (data, sector) => ({
+      period: data.period,
+      byState: data.bySector[sector] ?? {},
+      history: data.historyBySector[sector] ?? {}
+    }),
+
+    hasPartition: (prevArtifact, sector) => !!prevSectorValues(prevArtifact, sector),
+
+    // Sectors that failed validation carry their previous values (and data_period) forward;
+    // quarantined states inside an accepted sector keep their previous value.
+    buildArtifact: (data, { generatedAt, accepted, prevArtifact, quarantined = [] }) => {
+      const bySector = {};
+      for (const sector of Object.keys(ELECTRICITY_SECTORS)) {
+        if (accepted.includes(sector)) {
+          const values = { ...data.bySector[sector] };
+          const held = quarantined.filter((q) => q.sector === sector);
+          for (const q of held) values[q.state] = q.fallback;
+
+          bySector[sector] = {
+            data_period: data.period,
+            fallback: false,
+            ...(held.length ? { quarantined_states: held.map((q) => q.state) } : {}),
+            by_state_cents_per_kwh: values
+          };
+          continue;
+        }
+
+        const prevValues = prevSectorValues(prevArtifact, sector);
+        if (!prevValues) continue;
+        bySector[sector] = {
+          data_period: prevArtifact.values?.by_sector?.[sector]?.data_period ?? prevArtifact.data_period,
+          fallback: true,
+          by_state_cents_per_kwh: prevValues
+        };
+      }
+
+      return {
+        version: 2,
+        source: "EIA",
+        dataset: "electricity/retail-sales",
+        metric: "price",
+        sectors: Object.keys(bySector),
+        frequency,
+        data_period: data.period,
+        fetched_at_utc: generatedAt,
+        units: "cents_per_kwh",
+        values: {
+          by_sector: bySector,
+          // Residential map at its version 1 location for existing consumers.
+          by_state_cents_per_kwh: bySector.RES?.by_state_cents_per_kwh ?? {}
+        }
+      };
+    }
+  };
+}
+
+// Job ids, artifact keys and dedupe keys predate the sector split and stay as-is so history lines up.
+export const electricityRatesResJob = electricityRatesJob({
+  job: "eia_electricity_rates_res",
+  frequency: "annual",
+  artifact_key: "electricity_rates_latest",
+  // Annual series: a new period lands roughly once a year.
+  thresholds: { warn_after_days: 400, error_after_days: 800 },
+  dedupe_key: "electricity:rates_res",
+  label: "EIA electricity prices",
+  stateIds: STATE_CODES_50_PLUS_DC,
+  monthsBack: null,
+  // Annual series: very loose, only flag extreme
+  maxDeltaPct: 60,
+  deltaReason: "Large YoY delta flagged; published but monitored.",
+  // Earlier years the outlier check compares each state with.
+  historyPeriods: 8
+});
+
+export const electricityRatesResMonthlyJob = electricityRatesJob({
+  job: "eia_electricity_rates_res_monthly",
+  frequency: "monthly",
+  artifact_key: "electricity_rates_monthly_latest",
+  thresholds: { warn_after_days: 45, error_after_days: 90 },
+  dedupe_key: "electricity:rates_res_monthly",
+  label: "EIA electricity prices (monthly)",
+  stateIds: STATE_CODES_50_PLUS_DC_US,
+  // Two years is plenty to find the latest month without paging through all history.
+  monthsBack: 24,
+  // Month-over-month moves are seasonal (summer/winter tiers); flag only large jumps.
+  maxDeltaPct: 35,
+  deltaReason: "Large month-over-month delta flagged; published but monitored.",
+  // A full year so summer/winter swings are part of the baseline.
+  historyPeriods: 12
+});
@@ -0,0 +1,55 @@
+// netlify/functions/_lib/jobs/heating-fuels.js
+//
+// Ingestion job: EIA heating fuel prices (heating oil + propane weekly, residential natural gas monthly).
+// The artifact keeps the same payload shape /api/heating_fuels_latest.json has always returned.
+
+import { fetchHeatingFuels } from "../fuels/heating-fuels.js";
+import { fuelValidators, withQuarantinedRows } from "../fuels/fuel-validators.js";
+
+export const heatingFuelsJob = {
+  job: "eia_heating_fuels",
+  source: "EIA",
+  calculator: "energy-prices",
+  artifact_key: "heating_fuels_latest",
+  // Combined period advances at least monthly (natural gas), weekly in heating season.
+  thresholds: { warn_after_days: 45, error_after_days: 90 },
+  dedupe_key: "energy-prices:heating_fuels",
+  label: "EIA heating fuel prices",
+
+  fetch: async ({ eia, loadGeoConfigs }) => {
+    const cfg = await loadGeoConfigs();
+    const payload = await fetchHeatingFuels({ eia, cfg });
+
+    return {
+      ...payload,
+      period: `${payload.latest.petroleum_week}_${payload.latest.natural_gas_month}`,
+      diagnostics: {
+        pages: payload.counts.petroleum_pages + payload.counts.natural_gas_pages,
+        rows_fetched: payload.counts.petroleum_rows_fetched_total,
+        total: null,
+        unknown_codes: payload.unknown_codes
+      }
+    };
+  },
+
+  // Hawaii residential natural gas runs far above the mainland; keep the ceiling generous.
+  validators: fuelValidators({
+    fuels: ["Heating Oil", "Propane", "Natural Gas"],
+    maxPrice: 150,
+    maxDeltaPct: 50
+  }),
+
+  buildArtifact: (data, { generatedAt, prevArtifact, quarantined = [] }) => ({
+    version: 1,
+    source: "EIA",
+    dataset: "heating_fuels_latest",
+    data_period: data.period,
+    fetched_at_utc: generatedAt,
+    latest: data.latest,
+    windows: data.windows,
+    sources: data.sources,
+    counts: data.counts,
+    ...(quarantined.length ? { quarantined: quarantined.map((q) => ({ fuel: q.fuel, geo_code: q.geo_code })) } : {}),
+    rows: withQuarantinedRows(data.rows, quarantined, prevArtifact)
+  })
+};
@@ -0,0 +1,41 @@
+// netlify/functions/_lib/jobs/index.js
+//
+// Ingestion job registry. The daily updater runs every job listed here, in order,
+// and derives system_status.artifacts, updater_last_run.jobs and recent_flags from the results.
+//
+// A job declares:
+//   job            stable job id (updater_last_run.jobs[].job)
+//   source         upstream label ("EIA")
+//   calculator     calculator the artifact feeds
+//   artifact_key   blob key in the "artifacts" store (status row is `${artifact_key}.json`)
+//   thresholds     { warn_after_days, error_after_days }
+//   dedupe_key     recent_flags dedupe key
+//   label          human label used in job messages + flag summaries
+//   fetch          async ({ eia, loadGeoConfigs }) -> data (eia is the run's client from _lib/eia.js; data must
+//                  include data.period; optional data.diagnostics such as { pages, rows_fetched, total } lands
+//                  in updater_last_run.jobs[].diagnostics)
+//   validators     see _lib/ingest-validators.js
+//                  (outlier checks compare against the earlier periods the query already returns, passed in
+//                  data; see electricity-rates.js)
+//   buildArtifact  (data, { generatedAt, prevArtifact, accepted, quarantined }) -> artifact JSON to publish
+//                  (quarantined = cells validators held back; publish their `fallback` value instead)
+//
+// Optional partitioning (one status row, flag and fallback per partition, e.g. electricity sectors):
+//   partitions       [{ key, label, dedupe_key, validators }] (replaces the job-level validators;
+//                    status row is `${artifact_key}.json#${key}`)
+//   selectPartition  (data, key) -> the slice of data the partition's validators see
+//   hasPartition     (prevArtifact, key) -> whether a last-known-good exists for that partition
+// buildArtifact then receives `accepted` (partition keys that passed) and merges the rest from prevArtifact.
+
+import { electricityRatesResJob, electricityRatesResMonthlyJob } from "./electricity-rates.js";
+import { efficiencyAllOtherCostsJob } from "./efficiency-all-other-costs.js";
+import { heatingFuelsJob } from "./heating-fuels.js";
+import { transportationFuelsJob } from "./transportation-fuels.js";
+
+export const INGEST_JOBS = [
+  electricityRatesResJob,
+  electricityRatesResMonthlyJob,
+  efficiencyAllOtherCostsJob,
+  heatingFuelsJob,
+  transportationFuelsJob
+];
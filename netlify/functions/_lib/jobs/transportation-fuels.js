@@ -0,0 +1,54 @@
+// netlify/functions/_lib/jobs/transportation-fuels.js
+//
+// Ingestion job: EIA retail gasoline + diesel prices (weekly).
+// The artifact keeps the same payload shape /api/transportation_fuels_latest.json has always returned.
+
+import { fetchTransportationFuels } from "../fuels/transportation-fuels.js";
+import { fuelValidators, withQuarantinedRows } from "../fuels/fuel-validators.js";
+
+export const transportationFuelsJob = {
+  job: "eia_transportation_fuels",
+  source: "EIA",
+  calculator: "energy-prices",
+  artifact_key: "transportation_fuels_latest",
+  thresholds: { warn_after_days: 14, error_after_days: 30 },
+  dedupe_key: "energy-prices:transportation_fuels",
+  label: "EIA transportation fuel prices",
+
+  fetch: async ({ eia, loadGeoConfigs }) => {
+    const cfg = await loadGeoConfigs();
+    const payload = await fetchTransportationFuels({ eia, cfg });
+
+    return {
+      ...payload,
+      period: payload.latest.petroleum_week,
+      diagnostics: {
+        pages: payload.counts.petroleum_pages,
+        rows_fetched: payload.counts.petroleum_rows_fetched_total,
+        total: null,
+        unknown_codes: payload.unknown_codes
+      }
+    };
+  },
+
+  validators: fuelValidators({
+    fuels: ["Diesel", "Gasoline"],
+    maxPrice: 20,
+    maxDeltaPct: 40
+  }),
+
+  buildArtifact: (data, { generatedAt, prevArtifact, quarantined = [] }) => ({
+    version: 1,
+    source: "EIA",
+    dataset: "transportation_fuels_latest",
+    data_period: data.period,
+    fetched_at_utc: generatedAt,
+    latest: data.latest,
+    windows: data.windows,
+    selection: data.selection,
+    sources: data.sources,
+    counts: data.counts,
+    ...(quarantined.length ? { quarantined: quarantined.map((q) => ({ fuel: q.fuel, geo_code: q.geo_code })) } : {}),
+    rows: withQuarantinedRows(data.rows, quarantined, prevArtifact)
+  })
+};
@@ -0,0 +1,289 @@
+// netlify/functions/_lib/overrides.js
+//
+// Manual data corrections, applied on top of source artifacts at read time.
+//
+// One override replaces one cell: (dataset, fuel, geo, period) -> value. For electricity datasets
+// "fuel" is the sector (RES, COM, IND, TRA) and "geo" the state code. Overrides only match the period
+// they were written for, so a new EIA release supersedes them naturally; every override also expires.
+//
+// Blobs in the "system" store:
+//   data_overrides        { schema_version, overrides: [ { id, dataset, fuel, geo, period, value, reason,
+//                                                          author, created_at_utc, updated_at_utc, expires_at_utc } ] }
+//   data_overrides_audit  { schema_version, entries: [ { at_utc, action, id, author, reason, before, after } ] }
+//                         newest first; action is create | update | delete | expire
+//   data_overrides_lock   lease (see run-lock.js) held while both are rewritten, so concurrent admin
+//                         writes queue instead of dropping each other's entries
+//
+// geo must be a geo_code from geo_accept_lists_v1 (electricity: a two-letter state, DC or US code).
+
+import { acquireLock, releaseLock } from "./run-lock.js";
+
+export const OVERRIDES_KEY = "data_overrides";
+export const OVERRIDES_AUDIT_KEY = "data_overrides_audit";
+export const OVERRIDES_LOCK_KEY = "data_overrides_lock";
+
+const MAX_AUDIT_ENTRIES = 1000;
+const LOCK_LEASE_MS = 30 * 1000;
+const LOCK_WAIT_MS = 10 * 1000;
+const DEFAULT_TTL_DAYS = 30;
+const MAX_TTL_DAYS = 180;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const ELECTRICITY_SECTORS = ["RES", "COM", "IND", "TRA"];
+
+// dataset -> fuels an override may target
+export const OVERRIDE_DATASETS = {
+  heating_fuels_latest: ["Heating Oil", "Propane", "Natural Gas"],
+  transportation_fuels_latest: ["Diesel", "Gasoline"],
+  electricity_rates_latest: ELECTRICITY_SECTORS,
+  electricity_rates_monthly_latest: ELECTRICITY_SECTORS
+};
+
+function fail(msg) {
+  throw new Error(`OVERRIDES: ${msg}`);
+}
+
+export function overrideId({ dataset, fuel, geo, period }) {
+  return `${dataset}|${fuel}|${geo}|${period}`;
+}
+
+function isActive(o, nowMs) {
+  return Date.parse(o.expires_at_utc) > nowMs;
+}
+
+export async function loadOverrides(systemStore) {
+  const doc = await systemStore.get(OVERRIDES_KEY, { type: "json" });
+  return Array.isArray(doc?.overrides) ? doc : { schema_version: 1, overrides: [] };
+}
+
+export async function loadActiveOverrides(systemStore, nowMs = Date.now()) {
+  return (await loadOverrides(systemStore)).overrides.filter((o) => isActive(o, nowMs));
+}
+
+export async function loadOverrideAudit(systemStore) {
+  const doc = await systemStore.get(OVERRIDES_AUDIT_KEY, { type: "json" });
+  return Array.isArray(doc?.entries) ? doc : { schema_version: 1, entries: [] };
+}
+
+// Electricity artifacts are keyed by state (plus DC and US); the other geo codes are fuel regions.
+function isElectricityGeo(geo) {
+  return /^[A-Z]{2}$/.test(geo);
+}
+
+/**
+ * Validate + normalize an override request body against the geo universe of the accept-list configs
+ * (geoCodes: Set of geo_codes). Throws OVERRIDES: on bad input.
+ */
+export function normalizeOverride(input, { nowMs, geoCodes }) {
+  const dataset = String(input?.dataset ?? "");
+  const fuel = String(input?.fuel ?? "");
+  const geo = String(input?.geo ?? "").toUpperCase();
+  const period = String(input?.period ?? "");
+  const value = Number(input?.value);
+  const reason = String(input?.reason ?? "").trim();
+  const author = String(input?.author ?? "").trim();
+
+  if (!OVERRIDE_DATASETS[dataset]) fail(`unknown dataset "${dataset}" (${Object.keys(OVERRIDE_DATASETS).join(", ")}).`);
+  if (!OVERRIDE_DATASETS[dataset].includes(fuel)) {
+    fail(`unknown fuel "${fuel}" for ${dataset} (${OVERRIDE_DATASETS[dataset].join(", ")}).`);
+  }
+  if (!geoCodes.has(geo) || (dataset.startsWith("electricity_") && !isElectricityGeo(geo))) {
+    fail(`unknown geo "${geo}" for ${dataset} (not a geo_code in geo_accept_lists_v1).`);
+  }
+  if (!/^[0-9A-Za-z_-]+$/.test(period)) fail(`invalid period "${period}".`);
+  if (input?.value === null || input?.value === undefined || !Number.isFinite(value) || value <= 0) {
+    fail("value must be a positive number.");
+  }
+  if (!reason) fail("reason is required.");
+  if (!author) fail("author is required.");
+
+  const expiresMs = input?.expires_at_utc ? Date.parse(input.expires_at_utc) : nowMs + DEFAULT_TTL_DAYS * DAY_MS;
+  if (!Number.isFinite(expiresMs)) fail("expires_at_utc must be an ISO timestamp.");
+  if (expiresMs <= nowMs) fail("expires_at_utc must be in the future.");
+  if (expiresMs > nowMs + MAX_TTL_DAYS * DAY_MS) fail(`expires_at_utc may be at most ${MAX_TTL_DAYS} days out.`);
+
+  return { dataset, fuel, geo, period, value, reason, author, expires_at_utc: new Date(expiresMs).toISOString() };
+}
+
+// Expired overrides are dropped (and audited) whenever the list is written.
+function dropExpired(overrides, nowUtc, audit) {
+  const nowMs = Date.parse(nowUtc);
+  return overrides.filter((o) => {
+    if (isActive(o, nowMs)) return true;
+    audit.push({ at_utc: nowUtc, action: "expire", id: o.id, author: "system", reason: "Expired.", before: o, after: null });
+    return false;
+  });
+}
+
+async function save(systemStore, overrides, auditAdds) {
+  await systemStore.set(OVERRIDES_KEY, JSON.stringify({ schema_version: 1, overrides }), {
+    contentType: "application/json"
+  });
+
+  const audit = await loadOverrideAudit(systemStore);
+  const entries = [...auditAdds.reverse(), ...audit.entries].slice(0, MAX_AUDIT_ENTRIES);
+  await systemStore.set(OVERRIDES_AUDIT_KEY, JSON.stringify({ schema_version: 1, entries }), {
+    contentType: "application/json"
+  });
+}
+
+// Run `fn` holding the overrides lease; throws OVERRIDES_BUSY: if another write keeps it past LOCK_WAIT_MS.
+async function withOverridesLock(systemStore, nowUtc, fn) {
+  const owner = `overrides:${nowUtc}#${crypto.randomUUID().slice(0, 8)}`;
+  const lease = await acquireLock(systemStore, {
+    key: OVERRIDES_LOCK_KEY,
+    owner,
+    trigger: "overrides",
+    leaseMs: LOCK_LEASE_MS,
+    waitMs: LOCK_WAIT_MS
+  });
+  if (!lease.acquired) {
+    throw new Error(`OVERRIDES_BUSY: another override write (${lease.heldBy?.owner ?? "unknown"}) is in progress; try again.`);
+  }
+
+  try {
+    return await fn();
+  } finally {
+    await releaseLock(systemStore, owner, { key: OVERRIDES_LOCK_KEY });
+  }
+}
+
+/**
+ * Create or update one override. geoConfigs: loadAndValidateGeoConfigs() output.
+ */
+export async function upsertOverride(systemStore, input, { nowUtc, geoConfigs }) {
+  const o = normalizeOverride(input, {
+    nowMs: Date.parse(nowUtc),
+    geoCodes: geoConfigs.validation.acceptInfo.geoUniverse
+  });
+  return withOverridesLock(systemStore, nowUtc, () => writeOverride(systemStore, o, { nowUtc }));
+}
+
+async function writeOverride(systemStore, o, { nowUtc }) {
+  const id = overrideId(o);
+
+  const auditAdds = [];
+  const current = dropExpired((await loadOverrides(systemStore)).overrides, nowUtc, auditAdds);
+  const before = current.find((x) => x.id === id) ?? null;
+
+  const after = {
+    id,
+    ...o,
+    created_at_utc: before?.created_at_utc ?? nowUtc,
+    updated_at_utc: nowUtc
+  };
+
+  auditAdds.push({ at_utc: nowUtc, action: before ? "update" : "create", id, author: o.author, reason: o.reason, before, after });
+  await save(systemStore, [...current.filter((x) => x.id !== id), after], auditAdds);
+  return after;
+}
+
+export async function deleteOverride(systemStore, id, { author, reason, nowUtc }) {
+  if (!String(author ?? "").trim()) fail("author is required.");
+
+  return withOverridesLock(systemStore, nowUtc, async () => {
+    const auditAdds = [];
+    const current = dropExpired((await loadOverrides(systemStore)).overrides, nowUtc, auditAdds);
+    const before = current.find((x) => x.id === id);
+    if (!before) fail(`no active override "${id}".`);
+
+    auditAdds.push({ at_utc: nowUtc, action: "delete", id, author, reason: reason ?? null, before, after: null });
+    await save(systemStore, current.filter((x) => x.id !== id), auditAdds);
+    return before;
+  });
+}
+
+function overrideMeta(o) {
+  return { id: o.id, reason: o.reason, author: o.author, expires_at_utc: o.expires_at_utc };
+}
+
+/**
+ * Apply overrides to combineLatest() output (rows of both fuel datasets). Matching rows get the
+ * override price and is_override: true; a geo with no source row gets one, cloned from a row of the
+ * same (dataset, fuel, period) and named from cfg's geo_display_names_v1. Unmatched overrides are
+ * ignored. Returns a new object.
+ */
+export function applyFuelOverrides(combined, overrides, cfg) {
+  const geoNames = cfg.geo_display_names_v1.geo_display_names;
+  const fuelOverrides = overrides.filter(
+    (o) => o.dataset === "heating_fuels_latest" || o.dataset === "transportation_fuels_latest"
+  );
+  const rows = (combined.rows ?? []).map((r) => ({ ...r, is_override: false }));
+  let applied = 0;
+
+  for (const o of fuelOverrides) {
+    const same = (r) => r.dataset === o.dataset && r.fuel === o.fuel && String(r.period) === o.period;
+    const hit = rows.find((r) => same(r) && r.geo_code === o.geo);
+
+    if (hit) {
+      hit.source_price = hit.price ?? null;
+      hit.price = o.value;
+      hit.is_override = true;
+      hit.override = overrideMeta(o);
+      applied += 1;
+      continue;
+    }
+
+    const sibling = rows.find(same);
+    if (!sibling) continue;
+    rows.push({
+      ...sibling,
+      geo_code: o.geo,
+      geo_display_name: geoNames[o.geo] || o.geo,
+      price: o.value,
+      source_price: null,
+      source_route: null,
+      source_series: null,
+      is_override: true,
+      override: overrideMeta(o)
+    });
+    applied += 1;
+  }
+
+  return {
+    ...combined,
+    counts: { ...(combined.counts ?? {}), overrides_applied: applied },
+    rows
+  };
+}
+
+/**
+ * Apply overrides to a (version 2, sector-keyed) electricity artifact. Overridden states get the
+ * override value in by_state_cents_per_kwh and an entry in by_sector[SEC].overrides_by_state
+ * with is_override: true. Returns a new artifact.
+ */
+export function applyElectricityOverrides(artifact, artifactKey, overrides) {
+  const bySector = artifact?.values?.by_sector;
+  if (!bySector) return artifact;
+
+  const nextBySector = {};
+  let applied = 0;
+
+  for (const [sector, entry] of Object.entries(bySector)) {
+    const period = entry.data_period ?? artifact.data_period;
+    const mine = overrides.filter((o) => o.dataset === artifactKey && o.fuel === sector && o.period === period);
+    if (mine.length === 0) {
+      nextBySector[sector] = entry;
+      continue;
+    }
+
+    const values = { ...entry.by_state_cents_per_kwh };
+    const overridesByState = {};
+    for (const o of mine) {
+      overridesByState[o.geo] = { is_override: true, value: o.value, source_value: values[o.geo] ?? null, ...overrideMeta(o) };
+      values[o.geo] = o.value;
+      applied += 1;
+    }
+    nextBySector[sector] = { ...entry, by_state_cents_per_kwh: values, overrides_by_state: overridesByState };
+  }
+
+  return {
+    ...artifact,
+    overrides_applied: applied,
+    values: {
+      ...artifact.values,
+      by_sector: nextBySector,
+      by_state_cents_per_kwh: nextBySector.RES?.by_state_cents_per_kwh ?? artifact.values.by_state_cents_per_kwh
+    }
+  };
+}
@@ -0,0 +1,140 @@
+// netlify/functions/_lib/run-ledger.js
+//
+// Updater run ledger: one compact record per run, newest first, in the "system" blob store
+// (key: updater_runs). system_status.updater_last_run only ever holds the latest run; the ledger
+// answers "when did ingestion start failing" and "how long has each job been taking".
+//
+// Capped at MAX_RUN_RECORDS (daily schedule + manual runs -> well over a year of history).
+//
+// Only the holder of the updater lock rewrites updater_runs. A run skipped because the lock was held
+// writes its record to its own key under SKIPPED_RUNS_PREFIX instead, so it cannot race the holder's
+// read-modify-write; readers merge those records in, and the next lock holder folds them into the ledger.
+
+export const RUN_LEDGER_KEY = "updater_runs";
+export const SKIPPED_RUNS_PREFIX = "updater_runs_skipped/";
+export const MAX_RUN_RECORDS = 500;
+
+/**
+ * Compact ledger record from a freshly built system_status document.
+ */
+export function runRecord(status, { trigger = "scheduled" } = {}) {
+  const run = status?.updater_last_run ?? {};
+
+  return {
+    run_id: run.run_id,
+    trigger,
+    started_at_utc: run.started_at_utc,
+    finished_at_utc: run.finished_at_utc,
+    duration_ms: run.duration_ms,
+    result: run.result,
+    overall_health: status?.overall_health?.status ?? null,
+    jobs: (run.jobs ?? []).map((j) => ({
+      job: j.job,
+      updated: j.updated,
+      data_period: j.data_period_detected ?? null,
+      duration_ms: j.duration_ms ?? null,
+      ...(j.partitions ? { partitions: j.partitions } : {}),
+      ...(j.error ? { error: j.error } : {})
+    })),
+    errors: run.errors ?? [],
+    warnings: run.warnings ?? []
+  };
+}
+
+/**
+ * Ledger record for a run that never started because another run held the updater lock.
+ */
+export function lockedRunRecord({ runId, trigger, jobs, heldBy, startedAtMs, finishedAtMs }) {
+  const message = `skipped: locked (held by ${heldBy?.owner ?? "unknown"} until ${heldBy?.expires_at_utc ?? "unknown"})`;
+  return {
+    run_id: runId,
+    trigger,
+    started_at_utc: new Date(startedAtMs).toISOString(),
+    finished_at_utc: new Date(finishedAtMs).toISOString(),
+    duration_ms: finishedAtMs - startedAtMs,
+    result: "SKIPPED",
+    overall_health: null,
+    jobs: jobs.map((j) => ({ job: j.job, updated: false, data_period: null, duration_ms: null, skipped: "locked", message })),
+    errors: [],
+    warnings: [message]
+  };
+}
+
+async function loadSkippedRecords(systemStore) {
+  const { blobs } = await systemStore.list({ prefix: SKIPPED_RUNS_PREFIX });
+  const records = [];
+  for (const { key } of blobs) {
+    const record = await systemStore.get(key, { type: "json" });
+    if (record) records.push({ key, record });
+  }
+  return records;
+}
+
+// Newest first by run_id (the run's start time). Runs can share a run_id (two starting in the same
+// millisecond), so only identical records are dropped: a skipped record folded in by a holder that
+// failed to delete its key afterwards.
+function mergeRuns(records, maxRecords) {
+  const seen = new Map();
+  for (const r of records) {
+    const id = JSON.stringify(r);
+    if (!seen.has(id)) seen.set(id, r);
+  }
+  return [...seen.values()].sort((a, b) => (a.run_id < b.run_id ? 1 : a.run_id > b.run_id ? -1 : 0)).slice(0, maxRecords);
+}
+
+/**
+ * The ledger as readers see it: updater_runs plus skipped-run records not yet folded in.
+ */
+export async function loadRunLedger(systemStore) {
+  const ledger = await systemStore.get(RUN_LEDGER_KEY, { type: "json" });
+  const runs = Array.isArray(ledger?.runs) ? ledger.runs : [];
+  const skipped = await loadSkippedRecords(systemStore);
+  return { schema_version: 1, runs: mergeRuns([...runs, ...skipped.map((s) => s.record)], MAX_RUN_RECORDS) };
+}
+
+/**
+ * Append a run's record. Call only while holding the updater lock (see updater.js); pending skipped-run
+ * records are folded in and their keys deleted once the ledger is written.
+ */
+export async function appendRunRecord(systemStore, record, { maxRecords = MAX_RUN_RECORDS } = {}) {
+  const stored = await systemStore.get(RUN_LEDGER_KEY, { type: "json" });
+  const skipped = await loadSkippedRecords(systemStore);
+  const runs = mergeRuns([record, ...skipped.map((s) => s.record), ...(Array.isArray(stored?.runs) ? stored.runs : [])], maxRecords);
+  await systemStore.set(RUN_LEDGER_KEY, JSON.stringify({ schema_version: 1, runs }), {
+    contentType: "application/json"
+  });
+  for (const { key } of skipped) await systemStore.delete(key);
+  return record;
+}
+
+/**
+ * Record a run skipped because another run held the updater lock. Written to its own key rather than
+ * updater_runs, which only the lock holder may rewrite.
+ */
+export async function appendSkippedRunRecord(systemStore, record) {
+  const key = `${SKIPPED_RUNS_PREFIX}${record.run_id}#${crypto.randomUUID().slice(0, 8)}`;
+  await systemStore.set(key, JSON.stringify(record), { contentType: "application/json" });
+  return record;
+}
+
+/**
+ * One page of runs, newest first. `before` is a run_id cursor (exclusive); `job` narrows each
+ * record to that job and drops runs that did not include it. `total` counts the runs that match
+ * both, i.e. this page plus every page after it.
+ */
+export function pageRuns(ledger, { limit = 20, before = null, job = null } = {}) {
+  let runs = ledger.runs;
+  if (before) runs = runs.filter((r) => r.run_id < before);
+  if (job) {
+    runs = runs
+      .map((r) => ({ ...r, jobs: r.jobs.filter((j) => j.job === job) }))
+      .filter((r) => r.jobs.length > 0);
+  }
+
+  const page = runs.slice(0, limit);
+  return {
+    runs: page,
+    next_before: runs.length > limit ? page[page.length - 1].run_id : null,
+    total: runs.length
+  };
+}
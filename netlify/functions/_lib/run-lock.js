@@ -0,0 +1,95 @@
+// netlify/functions/_lib/run-lock.js
+//
+// Lease lock for updater runs, kept in the "system" blob store (key: updater_lock).
+// Scheduled and manual runs both read prevStatus and overwrite system_status, so only one may run at a time.
+//
+//   { owner: <run_id>, trigger, acquired_at_utc, expires_at_utc }
+//
+// A lease past expires_at_utc is stale (the run crashed or timed out) and is taken over by the next run.
+// Blobs has no compare-and-swap here, so acquiring is write, wait, verify with strongly consistent reads:
+// a caller that saw no live lease writes its own, waits LOCK_SETTLE_MS, and owns the lease only if its
+// write is still the visible one. Two callers racing for a free lease both write, and the later write
+// wins; the earlier writer sees it on its second check. This holds as long as every caller's read-to-write
+// gap (a store round trip or two) is shorter than the settle time. A slower one can still end up holding
+// the lease alongside the winner, so keep LOCK_SETTLE_MS well above store latency.
+//
+// Other read-modify-write blobs (admin overrides) take the same kind of lease under their own `key`.
+
+export const LOCK_KEY = "updater_lock";
+export const DEFAULT_LEASE_MS = 15 * 60 * 1000;
+
+const POLL_MS = 2000;
+const DEFAULT_SETTLE_MS = 1000;
+
+function settleMsFromEnv() {
+  const n = Number(process.env.LOCK_SETTLE_MS);
+  return Number.isInteger(n) && n >= 0 ? n : DEFAULT_SETTLE_MS;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function readLock(store, key) {
+  return store.get(key, { type: "json", consistency: "strong" });
+}
+
+function isLive(lock, nowMs) {
+  return !!lock && Date.parse(lock.expires_at_utc) > nowMs;
+}
+
+async function tryAcquire(store, { key, owner, trigger, leaseMs, settleMs }) {
+  const nowMs = Date.now();
+  const current = await readLock(store, key);
+  if (isLive(current, nowMs) && current.owner !== owner) return { acquired: false, heldBy: current };
+
+  const lock = {
+    owner,
+    trigger,
+    acquired_at_utc: new Date(nowMs).toISOString(),
+    expires_at_utc: new Date(nowMs + leaseMs).toISOString()
+  };
+  await store.set(key, JSON.stringify(lock), { contentType: "application/json" });
+
+  let check = await readLock(store, key);
+  if (check?.owner !== owner) return { acquired: false, heldBy: check };
+
+  // A caller that read before our write landed may still be about to overwrite it.
+  await sleep(settleMs);
+  check = await readLock(store, key);
+  if (check?.owner !== owner) return { acquired: false, heldBy: check };
+
+  // A lock that existed but had expired was left behind by a run that never released it.
+  return { acquired: true, lock, recoveredStale: current && current.owner !== owner ? current : null };
+}
+
+/**
+ * Acquire the updater lease (or the lease at `key`). With waitMs > 0 the caller queues (polls) until the
+ * lease frees up or the wait runs out. settleMs defaults to LOCK_SETTLE_MS (1000).
+ * Returns { acquired, lock, recoveredStale } or { acquired: false, heldBy }.
+ */
+export async function acquireLock(store, {
+  key = LOCK_KEY,
+  owner,
+  trigger,
+  leaseMs = DEFAULT_LEASE_MS,
+  waitMs = 0,
+  settleMs = settleMsFromEnv()
+}) {
+  const deadline = Date.now() + waitMs;
+  for (;;) {
+    const r = await tryAcquire(store, { key, owner, trigger, leaseMs, settleMs });
+    if (r.acquired || Date.now() + POLL_MS > deadline) return r;
+    await sleep(POLL_MS);
+  }
+}
+
+/**
+ * Release the lease if (and only if) `owner` still holds it.
+ */
+export async function releaseLock(store, owner, { key = LOCK_KEY } = {}) {
+  const current = await readLock(store, key);
+  if (current?.owner !== owner) return false;
+  await store.delete(key);
+  return true;
+}
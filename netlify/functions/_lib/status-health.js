@@ -0,0 +1,107 @@
+// netlify/functions/_lib/status-health.js
+//
+// Health rules shared by the updater (when it writes system_status) and /api/system_status
+// (when it serves it), so staleness is enforced even if the updater itself stops running.
+//
+// Freshness:
+//   age_days = now - data_period_since_utc   (when the current data_period was first published)
+//   falls back to last_successful_update_utc for rows written before data_period_since_utc existed.
+//
+//   age > thresholds.error_after_days -> ERROR
+//   age > thresholds.warn_after_days  -> WARN
+//
+// A row's status is the worse of its ingest status and its freshness level. The ingest status is
+// kept in freshness.base_status so re-evaluating (e.g. on every API read) is idempotent.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SEVERITY_RANK = { OK: 0, WARN: 1, ERROR: 2 };
+
+function worse(a, b) {
+  return (SEVERITY_RANK[b] ?? 0) > (SEVERITY_RANK[a] ?? 0) ? b : a;
+}
+
+export function evaluateFreshness(row, nowMs) {
+  const baseStatus = row?.freshness?.base_status ?? row?.status;
+  const t = row?.thresholds;
+  const since = row?.data_period_since_utc ?? row?.last_successful_update_utc ?? null;
+  const sinceMs = Date.parse(since ?? "");
+
+  if (!t || !Number.isFinite(sinceMs)) {
+    return {
+      ...row,
+      status: baseStatus,
+      freshness: { base_status: baseStatus, since_utc: since, age_days: null, level: "UNKNOWN" }
+    };
+  }
+
+  const ageDays = Math.floor((nowMs - sinceMs) / DAY_MS);
+  const level =
+    ageDays > t.error_after_days ? "ERROR" : ageDays > t.warn_after_days ? "WARN" : "OK";
+
+  return {
+    ...row,
+    status: worse(baseStatus, level),
+    freshness: { base_status: baseStatus, since_utc: since, age_days: ageDays, level }
+  };
+}
+
+export function freshnessFlags(artifacts, { timestampUtc }) {
+  return artifacts
+    .filter((a) => a?.freshness?.level === "WARN" || a?.freshness?.level === "ERROR")
+    .map((a) => ({
+      timestamp_utc: timestampUtc,
+      severity: a.freshness.level,
+      component: a.calculator,
+      dataset: a.artifact,
+      type: "freshness",
+      dedupe_key: `freshness:${a.artifact}`,
+      summary: `${a.artifact} data_period ${a.data_period} is ${a.freshness.age_days} days old (warn>${a.thresholds.warn_after_days}, error>${a.thresholds.error_after_days}).`
+    }));
+}
+
+export function summarizeHealth(artifacts) {
+  const anyError = artifacts.some(a => a.status === "ERROR");
+  const anyWarn = artifacts.some(a => a.status === "WARN");
+  const anyFallback = artifacts.some(a => a.fallback?.active);
+  const anyStale = artifacts.some(a => a.freshness?.level === "WARN" || a.freshness?.level === "ERROR");
+
+  const overall = anyError ? "BROKEN" : (anyWarn || anyFallback ? "DEGRADED" : "HEALTHY");
+
+  let reason;
+  if (overall === "HEALTHY") reason = "All artifacts valid; no fallback active.";
+  else if (anyStale) reason = "One or more artifacts are past their freshness thresholds.";
+  else reason = "Updater ran. Some artifacts are still seeded or using fallback.";
+
+  return { overall, reason, anyError, anyWarn, anyFallback, anyStale };
+}
+
+/**
+ * Re-evaluate freshness on a stored system_status document (read path).
+ * Returns a new document; the input is not modified.
+ */
+export function applyFreshness(status, nowMs = Date.now()) {
+  const artifacts = (Array.isArray(status?.artifacts) ? status.artifacts : []).map((a) =>
+    evaluateFreshness(a, nowMs)
+  );
+  const health = summarizeHealth(artifacts);
+  const otherFlags = (Array.isArray(status?.recent_flags) ? status.recent_flags : []).filter(
+    (f) => f?.type !== "freshness"
+  );
+
+  return {
+    ...status,
+    overall_health: {
+      ...(status?.overall_health ?? {}),
+      status: health.overall,
+      reason: health.reason,
+      fallback_active: health.anyFallback,
+      broken_user_impact: health.overall === "BROKEN"
+    },
+    artifacts,
+    recent_flags: [
+      ...freshnessFlags(artifacts, { timestampUtc: new Date(nowMs).toISOString() }),
+      ...otherFlags
+    ]
+  };
+}
@@ -0,0 +1,71 @@
+// netlify/functions/_lib/unknown-codes.js
+//
+// Codes in EIA responses that our configs and jobs do not know: a new sector, a product or process the
+// normalizers have no label for, a duoarea outside the route's accept-list, rows without a state.
+// The jobs keep skipping (or passing through) those rows as before; this makes them visible in
+// updater_last_run.jobs[].diagnostics.unknown_codes and as a WARN in recent_flags.
+//
+//   [{ kind, route, column, code, name, rows }]
+//     kind  duoareas | states | sectors | products | processes
+//     code  null for rows where the column is missing or empty
+//     name  EIA's label for the code when the response has one (area-name, sectorName, ...)
+//
+// Queries filtered to accepted duoareas cannot surface new areas; `npm run discover-accept-lists`
+// finds those from EIA's facet listings.
+
+/**
+ * Scan rows of one route. checks: [{ kind, column, known, nameColumn? }].
+ */
+export function findUnknownCodes(rows, { route, checks }) {
+  const found = new Map();
+
+  for (const check of checks) {
+    const known = new Set(check.known);
+    for (const row of rows) {
+      const raw = row?.[check.column];
+      const code = raw === null || raw === undefined || raw === "" ? null : String(raw);
+      if (code !== null && known.has(code)) continue;
+
+      const key = `${check.kind}|${check.column}|${code}`;
+      const entry = found.get(key) ?? {
+        kind: check.kind,
+        route,
+        column: check.column,
+        code,
+        name: check.nameColumn && code !== null ? (row?.[check.nameColumn] ?? null) : null,
+        rows: 0
+      };
+      entry.rows += 1;
+      found.set(key, entry);
+    }
+  }
+
+  return [...found.values()].sort((a, b) =>
+    a.kind !== b.kind ? (a.kind < b.kind ? -1 : 1) : String(a.code) < String(b.code) ? -1 : 1
+  );
+}
+
+function describe(entry) {
+  return entry.code === null ? `${entry.rows} row(s) without ${entry.column}` : entry.code;
+}
+
+/**
+ * recent_flags entry for a job's unknown codes (null when there are none).
+ */
+export function unknownCodesFlag(job, unknownCodes, { generatedAt }) {
+  if (!Array.isArray(unknownCodes) || unknownCodes.length === 0) return null;
+
+  const byKind = new Map();
+  for (const u of unknownCodes) byKind.set(u.kind, [...(byKind.get(u.kind) ?? []), describe(u)]);
+  const listed = [...byKind.entries()].map(([kind, codes]) => `${kind} ${codes.join(", ")}`).join("; ");
+
+  return {
+    timestamp_utc: generatedAt,
+    severity: "WARN",
+    component: job.calculator,
+    dataset: job.artifact_key,
+    type: "unknown_codes",
+    dedupe_key: `${job.dedupe_key}:unknown_codes`,
+    summary: `${job.label}: EIA returned codes our configs do not know (${listed}).`
+  };
+}
@@ -0,0 +1,216 @@
+// netlify/functions/_lib/updater.js
+//
+// One updater run: ingest jobs into a staged generation, check + promote it, then publish
+// system_status, the flag log and the run ledger.
+// Shared by the scheduled update-data function and the authenticated run-update trigger so both
+// go through exactly the same pipeline.
+
+import { INGEST_JOBS } from "./jobs/index.js";
+import {
+  runIngestJobs,
+  buildSystemStatus,
+  flagKeysCovered,
+  geoConfigLoader,
+  holdBackResults
+} from "./ingest-runner.js";
+import { ROLLBACK_DEDUPE_KEY, openGeneration, promoteGeneration, rejectGeneration } from "./generations.js";
+import { runGenerationChecks } from "./generation-checks.js";
+import { recordFlags } from "./flag-log.js";
+import { appendRunRecord, appendSkippedRunRecord, lockedRunRecord, runRecord } from "./run-ledger.js";
+import { acquireLock, releaseLock } from "./run-lock.js";
+import { loadPins } from "./artifact-pins.js";
+import { createEiaClient } from "./eia.js";
+import { BREAKER_DEDUPE_KEY, breakerFlag, createEiaBreaker } from "./eia-breaker.js";
+
+/**
+ * Resolve job ids to job definitions (null/empty = every registered job).
+ * Throws UPDATER_UNKNOWN_JOB for ids that are not registered.
+ */
+export function selectJobs(jobIds) {
+  if (!jobIds || jobIds.length === 0) return INGEST_JOBS;
+
+  const unknown = jobIds.filter((id) => !INGEST_JOBS.some((j) => j.job === id));
+  if (unknown.length > 0) {
+    throw new Error(`UPDATER_UNKNOWN_JOB: ${unknown.join(", ")}`);
+  }
+  return INGEST_JOBS.filter((j) => jobIds.includes(j.job));
+}
+
+const ARTIFACT_KEYS = INGEST_JOBS.map((j) => j.artifact_key);
+
+async function checkGeneration(generation, staged, loadGeoConfigs) {
+  const published = {};
+  for (const key of Object.keys(generation.base)) published[key] = await generation.current(key);
+  return runGenerationChecks({ staged, published, loadGeoConfigs });
+}
+
+function publishFlag(publish, generatedAt) {
+  const { checks } = publish;
+  const failing = checks.checks.filter((c) => !c.ok).map((c) => c.name);
+  return {
+    timestamp_utc: generatedAt,
+    severity: checks.severity === "OK" ? "INFO" : checks.severity,
+    component: "updater",
+    dataset: "generation",
+    type: "publish",
+    dedupe_key: "publish:generation",
+    summary: publish.promoted
+      ? `Generation ${publish.generation} promoted${failing.length ? ` with warnings (${failing.join(", ")})` : ""}.`
+      : `Generation ${publish.generation} held back: ${failing.join(", ")} failed; previous generation stays live.`
+  };
+}
+
+function dryRunReport(result) {
+  return {
+    job: result.job.job,
+    data_period_detected: result.period,
+    would_publish: !!result.artifact,
+    duration_ms: result.duration_ms,
+    diagnostics: result.diagnostics,
+    ...(result.error ? { error: result.error } : {}),
+    rows: result.parts.map((p) => ({
+      artifact: p.name,
+      status: p.status,
+      fallback: p.fallback,
+      validation: p.validation
+    })),
+    artifact: result.artifact
+  };
+}
+
+/**
+ * Run the updater.
+ *   jobs     job definitions to run (see selectJobs); rows of other jobs are carried over
+ *   trigger  "scheduled" | "manual" (recorded in the run ledger)
+ *   dryRun   fetch + validate only; returns would-be artifacts and validation, writes no blobs
+ *   waitMs   how long to queue for the updater lock before giving up (0 = skip at once)
+ *
+ * Writing runs hold the updater lock (see run-lock.js); when it is held elsewhere the run is skipped and
+ * a "skipped: locked" record goes to the run ledger under its own key, since only the lock holder may
+ * rewrite updater_runs (see run-ledger.js). Dry runs write nothing and take no lock.
+ *
+ * Writing runs go through the shared EIA circuit breaker (see eia-breaker.js); its state after the run
+ * is saved as system_status.eia_breaker. Dry runs bypass it, so they can be used to check on EIA by hand.
+ */
+export async function runUpdate({
+  systemStore,
+  artifactsStore,
+  jobs = INGEST_JOBS,
+  trigger = "scheduled",
+  dryRun = false,
+  waitMs = 0
+}) {
+  const startedAtMs = Date.now();
+  const generatedAt = new Date(startedAtMs).toISOString();
+
+  if (dryRun) {
+    const generation = await openGeneration(artifactsStore, { generatedAt, artifactKeys: ARTIFACT_KEYS });
+    const loadGeoConfigs = geoConfigLoader();
+    const pins = await loadPins(systemStore);
+    const eia = createEiaClient();
+    const results = await runIngestJobs(jobs, { generation, generatedAt, loadGeoConfigs, eia, dryRun, pins });
+
+    const staged = new Map(results.filter((r) => r.artifact).map((r) => [r.job.artifact_key, r.artifact]));
+    const checks = staged.size ? await checkGeneration(generation, staged, loadGeoConfigs) : null;
+
+    return {
+      dry_run: true,
+      run_id: generatedAt,
+      generation_checks: checks,
+      eia: eia.stats(),
+      jobs: results.map(dryRunReport)
+    };
+  }
+
+  const owner = `${generatedAt}#${crypto.randomUUID().slice(0, 8)}`;
+  const lease = await acquireLock(systemStore, { owner, trigger, waitMs });
+
+  if (!lease.acquired) {
+    const record = lockedRunRecord({
+      runId: generatedAt,
+      trigger,
+      jobs,
+      heldBy: lease.heldBy,
+      startedAtMs,
+      finishedAtMs: Date.now()
+    });
+    await appendSkippedRunRecord(systemStore, record);
+    return { dry_run: false, skipped: true, run_id: generatedAt, record };
+  }
+
+  try {
+    return await publishRun({ systemStore, artifactsStore, jobs, trigger, startedAtMs, generatedAt, lease });
+  } finally {
+    await releaseLock(systemStore, owner);
+  }
+}
+
+async function publishRun({ systemStore, artifactsStore, jobs, trigger, startedAtMs, generatedAt, lease }) {
+  const generation = await openGeneration(artifactsStore, { generatedAt, artifactKeys: ARTIFACT_KEYS });
+  const loadGeoConfigs = geoConfigLoader();
+  const pins = await loadPins(systemStore);
+  const breaker = createEiaBreaker(systemStore, { owner: lease.lock.owner });
+  const eia = createEiaClient({ breaker });
+  const results = await runIngestJobs(jobs, { generation, generatedAt, loadGeoConfigs, eia, pins });
+
+  // ---------- PUBLISH: promote the staged generation only if it is consistent as a whole ----------
+  let publish = null;
+  if (generation.staged.size > 0) {
+    const checks = await checkGeneration(generation, generation.staged, loadGeoConfigs);
+    if (checks.ok) {
+      await promoteGeneration(artifactsStore, generation, { generatedAt, checks });
+    } else {
+      await rejectGeneration(artifactsStore, generation, { generatedAt, checks });
+      holdBackResults(results, checks);
+    }
+    publish = { generation: generation.id, promoted: checks.ok, checks };
+  }
+
+  const prevStatus = await systemStore.get("system_status", { type: "json" });
+  const status = buildSystemStatus({
+    jobs,
+    results,
+    prevStatus,
+    generatedAt,
+    startedAtMs,
+    finishedAtMs: Date.now()
+  });
+
+  // EIA requests, retries, cache hits and what is left of the run's request budget.
+  status.updater_last_run.eia = eia.stats();
+  status.eia_breaker = await breaker.snapshot();
+  const breakerWarning = breakerFlag(status.eia_breaker, { generatedAt });
+  if (breakerWarning) status.recent_flags.push(breakerWarning);
+
+  if (lease.recoveredStale) {
+    status.updater_last_run.warnings.push(
+      `Recovered stale updater lock held by ${lease.recoveredStale.owner} (expired ${lease.recoveredStale.expires_at_utc}).`
+    );
+  }
+
+  status.publish = publish
+    ? {
+        generation: publish.generation,
+        promoted: publish.promoted,
+        live_generation: publish.promoted ? publish.generation : (generation.pointer?.generation ?? null),
+        checks: publish.checks.checks
+      }
+    : (prevStatus?.publish ?? null);
+  if (publish) status.recent_flags.push(publishFlag(publish, generatedAt));
+
+  await systemStore.set("system_status", JSON.stringify(status), { contentType: "application/json" });
+
+  // A promotion moves readers past any rolled-back generation, so it settles an open rollback flag.
+  await recordFlags(systemStore, status.recent_flags, {
+    nowUtc: generatedAt,
+    authoritativeKeys: [
+      ...flagKeysCovered({ jobs, status }),
+      BREAKER_DEDUPE_KEY,
+      ...(publish?.promoted ? [ROLLBACK_DEDUPE_KEY] : [])
+    ]
+  });
+
+  await appendRunRecord(systemStore, runRecord(status, { trigger }));
+
+  return { dry_run: false, skipped: false, run_id: generatedAt, status };
+}
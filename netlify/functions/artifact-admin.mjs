@@ -0,0 +1,207 @@
+// netlify/functions/artifact-admin.mjs
+//
+// Per-artifact admin endpoint (header x-run-token: $RUN_UPDATE_TOKEN, same scheme as run-update):
+//
+//   GET  /api/admin/artifacts/<artifact>                                   published period, pin, versions
+//   POST /api/admin/artifacts/<artifact> {"action":"restore","period":"2024","reason":"..."}
+//        publish that period's history snapshot as latest and pin it (add "pin": false to skip the pin)
+//   POST /api/admin/artifacts/<artifact> {"action":"pin","reason":"..."}   pin what is published now
+//   POST /api/admin/artifacts/<artifact> {"action":"unpin"}
+//
+// <artifact> is a history name (electricity_rates) or artifact key (electricity_rates_latest).
+// Versions are the immutable per-period history snapshots (see artifact-history.js).
+
+import { getStore } from "@netlify/blobs";
+import { forbidden, isAuthorized } from "./_lib/admin-auth.js";
+import {
+  HISTORY_ARTIFACTS,
+  listArtifactSnapshots,
+  getArtifactSnapshot
+} from "./_lib/artifact-history.js";
+import { readPublishedArtifact, restoreArtifact } from "./_lib/generations.js";
+import { applyPinToStatus, clearPin, ingestStateOf, loadPins, setPin } from "./_lib/artifact-pins.js";
+import { acquireLock, releaseLock } from "./_lib/run-lock.js";
+import { recordFlags } from "./_lib/flag-log.js";
+import { applyFreshness } from "./_lib/status-health.js";
+
+const ARTIFACT_KEYS = Object.values(HISTORY_ARTIFACTS);
+
+function jsonResponse(status, obj) {
+  return new Response(JSON.stringify(obj, null, 2), {
+    status,
+    headers: {
+      "content-type": "application/json; charset=utf-8",
+      "cache-control": "no-store"
+    }
+  });
+}
+
+function resolveArtifactKey(name) {
+  if (HISTORY_ARTIFACTS[name]) return HISTORY_ARTIFACTS[name];
+  return ARTIFACT_KEYS.includes(name) ? name : null;
+}
+
+async function describe(artifactKey) {
+  const artifactsStore = getStore("artifacts");
+  const [published, versions, pins] = await Promise.all([
+    readPublishedArtifact(artifactsStore, artifactKey),
+    listArtifactSnapshots(artifactsStore, artifactKey),
+    loadPins(getStore("system"))
+  ]);
+
+  return {
+    ok: true,
+    artifact: artifactKey,
+    published: published
+      ? { data_period: published.data_period, fetched_at_utc: published.fetched_at_utc }
+      : null,
+    pin: pins[artifactKey] ?? null,
+    versions: versions.map((v) => v.data_period)
+  };
+}
+
+// Pin changes + restores are serialized with updater runs through the updater lock.
+async function withLock(systemStore, fn) {
+  const nowUtc = new Date().toISOString();
+  const owner = `admin:${nowUtc}#${crypto.randomUUID().slice(0, 8)}`;
+  const lease = await acquireLock(systemStore, { owner, trigger: "admin", waitMs: 10000 });
+  if (!lease.acquired) {
+    return jsonResponse(409, { ok: false, error: `Updater lock held by ${lease.heldBy?.owner ?? "unknown"}; try again.` });
+  }
+  try {
+    return await fn(nowUtc);
+  } finally {
+    await releaseLock(systemStore, owner);
+  }
+}
+
+const loadStatus = (systemStore) => systemStore.get("system_status", { type: "json" });
+
+// change: { pin, released, publishedPeriod } for applyPinToStatus.
+async function updateStatusAndFlag(systemStore, artifactKey, change, { nowUtc, summary }) {
+  const status = await loadStatus(systemStore);
+  if (status) {
+    const nowMs = Date.parse(nowUtc);
+    // overall_health follows the rows the pin change touched.
+    const next = applyFreshness(applyPinToStatus(status, artifactKey, change, nowMs), nowMs);
+    await systemStore.set("system_status", JSON.stringify(next), { contentType: "application/json" });
+  }
+
+  await recordFlags(systemStore, [{
+    timestamp_utc: nowUtc,
+    severity: change.pin ? "WARN" : "INFO",
+    component: "admin",
+    dataset: artifactKey,
+    type: "pin",
+    dedupe_key: `pin:${artifactKey}`,
+    summary
+  }], { nowUtc });
+}
+
+async function restore(artifactKey, body) {
+  if (!body.period) return jsonResponse(400, { ok: false, error: "restore needs a period." });
+
+  const systemStore = getStore("system");
+  const artifactsStore = getStore("artifacts");
+
+  const snapshot = await getArtifactSnapshot(artifactsStore, artifactKey, String(body.period));
+  if (!snapshot) {
+    return jsonResponse(404, { ok: false, error: `No ${artifactKey} snapshot for period ${body.period}.` });
+  }
+
+  return withLock(systemStore, async (nowUtc) => {
+    const current = await readPublishedArtifact(artifactsStore, artifactKey);
+    const ingest = ingestStateOf(await loadStatus(systemStore), artifactKey, current?.data_period);
+    const pointer = await restoreArtifact(artifactsStore, {
+      artifactKey,
+      artifact: snapshot,
+      artifactKeys: ARTIFACT_KEYS,
+      generatedAt: nowUtc,
+      note: body.reason ?? null
+    });
+
+    const pin = body.pin === false
+      ? null
+      : await setPin(systemStore, artifactKey, { dataPeriod: snapshot.data_period, reason: body.reason, nowUtc, ingest });
+
+    // Restored without a pin: the rows are the restored fallback an unpin after a restore leaves.
+    const change = pin ? { pin } : { released: { ingest }, publishedPeriod: snapshot.data_period };
+    await updateStatusAndFlag(systemStore, artifactKey, change, {
+      nowUtc,
+      summary: `Admin restored ${artifactKey} to ${snapshot.data_period}${pin ? " and pinned it" : ""}.`
+    });
+
+    return jsonResponse(200, { ok: true, artifact: artifactKey, restored: snapshot.data_period, pin, generation: pointer.generation });
+  });
+}
+
+async function pinPublished(artifactKey, body) {
+  const systemStore = getStore("system");
+  const published = await readPublishedArtifact(getStore("artifacts"), artifactKey);
+  if (!published) return jsonResponse(404, { ok: false, error: `${artifactKey} has not been published yet.` });
+
+  return withLock(systemStore, async (nowUtc) => {
+    const ingest = ingestStateOf(await loadStatus(systemStore), artifactKey, published.data_period);
+    const p = await setPin(systemStore, artifactKey, { dataPeriod: published.data_period, reason: body.reason, nowUtc, ingest });
+    await updateStatusAndFlag(systemStore, artifactKey, { pin: p }, {
+      nowUtc,
+      summary: `Admin pinned ${artifactKey} at ${published.data_period}.`
+    });
+    return jsonResponse(200, { ok: true, artifact: artifactKey, pin: p });
+  });
+}
+
+async function unpin(artifactKey) {
+  const systemStore = getStore("system");
+
+  return withLock(systemStore, async (nowUtc) => {
+    const removed = await clearPin(systemStore, artifactKey);
+    if (removed) {
+      const published = await readPublishedArtifact(getStore("artifacts"), artifactKey);
+      await updateStatusAndFlag(systemStore, artifactKey, { released: removed, publishedPeriod: published?.data_period }, {
+        nowUtc,
+        summary: `Admin unpinned ${artifactKey}.`
+      });
+    }
+    return jsonResponse(200, { ok: true, artifact: artifactKey, unpinned: !!removed });
+  });
+}
+
+export default async (req) => {
+  if (!isAuthorized(req)) return forbidden();
+
+  try {
+    const name = new URL(req.url).searchParams.get("artifact") || "";
+    const artifactKey = resolveArtifactKey(name);
+    if (!artifactKey) {
+      return jsonResponse(404, {
+        ok: false,
+        error: `Unknown artifact "${name}".`,
+        artifacts: Object.keys(HISTORY_ARTIFACTS)
+      });
+    }
+
+    if (req.method === "GET") return jsonResponse(200, await describe(artifactKey));
+    if (req.method !== "POST") return jsonResponse(405, { ok: false, error: "Use GET or POST." });
+
+    let body;
+    try {
+      body = JSON.parse((await req.text()) || "{}");
+    } catch {
+      return jsonResponse(400, { ok: false, error: "Body must be JSON." });
+    }
+    if (!body || typeof body !== "object" || Array.isArray(body)) {
+      return jsonResponse(400, { ok: false, error: "Body must be a JSON object." });
+    }
+
+    // Awaited so their errors reach the catch below.
+    if (body.action === "restore") return await restore(artifactKey, body);
+    if (body.action === "pin") return await pinPublished(artifactKey, body);
+    if (body.action === "unpin") return await unpin(artifactKey);
+
+    return jsonResponse(400, { ok: false, error: `Unknown action "${body.action}".`, actions: ["restore", "pin", "unpin"] });
+  } catch (err) {
+    const msg = String(err?.message || err);
+    return jsonResponse(msg.startsWith("ARTIFACT_HISTORY:") ? 400 : 500, { ok: false, error: msg });
+  }
+};
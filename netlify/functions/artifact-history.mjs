@@ -0,0 +1,67 @@
+// netlify/functions/artifact-history.mjs
+//
+// Per-artifact history endpoint:
+//   GET /api/<artifact>/history                 -> list of period snapshots (newest first)
+//   GET /api/<artifact>/history?period=<period> -> the snapshot written for that period
+//
+// <artifact> is a public history name from HISTORY_ARTIFACTS (e.g. electricity_rates).
+
+import { getStore } from "@netlify/blobs";
+import {
+  HISTORY_ARTIFACTS,
+  listArtifactSnapshots,
+  getArtifactSnapshot
+} from "./_lib/artifact-history.js";
+
+function jsonResponse(status, obj) {
+  return new Response(JSON.stringify(obj, null, 2), {
+    status,
+    headers: {
+      "content-type": "application/json; charset=utf-8",
+      "cache-control": "no-store",
+      "access-control-allow-origin": "*"
+    }
+  });
+}
+
+export default async (request) => {
+  try {
+    const url = new URL(request.url);
+    const name = url.searchParams.get("artifact") || "";
+    const period = url.searchParams.get("period");
+
+    const artifactKey = HISTORY_ARTIFACTS[name];
+    if (!artifactKey) {
+      return jsonResponse(404, {
+        ok: false,
+        error: `Unknown artifact "${name}".`,
+        artifacts: Object.keys(HISTORY_ARTIFACTS)
+      });
+    }
+
+    const store = getStore("artifacts");
+
+    if (period) {
+      const snapshot = await getArtifactSnapshot(store, artifactKey, period);
+      if (!snapshot) {
+        return jsonResponse(404, { ok: false, error: `No ${name} snapshot for period ${period}.` });
+      }
+      return jsonResponse(200, { ok: true, artifact: name, data_period: period, snapshot });
+    }
+
+    const snapshots = await listArtifactSnapshots(store, artifactKey);
+
+    return jsonResponse(200, {
+      ok: true,
+      artifact: name,
+      count: snapshots.length,
+      snapshots: snapshots.map((s) => ({
+        data_period: s.data_period,
+        url: `/api/${name}/history?period=${encodeURIComponent(s.data_period)}`
+      }))
+    });
+  } catch (err) {
+    const msg = String(err?.message || err);
+    return jsonResponse(msg.startsWith("ARTIFACT_HISTORY") ? 400 : 500, { ok: false, error: msg });
+  }
+};
@@ -1,17 +1,17 @@
 import { getStore } from "@netlify/blobs";
+import { readPublishedArtifact } from "./_lib/generations.js";
 
 export default async () => {
-  const store = getStore("artifacts");
-  const text = await store.get("efficiency_all_other_costs_latest", { type: "text" });
+  const artifact = await readPublishedArtifact(getStore("artifacts"), "efficiency_all_other_costs_latest");
 
-  if (!text) {
+  if (!artifact) {
     return new Response(
       JSON.stringify({ error: "No artifact yet. Updater has not ingested EIA data." }),
       { status: 503, headers: { "content-type": "application/json; charset=utf-8", "cache-control": "no-store" } }
     );
   }
 
-  return new Response(text, {
+  return new Response(JSON.stringify(artifact), {
     status: 200,
     headers: {
       "content-type": "application/json; charset=utf-8",
@@ -1,29 +1,82 @@
 import { getStore } from "@netlify/blobs";
+import { readPublishedArtifact } from "./_lib/generations.js";
+import { applyElectricityOverrides, loadActiveOverrides } from "./_lib/overrides.js";
 
-export default async () => {
-  const store = getStore("artifacts");
-  const text = await store.get("electricity_rates_latest", { type: "text" });
+// ?frequency=annual (default) | monthly
+const ARTIFACT_KEY_BY_FREQUENCY = {
+  annual: "electricity_rates_latest",
+  monthly: "electricity_rates_monthly_latest"
+};
+
+// ?sector=RES | COM | IND | TRA (omit for every sector)
+const SECTORS = ["RES", "COM", "IND", "TRA"];
+
+const HEADERS = {
+  "content-type": "application/json; charset=utf-8",
+  "cache-control": "no-store",
+  "access-control-allow-origin": "*"
+};
+
+export default async (request) => {
+  const params = new URL(request.url).searchParams;
+  const frequency = params.get("frequency") || "annual";
+  const key = ARTIFACT_KEY_BY_FREQUENCY[frequency];
+  const sector = params.get("sector")?.toUpperCase() || null;
 
-  if (!text) {
+  if (!key) {
+    return new Response(
+      JSON.stringify({
+        error: `Unknown frequency "${frequency}".`,
+        frequencies: Object.keys(ARTIFACT_KEY_BY_FREQUENCY)
+      }),
+      { status: 400, headers: HEADERS }
+    );
+  }
+
+  if (sector && !SECTORS.includes(sector)) {
+    return new Response(
+      JSON.stringify({ error: `Unknown sector "${params.get("sector")}".`, sectors: SECTORS }),
+      { status: 400, headers: HEADERS }
+    );
+  }
+
+  const [published, overrides] = await Promise.all([
+    readPublishedArtifact(getStore("artifacts"), key),
+    loadActiveOverrides(getStore("system"))
+  ]);
+
+  if (!published) {
     return new Response(
       JSON.stringify({ error: "No electricity artifact yet. Updater has not ingested EIA data." }),
-      {
-        status: 503,
-        headers: {
-          "content-type": "application/json; charset=utf-8",
-          "cache-control": "no-store",
-          "access-control-allow-origin": "*"
-        }
-      }
+      { status: 503, headers: HEADERS }
+    );
+  }
+
+  // Admin corrections on top of source data (marked is_override in overrides_by_state).
+  const artifact = applyElectricityOverrides(published, key, overrides);
+
+  if (!sector) return new Response(JSON.stringify(artifact), { status: 200, headers: HEADERS });
+
+  // Narrow to one sector; by_state_cents_per_kwh then holds that sector's map.
+  const entry = artifact.values?.by_sector?.[sector];
+  if (!entry) {
+    return new Response(
+      JSON.stringify({ error: `No ${sector} electricity rates in the ${frequency} artifact yet.` }),
+      { status: 503, headers: HEADERS }
     );
   }
 
-  return new Response(text, {
-    status: 200,
-    headers: {
-      "content-type": "application/json; charset=utf-8",
-      "cache-control": "no-store",
-      "access-control-allow-origin": "*"
-    }
-  });
+  const { by_sector, ...values } = artifact.values;
+  const body = {
+    ...artifact,
+    sectors: [sector],
+    sector,
+    data_period: entry.data_period,
+    fallback: entry.fallback,
+    quarantined_states: entry.quarantined_states ?? [],
+    overrides_by_state: entry.overrides_by_state ?? {},
+    values: { ...values, by_state_cents_per_kwh: entry.by_state_cents_per_kwh }
+  };
+
+  return new Response(JSON.stringify(body), { status: 200, headers: HEADERS });
 };
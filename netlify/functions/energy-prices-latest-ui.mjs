@@ -7,14 +7,20 @@
 // - ETag support (If-None-Match -> 304)
 // - Cache-Control tuned for CDN + SWR
 //
-// Still built from energy-prices-latest-with-fallback.
+// Runs the whole pipeline in-process (_lib/energy-prices.js):
+//   loadFuelPayloads -> combineLatest -> applyGeoFallback -> buildUiBody
 
 import crypto from "node:crypto";
-import { loadAndValidateGeoConfigs } from "./_lib/config-validators.js";
-
-const CONTRACT_VERSION = "v1";
-const EXPECTED_GEOS = 61;
-const EXPECTED_FUELS = 5;
+import { getStore } from "@netlify/blobs";
+import {
+  CONTRACT_VERSION,
+  loadGeoConfigsForRequest,
+  loadFuelPayloads,
+  combineLatest,
+  applyGeoFallback,
+  buildUiBody
+} from "./_lib/energy-prices.js";
+import { applyFuelOverrides, loadActiveOverrides } from "./_lib/overrides.js";
 
 function sha256Hex(s) {
   return crypto.createHash("sha256").update(s, "utf8").digest("hex");
@@ -39,56 +45,6 @@ function response304({ extraHeaders = {} } = {}) {
   });
 }
 
-function originFromRequest(req) {
-  try {
-    return new URL(req.url).origin;
-  } catch {
-    return null;
-  }
-}
-
-async function fetchJsonOrThrow(url) {
-  const res = await fetch(url, { headers: { accept: "application/json" } });
-  const text = await res.text().catch(() => "");
-
-  // Try JSON first so we can preserve upstream ok=false errors
-  let parsed = null;
-  try {
-    parsed = JSON.parse(text);
-  } catch {
-    parsed = null;
-  }
-
-  if (!res.ok) {
-    // If upstream is JSON with ok=false, bubble that error explicitly
-    if (parsed && typeof parsed === "object" && parsed.ok === false && parsed.error) {
-      throw new Error(
-        `Internal fetch failed (${res.status}) for ${url}. Upstream error: ${parsed.error}`
-      );
-    }
-    throw new Error(`Internal fetch failed (${res.status}) for ${url}. Body: ${text.slice(0, 2000)}`);
-  }
-
-  if (!parsed) {
-    throw new Error(`Internal fetch returned invalid JSON for ${url}. Body: ${text.slice(0, 2000)}`);
-  }
-
-  // If upstream is ok=false but still returned 200, treat as failure
-  if (parsed.ok === false && parsed.error) {
-    throw new Error(`Internal fetch ok=false for ${url}. Upstream error: ${parsed.error}`);
-  }
-
-  return parsed;
-}
-
-function stableSortStrings(a, b) {
-  return a < b ? -1 : a > b ? 1 : 0;
-}
-
-function makeFuelKey(dataset, fuel, sector) {
-  return `${dataset}::${fuel}::${sector}`;
-}
-
 /**
  * Netlify (and some proxies) may decorate ETags, e.g.:
  *   "abc123...-df"
@@ -125,181 +81,16 @@ function normalizeIfNoneMatch(v) {
   return normalizeEtagToken(first);
 }
 
-function assertContract(condition, message) {
-  if (!condition) {
-    throw new Error(`CONTRACT_VIOLATION: ${message}`);
-  }
-}
-
 export default async (request) => {
   try {
-    const baseUrl = process.env.URL || process.env.DEPLOY_PRIME_URL || originFromRequest(request);
-    if (!baseUrl) {
-      throw new Error(
-        "Could not determine baseUrl (process.env.URL missing and request origin unavailable)."
-      );
-    }
-
-    // Locked geo configs
-    const cfg = await loadAndValidateGeoConfigs({ baseUrl });
-    const names = cfg.geo_display_names_v1.geo_display_names;
-    const fallbackChains = cfg.geo_fallback_map_v1.fallback_chain_by_geo_code;
-
-    // Canonical geo list (61), deterministic
-    const geoCodes = Object.keys(fallbackChains).slice().sort(stableSortStrings);
-    const geos = geoCodes.map((geo_code) => ({
-      geo_code,
-      geo_display_name: names[geo_code] || geo_code
-    }));
-
-    // Contract: expected geo count
-    assertContract(
-      geos.length === EXPECTED_GEOS,
-      `expected geos=${EXPECTED_GEOS}, got ${geos.length}`
-    );
-
-    // Pull latest-with-fallback output
-    const srcUrl = `${baseUrl}/.netlify/functions/energy-prices-latest-with-fallback`;
-    const src = await fetchJsonOrThrow(srcUrl);
-
-    assertContract(!!src && src.ok === true, `upstream ok!=true (${src?.error || "unknown"})`);
-
-    const rows = Array.isArray(src?.rows_filled) ? src.rows_filled : [];
-    assertContract(Array.isArray(rows), "upstream rows_filled missing or invalid");
-
-    // Fixed stable UI fuel order (combos=5)
-    // NOTE: Transportation fuels are Retail (not Residential).
-    const CANONICAL_FUELS = [
-      { dataset: "heating_fuels_latest", fuel: "Heating Oil", sector: "Residential" },
-      { dataset: "heating_fuels_latest", fuel: "Propane", sector: "Residential" },
-      { dataset: "heating_fuels_latest", fuel: "Natural Gas", sector: "Residential" },
-      { dataset: "transportation_fuels_latest", fuel: "Diesel", sector: "Retail" },
-      { dataset: "transportation_fuels_latest", fuel: "Gasoline", sector: "Retail" }
-    ];
-
-    assertContract(
-      CANONICAL_FUELS.length === EXPECTED_FUELS,
-      `expected fuels=${EXPECTED_FUELS}, got ${CANONICAL_FUELS.length}`
-    );
-
-    const fuels = CANONICAL_FUELS.map((f) => ({
-      fuel_key: makeFuelKey(f.dataset, f.fuel, f.sector),
-      dataset: f.dataset,
-      fuel: f.fuel,
-      sector: f.sector
-    }));
-
-    const fuelKeys = fuels.map((f) => f.fuel_key);
-
-    // Determine best period per fuel_key (defensive)
-    const bestPeriodByFuelKey = new Map();
-    for (const r of rows) {
-      const dataset = r?.dataset ? String(r.dataset) : null;
-      const fuel = r?.fuel ? String(r.fuel) : null;
-      const sector = r?.sector ? String(r.sector) : null;
-      const period = r?.period ? String(r.period) : null;
-      if (!dataset || !fuel || !sector || !period) continue;
-
-      const fk = makeFuelKey(dataset, fuel, sector);
-      const prev = bestPeriodByFuelKey.get(fk);
-      if (!prev || period > prev) bestPeriodByFuelKey.set(fk, period);
-    }
-
-    // Contract: every canonical fuel key must have a period
-    for (const fk of fuelKeys) {
-      assertContract(
-        !!bestPeriodByFuelKey.get(fk),
-        `missing best period for fuel_key=${fk} (upstream rows_filled may have changed)`
-      );
-    }
-
-    // Initialize matrix
-    const values = {};
-    for (const fk of fuelKeys) {
-      values[fk] = {};
-      for (const geo of geoCodes) {
-        values[fk][geo] = {
-          price: null,
-          units: null,
-          period: bestPeriodByFuelKey.get(fk) || null,
-          is_fallback: true,
-          fallback_from_geo_code: null
-        };
-      }
-    }
-
-    // Fill matrix using only each fuel_key’s best period
-    for (const r of rows) {
-      const dataset = r?.dataset ? String(r.dataset) : null;
-      const fuel = r?.fuel ? String(r.fuel) : null;
-      const sector = r?.sector ? String(r.sector) : null;
-      const geo = r?.geo_code ? String(r.geo_code) : null;
-      const period = r?.period ? String(r.period) : null;
-
-      if (!dataset || !fuel || !sector || !geo || !period) continue;
-
-      const fk = makeFuelKey(dataset, fuel, sector);
-      if (!values[fk]) continue;
-
-      const targetPeriod = bestPeriodByFuelKey.get(fk);
-      if (targetPeriod && period !== targetPeriod) continue;
-
-      values[fk][geo] = {
-        price: r.price ?? null,
-        units: r.price_units ?? null,
-        period,
-        is_fallback: !!r.is_fallback,
-        fallback_from_geo_code: r.fallback_from_geo_code ?? null
-      };
-    }
-
-    // Contract: matrix dimensions
-    for (const fk of fuelKeys) {
-      assertContract(!!values[fk], `values missing fuel_key=${fk}`);
-      const keys = Object.keys(values[fk] || {});
-      assertContract(
-        keys.length === EXPECTED_GEOS,
-        `values[${fk}] expected ${EXPECTED_GEOS} geos, got ${keys.length}`
-      );
-    }
-
-    // Build deterministic response body (important for stable ETag)
-    const body = {
-      ok: true,
-      version: CONTRACT_VERSION,
-      schema: {
-        name: "energy_prices_latest_ui",
-        fuels: EXPECTED_FUELS,
-        geos: EXPECTED_GEOS,
-        fuel_key_format: "dataset::fuel::sector",
-        value_cell: ["price", "units", "period", "is_fallback", "fallback_from_geo_code"]
-      },
-      meta: {
-        generated_at: new Date().toISOString(),
-        latest: src.latest || null,
-        windows: src.windows || null,
-        counts: {
-          fuels: fuels.length,
-          geos: geos.length
-        }
-      },
-      endpoints: {
-        energy_prices_latest_ui: "/api/energy_prices_latest_ui.json"
-      },
-      geos,
-      fuels,
-      values
-    };
-
-    // Contract: counts must match expectations
-    assertContract(
-      body.meta.counts.fuels === EXPECTED_FUELS,
-      `meta.counts.fuels expected ${EXPECTED_FUELS}, got ${body.meta.counts.fuels}`
-    );
-    assertContract(
-      body.meta.counts.geos === EXPECTED_GEOS,
-      `meta.counts.geos expected ${EXPECTED_GEOS}, got ${body.meta.counts.geos}`
-    );
+    const [cfg, payloads, overrides] = await Promise.all([
+      loadGeoConfigsForRequest(request),
+      loadFuelPayloads(getStore("artifacts")),
+      loadActiveOverrides(getStore("system"))
+    ]);
+
+    const src = applyGeoFallback(applyFuelOverrides(combineLatest(payloads), overrides, cfg), cfg);
+    const body = buildUiBody(src, cfg);
 
     // ETag based on content EXCEPT generated_at (so it stays stable)
     const etagPayload = {
@@ -11,12 +11,18 @@
 // - /.netlify/functions/energy-prices-latest-with-fallback
 // - /api/energy_prices_latest_ui.json
 //
+// Also reports the shared EIA circuit breaker (_lib/eia-breaker.js) as eia_breaker. An open breaker
+// does not fail this check: the endpoints keep serving last-known-good data.
+//
 // Notes:
 // - Does NOT re-fetch EIA directly.
 // - Returns non-2xx on failure so UptimeRobot alerts reliably.
 // - Uses no-store so CDN does NOT mask outages.
 // - Adds X-Robots-Tag: noindex, nofollow so these endpoints don’t get indexed.
 
+import { getStore } from "@netlify/blobs";
+import { breakerView, loadBreakerState } from "./_lib/eia-breaker.js";
+
 const X_ROBOTS_TAG_VALUE = "noindex, nofollow";
 
 function jsonResponse(status, obj, { cacheControl = "no-store" } = {}) {
@@ -79,6 +85,14 @@ async function fetchJsonWithDetails(url, { timeoutMs = 6000 } = {}) {
   }
 }
 
+async function readEiaBreaker() {
+  try {
+    return breakerView(await loadBreakerState(getStore("system")));
+  } catch (err) {
+    return { state: "unknown", error: String(err?.message || err) };
+  }
+}
+
 function computeLatestPeriodsFromRows(rows) {
   const best = new Map(); // datasets
 
@@ -138,9 +152,10 @@ export default async (request) => {
   };
 
   // Fetch upstreams (fast fail)
-  const [f1, f2] = await Promise.all([
+  const [f1, f2, eiaBreaker] = await Promise.all([
     fetchJsonWithDetails(urls.energy_prices_latest_with_fallback, { timeoutMs: 7000 }),
-    fetchJsonWithDetails(urls.energy_prices_latest_ui_json, { timeoutMs: 7000 })
+    fetchJsonWithDetails(urls.energy_prices_latest_ui_json, { timeoutMs: 7000 }),
+    readEiaBreaker()
   ]);
 
   const checks = {
@@ -162,6 +177,7 @@ export default async (request) => {
       ok: false,
       generated_at: startedAt.toISOString(),
       checks,
+      eia_breaker: eiaBreaker,
       errors: {
         energy_prices_latest_with_fallback: checks.energy_prices_latest_with_fallback.ok
           ? null
@@ -211,6 +227,7 @@ export default async (request) => {
       fallback_rows: fallback,
       null_price_rows: nullPrice
     },
-    latest_period_by_fuel_key: latestByFuelKey
+    latest_period_by_fuel_key: latestByFuelKey,
+    eia_breaker: eiaBreaker
   });
 };
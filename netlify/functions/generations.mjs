@@ -0,0 +1,89 @@
+import { getStore } from "@netlify/blobs";
+import { forbidden, isAuthorized } from "./_lib/admin-auth.js";
+import { ROLLBACK_DEDUPE_KEY, listGenerations, loadPointer, rollbackGeneration } from "./_lib/generations.js";
+import { acquireLock, releaseLock } from "./_lib/run-lock.js";
+import { recordFlags } from "./_lib/flag-log.js";
+
+// Admin view of published artifact generations (header x-run-token: $RUN_UPDATE_TOKEN).
+//
+//   GET  /api/admin/generations                      pointer + recent manifests (promoted and rejected)
+//   POST /api/admin/generations {"action":"rollback"} point readers back at the previous generation
+//   POST /api/admin/generations {"action":"rollback","to":"<generation>"}
+//
+// Rollback takes the updater lock so it cannot interleave with a promotion. It raises a WARN flag that
+// stays open until the updater promotes a generation again.
+
+const HEADERS = {
+  "content-type": "application/json; charset=utf-8",
+  "cache-control": "no-store"
+};
+
+function json(body, status = 200) {
+  return new Response(JSON.stringify(body), { status, headers: HEADERS });
+}
+
+async function rollback(body) {
+  const systemStore = getStore("system");
+  const artifactsStore = getStore("artifacts");
+  const nowUtc = new Date().toISOString();
+
+  const owner = `rollback:${nowUtc}#${crypto.randomUUID().slice(0, 8)}`;
+  const lease = await acquireLock(systemStore, { owner, trigger: "rollback", waitMs: 10000 });
+  if (!lease.acquired) {
+    return json({ ok: false, error: `Updater lock held by ${lease.heldBy?.owner ?? "unknown"}; try again.` }, 409);
+  }
+
+  try {
+    const pointer = await rollbackGeneration(artifactsStore, { to: body.to ?? null, nowUtc });
+
+    const status = await systemStore.get("system_status", { type: "json" });
+    if (status) {
+      status.publish = {
+        ...(status.publish ?? {}),
+        live_generation: pointer.generation,
+        rolled_back_from: pointer.rolled_back_from,
+        rolled_back_at_utc: nowUtc
+      };
+      await systemStore.set("system_status", JSON.stringify(status), { contentType: "application/json" });
+    }
+
+    await recordFlags(systemStore, [{
+      timestamp_utc: nowUtc,
+      severity: "WARN",
+      component: "updater",
+      dataset: "generation",
+      type: "publish",
+      dedupe_key: ROLLBACK_DEDUPE_KEY,
+      summary: `Rolled back from generation ${pointer.rolled_back_from} to ${pointer.generation}.`
+    }], { nowUtc });
+
+    return json({ ok: true, pointer });
+  } catch (err) {
+    const msg = String(err.message);
+    return json({ ok: false, error: msg }, msg.startsWith("GENERATION_ROLLBACK:") ? 400 : 500);
+  } finally {
+    await releaseLock(systemStore, owner);
+  }
+}
+
+export default async (req) => {
+  if (!isAuthorized(req)) return forbidden();
+
+  if (req.method === "GET") {
+    const store = getStore("artifacts");
+    const [pointer, generations] = await Promise.all([loadPointer(store), listGenerations(store)]);
+    return json({ ok: true, pointer, generations });
+  }
+
+  if (req.method !== "POST") return json({ ok: false, error: "Use GET or POST." }, 405);
+
+  let body;
+  try {
+    body = JSON.parse((await req.text()) || "{}");
+  } catch {
+    return json({ ok: false, error: "Body must be JSON." }, 400);
+  }
+
+  if (body.action === "rollback") return rollback(body);
+  return json({ ok: false, error: `Unknown action "${body.action}".`, actions: ["rollback"] }, 400);
+};
@@ -0,0 +1,84 @@
+// netlify/functions/overrides.mjs
+//
+// Admin endpoint for manual data corrections (header x-run-token: $RUN_UPDATE_TOKEN).
+//
+//   GET    /api/admin/overrides              active + expired-but-unpruned overrides, plus the latest audit entries
+//   POST   /api/admin/overrides              create / update one cell:
+//          { "dataset": "heating_fuels_latest", "fuel": "Propane", "geo": "VT", "period": "2026-03-30",
+//            "value": 3.41, "reason": "EIA decimal slip", "author": "jane", "expires_at_utc": "..." }
+//   DELETE /api/admin/overrides?id=<id>&author=<who>&reason=<why>
+//
+// geo must be a geo_code from the accept-list configs. Writes queue on a lock; 409 if it stays held.
+//
+// Overrides are applied at read time by the with-fallback, UI and electricity endpoints (see _lib/overrides.js).
+
+import { getStore } from "@netlify/blobs";
+import { forbidden, isAuthorized } from "./_lib/admin-auth.js";
+import { loadGeoConfigsForRequest } from "./_lib/energy-prices.js";
+import {
+  OVERRIDE_DATASETS,
+  deleteOverride,
+  loadOverrideAudit,
+  loadOverrides,
+  upsertOverride
+} from "./_lib/overrides.js";
+
+const AUDIT_TAIL = 50;
+
+function jsonResponse(status, obj) {
+  return new Response(JSON.stringify(obj, null, 2), {
+    status,
+    headers: {
+      "content-type": "application/json; charset=utf-8",
+      "cache-control": "no-store"
+    }
+  });
+}
+
+export default async (req) => {
+  if (!isAuthorized(req)) return forbidden();
+
+  const store = getStore("system");
+  const nowUtc = new Date().toISOString();
+
+  try {
+    if (req.method === "GET") {
+      const [doc, audit] = await Promise.all([loadOverrides(store), loadOverrideAudit(store)]);
+      const nowMs = Date.parse(nowUtc);
+      return jsonResponse(200, {
+        ok: true,
+        datasets: OVERRIDE_DATASETS,
+        overrides: doc.overrides.map((o) => ({ ...o, active: Date.parse(o.expires_at_utc) > nowMs })),
+        audit: audit.entries.slice(0, AUDIT_TAIL)
+      });
+    }
+
+    if (req.method === "POST") {
+      let body;
+      try {
+        body = JSON.parse((await req.text()) || "{}");
+      } catch {
+        return jsonResponse(400, { ok: false, error: "Body must be JSON." });
+      }
+      const geoConfigs = await loadGeoConfigsForRequest(req);
+      const override = await upsertOverride(store, body, { nowUtc, geoConfigs });
+      return jsonResponse(200, { ok: true, override });
+    }
+
+    if (req.method === "DELETE") {
+      const params = new URL(req.url).searchParams;
+      const removed = await deleteOverride(store, params.get("id") || "", {
+        author: params.get("author"),
+        reason: params.get("reason"),
+        nowUtc
+      });
+      return jsonResponse(200, { ok: true, removed });
+    }
+
+    return jsonResponse(405, { ok: false, error: "Use GET, POST or DELETE." });
+  } catch (err) {
+    const msg = String(err?.message || err);
+    const status = msg.startsWith("OVERRIDES:") ? 400 : msg.startsWith("OVERRIDES_BUSY:") ? 409 : 500;
+    return jsonResponse(status, { ok: false, error: msg });
+  }
+};
@@ -1,67 +1,101 @@
 import { getStore } from "@netlify/blobs";
+import { runUpdate, selectJobs } from "./_lib/updater.js";
+import { forbidden, isAuthorized } from "./_lib/admin-auth.js";
 
-function nowIso() {
-  return new Date().toISOString();
+// Authenticated manual trigger for the same pipeline update-data runs on schedule.
+//
+//   POST /.netlify/functions/run-update   (header x-run-token: $RUN_UPDATE_TOKEN)
+//   body (optional JSON): { "jobs": ["eia_efficiency_all_other_costs"], "dry_run": true, "wait_ms": 10000 }
+//   or query string:      ?jobs=eia_efficiency_all_other_costs,eia_heating_fuels&dry_run=1&wait_ms=10000
+//
+// dry_run fetches + validates and returns the would-be artifacts, plus the generation checks that would
+// decide promotion and the EIA client's request/cache/budget stats, without writing any blob.
+// wait_ms queues behind a run that holds the updater lock; otherwise a locked run answers 409 "skipped: locked".
+
+const MAX_WAIT_MS = 20000;
+
+const HEADERS = {
+  "content-type": "application/json; charset=utf-8",
+  "cache-control": "no-store"
+};
+
+function json(body, status = 200) {
+  return new Response(JSON.stringify(body), { status, headers: HEADERS });
 }
 
-export default async (req) => {
-  const token = req.headers.get("x-run-token");
-  const expected = process.env.RUN_UPDATE_TOKEN;
+function isTruthy(v) {
+  return v === true || v === "1" || v === "true";
+}
 
-  // If no token set yet, deny by default (safe)
-  if (!expected || token !== expected) {
-    return new Response(
-      JSON.stringify({ ok: false, error: "Forbidden" }),
-      { status: 403, headers: { "content-type": "application/json; charset=utf-8" } }
-    );
+async function readOptions(req) {
+  const params = new URL(req.url).searchParams;
+  let body = {};
+
+  if (req.method === "POST") {
+    const text = await req.text();
+    if (text.trim()) body = JSON.parse(text);
   }
 
-  const startedAt = Date.now();
-  const generatedAt = nowIso();
-
-  const store = getStore("system");
-
-  const status = {
-    schema_version: 1,
-    environment: "prod",
-    generated_at_utc: generatedAt,
-    overall_health: {
-      status: "DEGRADED",
-      reason: "Manual authenticated run wrote blob status.",
-      last_successful_update_utc: generatedAt,
-      fallback_active: true,
-      broken_user_impact: false
-    },
-    build: { site_version: "git:unknown", build_id: null, deployed_at_utc: null },
-    updater_last_run: {
-      run_id: generatedAt,
-      started_at_utc: generatedAt,
-      finished_at_utc: generatedAt,
-      duration_ms: Date.now() - startedAt,
-      result: "SUCCESS",
-      jobs: [{ job: "manual_run_update", source: "internal", checked: true, updated: true, data_period_detected: "n/a", message: "Manual authenticated trigger wrote system_status blob." }],
-      errors: [],
-      warnings: [],
-      fallback_in_effect: true
-    },
-    artifacts: [],
-    runtime_checks: {
-      artifact_fetch_test: { status: "SKIP", checked_at_utc: generatedAt, message: "Not enabled yet." },
-      calculator_boot_test: { status: "SKIP", checked_at_utc: generatedAt, message: "Not enabled yet." },
-      ads_container_present: { status: "SKIP", checked_at_utc: generatedAt, message: "Ads not enabled yet." }
-    },
-    recent_flags: [
-      { timestamp_utc: generatedAt, severity: "WARN", component: "updater", dataset: "system", type: "manual_seed", dedupe_key: "system:manual_seed", summary: "Manual authenticated trigger wrote status." }
-    ],
-    links: { deploy_logs: null, function_logs: null }
+  const jobsParam = params.get("jobs");
+  const jobIds = Array.isArray(body.jobs)
+    ? body.jobs.map(String)
+    : jobsParam
+      ? jobsParam.split(",").map((s) => s.trim()).filter(Boolean)
+      : null;
+
+  const waitMs = Number(body.wait_ms ?? params.get("wait_ms") ?? 0);
+
+  return {
+    jobIds,
+    dryRun: isTruthy(body.dry_run ?? params.get("dry_run")),
+    waitMs: Number.isFinite(waitMs) ? Math.min(Math.max(waitMs, 0), MAX_WAIT_MS) : 0
   };
+}
 
-  await store.set("system_status", JSON.stringify(status), {
-    contentType: "application/json"
+export default async (req) => {
+  // If no token set yet, deny by default (safe)
+  if (!isAuthorized(req)) return forbidden();
+
+  let jobs;
+  let opts;
+  try {
+    opts = await readOptions(req);
+    jobs = selectJobs(opts.jobIds);
+  } catch (err) {
+    return json({ ok: false, error: String(err.message) }, 400);
+  }
+
+  const out = await runUpdate({
+    systemStore: getStore("system"),
+    artifactsStore: getStore("artifacts"),
+    jobs,
+    trigger: "manual",
+    dryRun: opts.dryRun,
+    waitMs: opts.waitMs
   });
 
-  return new Response(
-    JSON.stringify({ ok: true, wrote: "system_status", generated_at_utc: generatedAt }),
-    { status: 200, headers: { "content-type": "application/json; charset=utf-8", "cache-control": "no-store" } }
-  );
+  if (out.dry_run) {
+    return json({
+      ok: true,
+      dry_run: true,
+      run_id: out.run_id,
+      generation_checks: out.generation_checks,
+      eia: out.eia,
+      jobs: out.jobs
+    });
+  }
+
+  if (out.skipped) {
+    return json({ ok: false, skipped: true, run_id: out.run_id, error: out.record.warnings[0] }, 409);
+  }
+
+  const run = out.status.updater_last_run;
+  return json({
+    ok: true,
+    dry_run: false,
+    run_id: out.run_id,
+    result: run.result,
+    overall_health: out.status.overall_health.status,
+    jobs: run.jobs
+  });
 };
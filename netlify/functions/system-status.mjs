@@ -1,4 +1,7 @@
 import { getStore } from "@netlify/blobs";
+import { applyFreshness } from "./_lib/status-health.js";
+import { loadFlagLog } from "./_lib/flag-log.js";
+import { breakerView, loadBreakerState } from "./_lib/eia-breaker.js";
 
 export default async () => {
   const store = getStore("system");
@@ -23,7 +26,13 @@ export default async () => {
     );
   }
 
-  return new Response(JSON.stringify(statusObj), {
+  // Age is evaluated at read time so a stalled updater still turns stale artifacts WARN/ERROR.
+  const flagLog = await loadFlagLog(store);
+  // The breaker is shared live state; what the last run saw may already be out of date.
+  const eiaBreaker = breakerView(await loadBreakerState(store));
+  const body = { ...applyFreshness(statusObj), eia_breaker: eiaBreaker, flag_log: flagLog.entries };
+
+  return new Response(JSON.stringify(body), {
     status: 200,
     headers: {
       "content-type": "application/json; charset=utf-8",
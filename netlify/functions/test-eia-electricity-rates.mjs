@@ -1,15 +1,15 @@
+import { assertEnvApiKey, createEiaClient, eiaUrl } from "./_lib/eia.js";
+
 export default async () => {
-  const apiKey = process.env.EIA_API_KEY;
-  if (!apiKey) {
+  try { assertEnvApiKey(); } catch {
     return new Response(JSON.stringify({ ok:false, error:"Missing EIA_API_KEY" }), {
       status: 500,
       headers: { "content-type":"application/json; charset=utf-8", "cache-control":"no-store" }
     });
   }
 
-  const base = "https://api.eia.gov/v2/electricity/retail-sales/data/";
+  const base = eiaUrl("electricity/retail-sales/data");
   const params = new URLSearchParams();
-  params.set("api_key", apiKey);
   params.set("frequency", "annual");
   params.append("data[]", "price");
 
@@ -23,23 +23,22 @@ export default async () => {
   params.set("length", "5");
 
   const url = `${base}?${params.toString()}`;
-  const res = await fetch(url, { headers: { accept: "application/json" } });
-  const text = await res.text();
-
-  let json = null;
-  try { json = JSON.parse(text); } catch {}
 
-  if (!res.ok) {
+  // Single attempt, no cache: this endpoint exists to show what EIA answers right now.
+  let json;
+  try {
+    json = await createEiaClient({ tries: 1, cacheTtlMs: 0 }).fetchJson(url);
+  } catch (err) {
     return new Response(JSON.stringify({
-      ok:false, status: res.status,
-      hint: json?.error || json?.message || text.slice(0, 200)
+      ok:false, status: err.status ?? 0,
+      hint: String(err?.message || err).slice(0, 300)
     }), { status: 200, headers: { "content-type":"application/json; charset=utf-8", "cache-control":"no-store" }});
   }
 
   const rows = json?.response?.data ?? [];
   return new Response(JSON.stringify({
     ok:true,
-    status: res.status,
+    status: 200,
     count: rows.length,
     sample: rows[0] ?? null
   }), { status: 200, headers: { "content-type":"application/json; charset=utf-8", "cache-control":"no-store" }});
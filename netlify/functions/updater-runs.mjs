@@ -0,0 +1,34 @@
+import { getStore } from "@netlify/blobs";
+import { loadRunLedger, pageRuns } from "./_lib/run-ledger.js";
+
+// GET /api/updater_runs.json?limit=20&before=<run_id>&job=<job id>
+// Newest first; follow next_before to page back through older runs.
+const MAX_LIMIT = 100;
+
+const HEADERS = {
+  "content-type": "application/json; charset=utf-8",
+  "cache-control": "no-store",
+  "access-control-allow-origin": "*"
+};
+
+export default async (request) => {
+  const params = new URL(request.url).searchParams;
+  const limitRaw = params.get("limit");
+  const limit = limitRaw === null ? 20 : Number(limitRaw);
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return new Response(
+      JSON.stringify({ error: `limit must be an integer between 1 and ${MAX_LIMIT}.` }),
+      { status: 400, headers: HEADERS }
+    );
+  }
+
+  const ledger = await loadRunLedger(getStore("system"));
+  const page = pageRuns(ledger, {
+    limit,
+    before: params.get("before"),
+    job: params.get("job")
+  });
+
+  return new Response(JSON.stringify({ ok: true, limit, ...page }), { status: 200, headers: HEADERS });
+};
@@ -0,0 +1,42 @@
+// scripts/discover-accept-lists.js
+//
+// Diff public/geo_accept_lists_v1.json against the duoareas EIA lists for each route and write a
+// proposed config (see netlify/functions/_lib/accept-list-discovery.js). The live config is never
+// touched: review the report, then copy the proposal over it by hand.
+//
+//   EIA_API_KEY=... npm run discover-accept-lists -- [--config <path>] [--out <path>]
+//
+//   --config  accept-lists to compare (default public/geo_accept_lists_v1.json)
+//   --out     where to write the proposal (default geo_accept_lists_v1.proposed.json)
+//
+// Prints the report as JSON. Exits 1 when the proposal fails validation, 2 on errors.
+// EIA_API_BASE_URL works as for the functions (e.g. against test/mock-eia/server.js).
+
+import { readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { createEiaClient } from "../netlify/functions/_lib/eia.js";
+import { discoverAcceptLists } from "../netlify/functions/_lib/accept-list-discovery.js";
+
+function parseArgs(argv) {
+  const opts = { config: "public/geo_accept_lists_v1.json", out: "geo_accept_lists_v1.proposed.json" };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--config") opts.config = argv[++i];
+    else if (argv[i] === "--out") opts.out = argv[++i];
+    else throw new Error(`Unknown argument: ${argv[i]}`);
+  }
+  return opts;
+}
+
+try {
+  const opts = parseArgs(process.argv.slice(2));
+  const doc = JSON.parse(await readFile(opts.config, "utf8"));
+
+  const { report, proposed } = await discoverAcceptLists({ eia: createEiaClient({ cacheTtlMs: 0 }), doc });
+  await writeFile(opts.out, `${JSON.stringify(proposed, null, 2)}\n`);
+
+  console.log(JSON.stringify({ ...report, proposed_file: path.resolve(opts.out) }, null, 2));
+  process.exitCode = report.proposed_validation.ok ? 0 : 1;
+} catch (err) {
+  console.error(String(err?.message || err));
+  process.exitCode = 2;
+}
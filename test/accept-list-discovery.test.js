@@ -0,0 +1,69 @@
+// test/accept-list-discovery.test.js
+//
+// Accept-list discovery against the mock EIA facet listings: added, retired and unmapped duoareas,
+// and a proposal whose expected_* fields pass the config validator.
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { startMockEiaServer } from "./mock-eia/server.js";
+import { createEiaClient } from "../netlify/functions/_lib/eia.js";
+import {
+  discoverAcceptLists,
+  recomputeAcceptListExpectations
+} from "../netlify/functions/_lib/accept-list-discovery.js";
+
+const current = JSON.parse(readFileSync(new URL("../public/geo_accept_lists_v1.json", import.meta.url), "utf8"));
+
+let eia;
+
+before(async () => {
+  eia = await startMockEiaServer();
+  process.env.EIA_API_BASE_URL = eia.url;
+});
+
+after(async () => {
+  await eia.close();
+  delete process.env.EIA_API_BASE_URL;
+});
+
+const discover = (doc) => discoverAcceptLists({ eia: createEiaClient({ apiKey: "k", cacheTtlMs: 0 }), doc });
+const listReport = (report, list) => report.lists.find((l) => l.list === list);
+
+test("recomputing the live config's expectations changes nothing", () => {
+  assert.deepEqual(recomputeAcceptListExpectations(current), current);
+});
+
+test("the live config matches EIA apart from unmapped areas, which are only reported", async () => {
+  const { report, proposed } = await discover(current);
+
+  assert.equal(report.changed, false);
+  assert.deepEqual(proposed, current);
+  assert.deepEqual(
+    listReport(report, "accepted_duoarea_petroleum_gnd").unmapped.map((f) => f.id),
+    ["Y05SF", "Y35NY"]
+  );
+  assert.deepEqual(listReport(report, "accepted_duoarea_natural_gas").unmapped, [{ id: "NUS-Z00", name: "U.S. Total" }]);
+  assert.deepEqual(
+    eia.requests.map((r) => `${r.route}/facet/${r.facet}`),
+    ["petroleum/pri/gnd/facet/duoarea", "petroleum/pri/wfr/facet/duoarea", "natural-gas/pri/sum/facet/duoarea"]
+  );
+});
+
+test("mapped areas EIA lists are added, areas it dropped are retired, and the proposal validates", async () => {
+  const stale = structuredClone(current);
+  stale.accepted_duoarea_petroleum_gnd = stale.accepted_duoarea_petroleum_gnd.filter((d) => d !== "SCA");
+  stale.accepted_duoarea_petroleum_wfr = [...stale.accepted_duoarea_petroleum_wfr, "SZZ"];
+  stale.duoarea_to_geo_code = { ...stale.duoarea_to_geo_code, SZZ: "ZZ" };
+
+  const { report, proposed } = await discover(stale);
+
+  assert.equal(report.changed, true);
+  assert.deepEqual(listReport(report, "accepted_duoarea_petroleum_gnd").added, [{ id: "SCA", name: "California", geo_code: "CA" }]);
+  assert.deepEqual(listReport(report, "accepted_duoarea_petroleum_wfr").retired, ["SZZ"]);
+  assert.deepEqual(report.mapping, { removed_keys: ["SZZ"], orphaned_geo_codes: ["ZZ"] });
+  assert.match(report.follow_up, /ZZ/);
+
+  assert.deepEqual(report.proposed_validation, { ok: true });
+  assert.deepEqual(proposed, current);
+});
@@ -0,0 +1,171 @@
+// test/artifact-admin.test.js
+//
+// artifact-admin: pinning, unpinning and restoring an artifact, and the system_status rows each one
+// leaves behind until the next updater run.
+
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { getStore } from "@netlify/blobs";
+import { startTestEnv } from "./harness/env.js";
+import { readPublishedArtifact } from "../netlify/functions/_lib/generations.js";
+import { writeArtifactSnapshot } from "../netlify/functions/_lib/artifact-history.js";
+import { applyPinToStatus, loadPins } from "../netlify/functions/_lib/artifact-pins.js";
+
+const TOKEN = "test-run-token";
+const ARTIFACT = "heating_fuels_latest";
+
+let env;
+
+before(async () => {
+  env = await startTestEnv();
+  process.env.RUN_UPDATE_TOKEN = TOKEN;
+});
+
+after(async () => {
+  delete process.env.RUN_UPDATE_TOKEN;
+  await env.close();
+});
+
+beforeEach(async () => {
+  env.reset();
+  await env.site.invoke("update-data");
+});
+
+async function admin(body) {
+  const res = await env.site.fetch(`/api/admin/artifacts/${ARTIFACT}`, {
+    method: "POST",
+    headers: { "x-run-token": TOKEN, "content-type": "application/json" },
+    body: JSON.stringify(body)
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+// system_status as the API serves it (freshness re-evaluated at read time).
+async function servedStatus() {
+  return (await env.site.fetch("/api/system_status")).json();
+}
+
+const storedStatus = () => getStore("system").get("system_status", { type: "json" });
+const row = (status) => status.artifacts.find((a) => a.artifact === `${ARTIFACT}.json`);
+
+test("pinning marks the row as a pinned fallback and the next run leaves the artifact alone", async () => {
+  const published = await readPublishedArtifact(getStore("artifacts"), ARTIFACT);
+
+  const res = await admin({ action: "pin", reason: "EIA revision pending" });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.pin.data_period, published.data_period);
+
+  for (const status of [await storedStatus(), await servedStatus()]) {
+    const r = row(status);
+    assert.equal(r.status, "WARN");
+    assert.equal(r.fallback.pinned, true);
+    assert.equal(status.overall_health.status, "DEGRADED");
+  }
+
+  env.eia.requests.length = 0;
+  await env.site.invoke("update-data");
+  assert.equal(env.eia.requests.some((r) => /petroleum\/pri\/wfr|natural-gas/.test(r.route)), false);
+  assert.equal(row(await storedStatus()).fallback.pinned, true);
+  assert.equal((await readPublishedArtifact(getStore("artifacts"), ARTIFACT)).fetched_at_utc, published.fetched_at_utc);
+});
+
+test("unpinning restores the row to what freshness says, in storage and on read", async () => {
+  const ingested = row(await storedStatus());
+  await admin({ action: "pin" });
+
+  const res = await admin({ action: "unpin" });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.unpinned, true);
+  assert.deepEqual(await loadPins(getStore("system")), {});
+
+  for (const status of [await storedStatus(), await servedStatus()]) {
+    const r = row(status);
+    assert.equal(r.status, "OK");
+    assert.equal(r.freshness.base_status, "OK");
+    assert.equal(r.fallback.active, false);
+    assert.equal(r.data_period, ingested.data_period);
+    assert.equal(status.overall_health.status, "HEALTHY");
+  }
+
+  // Nothing left to unpin.
+  assert.equal((await admin({ action: "unpin" })).body.unpinned, false);
+});
+
+test("restoring an older snapshot publishes it and pins it", async () => {
+  const artifacts = getStore("artifacts");
+  const current = await readPublishedArtifact(artifacts, ARTIFACT);
+  const older = { ...current, data_period: "2020-01-06_2019-12", fetched_at_utc: "2020-01-07T00:00:00.000Z" };
+  await writeArtifactSnapshot(artifacts, ARTIFACT, older);
+
+  const res = await admin({ action: "restore", period: older.data_period, reason: "bad week" });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.pin.data_period, older.data_period);
+
+  assert.equal((await readPublishedArtifact(artifacts, ARTIFACT)).data_period, older.data_period);
+  const r = row(await servedStatus());
+  assert.equal(r.status, "WARN");
+  assert.equal(r.data_period, older.data_period);
+  assert.equal(r.fallback.pinned_period, older.data_period);
+
+  assert.equal((await admin({ action: "restore", period: "1999-01-04_1998-12" })).status, 404);
+});
+
+test("unpinning keeps the warning and fallback the last ingest reported", async () => {
+  env.eia.setFaults([{ route: "petroleum/pri/wfr", status: 503 }]);
+  await env.site.invoke("update-data");
+  const ingested = row(await storedStatus());
+  assert.equal(ingested.status, "WARN");
+  assert.equal(ingested.fallback.active, true);
+
+  await admin({ action: "pin" });
+  // A pinned run ingests nothing, so the pre-pin state is all there is to go back to.
+  env.eia.setFaults([]);
+  await env.site.invoke("update-data");
+  await admin({ action: "unpin" });
+
+  const r = row(await servedStatus());
+  assert.equal(r.status, "WARN");
+  assert.equal(r.freshness.base_status, "WARN");
+  assert.equal(r.data_period, ingested.data_period);
+  assert.deepEqual(r.fallback, ingested.fallback);
+});
+
+test("unpinning a restored snapshot reports the restored period as a fallback until the next run", async () => {
+  const artifacts = getStore("artifacts");
+  const current = await readPublishedArtifact(artifacts, ARTIFACT);
+  const older = { ...current, data_period: "2020-01-06_2019-12", fetched_at_utc: "2020-01-07T00:00:00.000Z" };
+  await writeArtifactSnapshot(artifacts, ARTIFACT, older);
+  await admin({ action: "restore", period: older.data_period });
+
+  await admin({ action: "unpin" });
+  const r = row(await servedStatus());
+  assert.equal(r.data_period, older.data_period);
+  assert.equal(r.fallback.active, true);
+  assert.equal(r.fallback.pinned, undefined);
+  assert.equal(r.status, "WARN");
+
+  await env.site.invoke("update-data");
+  const after = row(await servedStatus());
+  assert.equal(after.data_period, current.data_period);
+  assert.equal(after.status, "OK");
+});
+
+test("malformed periods and bodies are a 400", async () => {
+  const bad = await admin({ action: "restore", period: "2024/01" });
+  assert.equal(bad.status, 400);
+  assert.match(bad.body.error, /^ARTIFACT_HISTORY: invalid data_period "2024\/01"/);
+
+  for (const body of [null, [], "pin", 3]) {
+    const res = await admin(body);
+    assert.equal(res.status, 400, JSON.stringify(body));
+    assert.equal(res.body.error, "Body must be a JSON object.");
+  }
+});
+
+test("status rows without an artifact name are left alone", () => {
+  const status = { artifacts: [{ status: "OK" }, { artifact: `${ARTIFACT}.json`, status: "OK", freshness: { base_status: "OK" } }] };
+  const pin = { data_period: "2026-01-05_2025-12", pinned_at_utc: "2026-01-06T00:00:00.000Z", reason: null };
+  applyPinToStatus(status, ARTIFACT, { pin });
+  assert.deepEqual(status.artifacts[0], { status: "OK" });
+  assert.equal(status.artifacts[1].fallback.pinned, true);
+});
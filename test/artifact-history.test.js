@@ -0,0 +1,116 @@
+// test/artifact-history.test.js
+//
+// Per-period artifact history (_lib/artifact-history.js): the snapshots an updater run leaves behind,
+// data_period validation, and the public /api/<artifact>/history endpoint.
+
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { getStore } from "@netlify/blobs";
+import { startTestEnv } from "./harness/env.js";
+import { readPublishedArtifact } from "../netlify/functions/_lib/generations.js";
+import {
+  HISTORY_ARTIFACTS,
+  getArtifactSnapshot,
+  listArtifactSnapshots,
+  snapshotKey,
+  writeArtifactSnapshot
+} from "../netlify/functions/_lib/artifact-history.js";
+
+let env;
+
+before(async () => {
+  env = await startTestEnv();
+});
+
+after(() => env.close());
+
+beforeEach(() => env.reset());
+
+async function runUpdateData() {
+  const res = await env.site.invoke("update-data");
+  assert.equal(res.status, 200);
+}
+
+async function history(path) {
+  const res = await env.site.fetch(path);
+  return { status: res.status, body: await res.json() };
+}
+
+test("a promoted run snapshots every artifact under its data_period", async () => {
+  await runUpdateData();
+
+  const store = getStore("artifacts");
+  for (const artifactKey of Object.values(HISTORY_ARTIFACTS)) {
+    const published = await readPublishedArtifact(store, artifactKey);
+    const snapshots = await listArtifactSnapshots(store, artifactKey);
+    assert.deepEqual(snapshots.map((s) => s.data_period), [published.data_period], artifactKey);
+    assert.deepEqual(await getArtifactSnapshot(store, artifactKey, published.data_period), published, artifactKey);
+  }
+});
+
+test("a later run for the same period keeps the first snapshot, and a failed job writes none", async () => {
+  await runUpdateData();
+  const store = getStore("artifacts");
+  const first = await readPublishedArtifact(store, "heating_fuels_latest");
+
+  await runUpdateData();
+  const second = await readPublishedArtifact(store, "heating_fuels_latest");
+  assert.notEqual(second.fetched_at_utc, first.fetched_at_utc);
+  assert.deepEqual(await getArtifactSnapshot(store, "heating_fuels_latest", first.data_period), first);
+
+  env.reset();
+  env.eia.setFaults([{ route: "petroleum/pri/gnd", status: 503 }]);
+  await runUpdateData();
+  const fresh = getStore("artifacts");
+  assert.deepEqual(await listArtifactSnapshots(fresh, "transportation_fuels_latest"), []);
+  assert.equal((await listArtifactSnapshots(fresh, "heating_fuels_latest")).length, 1);
+});
+
+test("periods that are not EIA period strings are refused", async () => {
+  const store = getStore("artifacts");
+  for (const period of ["seed", "", "2024/01", "../electricity_rates_latest", "2024 01", null]) {
+    assert.throws(() => snapshotKey("electricity_rates_latest", period), /^Error: ARTIFACT_HISTORY: invalid data_period/, String(period));
+    await assert.rejects(
+      writeArtifactSnapshot(store, "electricity_rates_latest", { data_period: period }),
+      /ARTIFACT_HISTORY: invalid data_period/
+    );
+  }
+  for (const period of ["2024", "2024-05", "2024-05-06", "2024-05-06_2024-03"]) {
+    assert.equal(snapshotKey("heating_fuels_latest", period), `history/heating_fuels_latest/${period}`);
+  }
+
+  const res = await history("/api/electricity_rates/history?period=2024%2F01");
+  assert.equal(res.status, 400);
+  assert.equal(res.body.error, 'ARTIFACT_HISTORY: invalid data_period "2024/01"');
+});
+
+test("the history endpoint lists snapshots newest first and serves each one", async () => {
+  const store = getStore("artifacts");
+  for (const period of ["2022", "2024", "2023"]) {
+    await writeArtifactSnapshot(store, "electricity_rates_latest", { data_period: period, fetched_at_utc: `${period}-06-01T00:00:00Z` });
+  }
+
+  const list = await history("/api/electricity_rates/history");
+  assert.equal(list.status, 200);
+  assert.equal(list.body.count, 3);
+  assert.deepEqual(list.body.snapshots, ["2024", "2023", "2022"].map((p) => ({
+    data_period: p,
+    url: `/api/electricity_rates/history?period=${p}`
+  })));
+
+  const one = await history(list.body.snapshots[1].url);
+  assert.equal(one.status, 200);
+  assert.deepEqual(one.body, {
+    ok: true,
+    artifact: "electricity_rates",
+    data_period: "2023",
+    snapshot: { data_period: "2023", fetched_at_utc: "2023-06-01T00:00:00Z" }
+  });
+
+  assert.equal((await history("/api/electricity_rates/history?period=2019")).status, 404);
+  assert.deepEqual((await history("/api/heating_fuels/history")).body.snapshots, []);
+
+  const unknown = await history("/api/electricity_rates_latest/history");
+  assert.equal(unknown.status, 404);
+  assert.deepEqual(unknown.body.artifacts, Object.keys(HISTORY_ARTIFACTS));
+});
@@ -0,0 +1,62 @@
+// test/efficiency-tolerances.test.js
+//
+// The efficiency job's year-over-year delta check: each state/sector is held to its own tolerance,
+// and EFFICIENCY_DELTA_TOLERANCES (env, JSON) is laid over the defaults.
+
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { runValidators } from "../netlify/functions/_lib/ingest-validators.js";
+import {
+  EFFICIENCY_DELTA_TOLERANCES,
+  efficiencyAllOtherCostsJob,
+  efficiencyDeltaTolerances
+} from "../netlify/functions/_lib/jobs/efficiency-all-other-costs.js";
+
+afterEach(() => {
+  delete process.env.EFFICIENCY_DELTA_TOLERANCES;
+});
+
+function deltaOffenders(byState, prevByState) {
+  const data = { period: "2024", byState, historyByState: {} };
+  const { validation } = runValidators(efficiencyAllOtherCostsJob.validators, data, {
+    prevArtifact: { values: { by_state: prevByState } },
+    partition: null,
+    schemaDrift: []
+  });
+  const delta = validation.anomalies.find((a) => a.type === "delta");
+  return { delta_ok: validation.delta_ok, offenders: delta ? delta.details.offenders : [] };
+}
+
+test("each state/sector is held to its own tolerance", () => {
+  process.env.EFFICIENCY_DELTA_TOLERANCES = JSON.stringify({ by_state_sector: { "TX|RES": 50, "CA|RES": 20 } });
+
+  const { delta_ok, offenders } = deltaOffenders(
+    { TX: { RES: 130, COM: 100 }, CA: { RES: 130, COM: 100 } },
+    { TX: { RES: 100, COM: 100 }, CA: { RES: 100, COM: 100 } }
+  );
+  assert.equal(delta_ok, false);
+  assert.deepEqual(offenders.map((o) => [o.state, o.sector, o.delta_pct, o.max_pct]), [["CA", "RES", 30, 20]]);
+});
+
+test("without the env the defaults apply, including the looser small-state tolerances", () => {
+  const { offenders } = deltaOffenders(
+    { DC: { RES: 200 }, TX: { RES: 200 } },
+    { DC: { RES: 100 }, TX: { RES: 100 } }
+  );
+  assert.deepEqual(offenders.map((o) => [o.state, o.max_pct]), [["TX", EFFICIENCY_DELTA_TOLERANCES.default_pct]]);
+});
+
+test("the override replaces default_pct and adds to the default maps", () => {
+  const tol = efficiencyDeltaTolerances(JSON.stringify({ default_pct: 40, by_state: { VT: 200, DC: 90 } }));
+  assert.equal(tol.default_pct, 40);
+  assert.deepEqual(tol.by_state, { ...EFFICIENCY_DELTA_TOLERANCES.by_state, VT: 200, DC: 90 });
+  assert.deepEqual(tol.by_sector, {});
+  assert.equal(efficiencyDeltaTolerances(""), EFFICIENCY_DELTA_TOLERANCES);
+});
+
+test("a malformed override is an EFFICIENCY_TOLERANCES error", () => {
+  assert.throws(() => efficiencyDeltaTolerances("{"), /^Error: EFFICIENCY_TOLERANCES: .* not valid JSON/);
+  assert.throws(() => efficiencyDeltaTolerances("[]"), /must be a JSON object/);
+  assert.throws(() => efficiencyDeltaTolerances('{"default_pct":-1}'), /default_pct must be a non-negative number/);
+  assert.throws(() => efficiencyDeltaTolerances('{"by_state_sector":{"TX|RES":"50"}}'), /by_state_sector\.TX\|RES/);
+});
@@ -0,0 +1,129 @@
+// test/eia-client.test.js
+//
+// The shared EIA client (_lib/eia.js) against the mock EIA server: retry policy, request budget,
+// response cache and api_key redaction.
+
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { startMockEiaServer } from "./mock-eia/server.js";
+import { clearEiaCache, createEiaClient, eiaUrl, redactSecrets } from "../netlify/functions/_lib/eia.js";
+
+let eia;
+
+before(async () => {
+  eia = await startMockEiaServer();
+  process.env.EIA_API_BASE_URL = eia.url;
+});
+
+after(async () => {
+  await eia.close();
+  delete process.env.EIA_API_BASE_URL;
+});
+
+beforeEach(() => {
+  eia.setFaults([]);
+  eia.requests.length = 0;
+  clearEiaCache();
+});
+
+const retailUrl = () => `${eiaUrl("electricity/retail-sales/data")}?frequency=annual&data[]=price&facets[stateid][]=US&length=5`;
+
+test("429 and 5xx responses are retried, 4xx are not", async () => {
+  eia.setFaults([
+    { route: "electricity/retail-sales", status: 429, times: 1 },
+    { route: "electricity/retail-sales", status: 502, times: 1 }
+  ]);
+  const client = createEiaClient({ apiKey: "k", cacheTtlMs: 0, baseDelayMs: 10 });
+
+  const json = await client.fetchJson(retailUrl());
+  assert.ok(json.response.data.length > 0);
+  assert.deepEqual(eia.requests.map((r) => r.status), [429, 502, 200]);
+  assert.equal(client.stats().retries, 2);
+
+  eia.requests.length = 0;
+  await assert.rejects(
+    client.fetchJson(`${eiaUrl("electricity/retail-sales/data")}?facets[nope][]=x`),
+    (err) => err.status === 400 && /after 1 attempt/.test(err.message)
+  );
+  assert.equal(eia.requests.length, 1);
+});
+
+test("the request budget counts every attempt and stops the run once spent", async () => {
+  eia.setFaults([{ route: "electricity/retail-sales", status: 503, times: 1 }]);
+  const client = createEiaClient({ apiKey: "k", cacheTtlMs: 0, baseDelayMs: 10, budget: 3 });
+
+  await client.fetchJson(retailUrl());
+  assert.equal(client.stats().requests, 2);
+
+  await client.fetchJson(`${retailUrl()}&offset=5`);
+  await assert.rejects(client.fetchJson(`${retailUrl()}&offset=10`), /^Error: EIA_BUDGET_EXHAUSTED: all 3/);
+  assert.equal(client.stats().budget_remaining, 0);
+  assert.equal(eia.requests.length, 3);
+});
+
+test("identical queries are served from the cache, regardless of param order", async () => {
+  const client = createEiaClient({ apiKey: "k", budget: 5 });
+  const a = await client.fetchJson(retailUrl());
+  const b = await client.fetchJson(
+    `${eiaUrl("electricity/retail-sales/data")}?length=5&facets[stateid][]=US&data[]=price&frequency=annual`
+  );
+
+  assert.deepEqual(a, b);
+  assert.equal(eia.requests.length, 1);
+  assert.deepEqual(client.stats(), { requests: 1, retries: 0, cache_hits: 1, breaker_rejections: 0, budget: 5, budget_remaining: 4 });
+
+  // Callers get their own copy.
+  a.response.data.length = 0;
+  assert.ok((await client.fetchJson(retailUrl())).response.data.length > 0);
+});
+
+test("errors never carry the api_key", async () => {
+  eia.setFaults([{ route: "electricity/retail-sales", status: 500 }]);
+  const client = createEiaClient({ apiKey: "very-secret", cacheTtlMs: 0, tries: 2, baseDelayMs: 10 });
+
+  await assert.rejects(client.fetchJson(retailUrl()), (err) => {
+    assert.match(err.message, /api_key=REDACTED/);
+    assert.doesNotMatch(err.message, /very-secret/);
+    return true;
+  });
+
+  assert.equal(
+    redactSecrets('GET /x?api_key=abc&y=1 {"api_key":"abc"} key abc', "abc"),
+    'GET /x?api_key=REDACTED&y=1 {"api_key":"REDACTED"} key REDACTED'
+  );
+});
+
+test("responses are checked against the route schema and drift is handed out once", async () => {
+  eia.setFaults([{ route: "electricity/retail-sales", drift: { rename: { price: "value" }, set: { "price-units": "dollars" } } }]);
+  const client = createEiaClient({ apiKey: "k", cacheTtlMs: 0 });
+
+  await client.fetchJson(retailUrl());
+  await client.fetchJson(`${retailUrl()}&offset=5`);
+
+  const drift = client.takeSchemaDrift();
+  assert.deepEqual(
+    drift.map((f) => [f.field, f.issue, f.rows]),
+    [
+      ["price", "missing_column", 10],
+      ["value", "unexpected_column", 10],
+      ["price-units", "units_changed", 10]
+    ]
+  );
+  assert.deepEqual(drift[2].expected, ["cents per kilowatt-hour"]);
+  assert.deepEqual(client.takeSchemaDrift(), []);
+});
+
+test("fetchChunked splits the facet list and pages each chunk", async () => {
+  const client = createEiaClient({ apiKey: "k", cacheTtlMs: 0 });
+  const states = ["AL", "AK", "AZ", "AR", "CA"];
+
+  const out = await client.fetchChunked(
+    `${eiaUrl("electricity/retail-sales/data")}?frequency=annual&data[]=price&facets[sectorid][]=RES`,
+    { facet: "stateid", values: states, chunkSize: 2, pageSize: 4 }
+  );
+
+  assert.equal(out.chunks, 3);
+  assert.equal(out.urls.length, 3);
+  assert.deepEqual([...new Set(out.rows.map((r) => r.stateid))].sort(), [...states].sort());
+  assert.ok(out.pages > out.chunks);
+});
@@ -0,0 +1,83 @@
+// test/eia-fixtures.test.js
+//
+// EIA_FIXTURE_MODE record/replay (_lib/eia.js): responses recorded against the mock EIA server are
+// served back with the server stopped and no EIA_API_KEY, and never carry the key on disk.
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, readdir, readFile, rm } from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { startMockEiaServer } from "./mock-eia/server.js";
+import { clearEiaCache, createEiaClient, eiaUrl } from "../netlify/functions/_lib/eia.js";
+
+const API_KEY = "fixture-secret-key";
+
+let eia;
+let dir;
+
+before(async () => {
+  eia = await startMockEiaServer();
+  dir = await mkdtemp(path.join(os.tmpdir(), "eia-fixtures-"));
+  process.env.EIA_API_BASE_URL = eia.url;
+  process.env.EIA_FIXTURE_DIR = dir;
+});
+
+after(async () => {
+  await eia.close();
+  await rm(dir, { recursive: true, force: true });
+  for (const name of ["EIA_API_BASE_URL", "EIA_FIXTURE_DIR", "EIA_FIXTURE_MODE", "EIA_API_KEY"]) delete process.env[name];
+});
+
+const retailUrl = () =>
+  `${eiaUrl("electricity/retail-sales/data")}?frequency=annual&data[]=price&facets[sectorid][]=RES&facets[stateid][]=CA&facets[stateid][]=TX`;
+
+async function listFiles(root) {
+  const entries = await readdir(root, { recursive: true, withFileTypes: true });
+  return entries.filter((e) => e.isFile()).map((e) => path.join(e.parentPath ?? e.path, e.name));
+}
+
+// The steps share the fixture directory, so they run in order within one test.
+test("recorded responses replay offline, without the api_key, and a missing fixture fails", async (t) => {
+  let recorded;
+
+  await t.test("record saves every page while fetching from EIA", async () => {
+    process.env.EIA_FIXTURE_MODE = "record";
+    process.env.EIA_API_KEY = API_KEY;
+    clearEiaCache();
+
+    recorded = await createEiaClient({ cacheTtlMs: 0 }).fetchPaged(retailUrl(), { pageSize: 3 });
+    assert.ok(recorded.pages > 1);
+    assert.equal(eia.requests.length, recorded.pages);
+    assert.equal((await listFiles(dir)).length, recorded.pages);
+  });
+
+  await t.test("recorded files contain no api_key", async () => {
+    for (const file of await listFiles(dir)) {
+      const text = await readFile(file, "utf8");
+      assert.doesNotMatch(text, new RegExp(API_KEY));
+      const fixture = JSON.parse(text);
+      assert.match(fixture.url, /api_key=REDACTED/);
+      assert.equal(fixture.body.request.params.api_key, "REDACTED");
+    }
+  });
+
+  await t.test("replay serves the same rows with the server stopped and no EIA_API_KEY", async () => {
+    await eia.close();
+    process.env.EIA_FIXTURE_MODE = "replay";
+    delete process.env.EIA_API_KEY;
+    clearEiaCache();
+
+    const replayed = await createEiaClient({ cacheTtlMs: 0 }).fetchPaged(retailUrl(), { pageSize: 3 });
+    assert.deepEqual(replayed, recorded);
+  });
+
+  await t.test("a query that was never recorded raises EIA_FIXTURE_MISSING", async () => {
+    const client = createEiaClient({ cacheTtlMs: 0 });
+    await assert.rejects(
+      client.fetchJson(`${retailUrl()}&facets[stateid][]=NY`),
+      /^Error: EIA_FIXTURE_MISSING: no recorded response for electricity\/retail-sales\/data\?/
+    );
+    assert.equal(client.stats().retries, 0);
+  });
+});
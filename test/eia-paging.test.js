@@ -0,0 +1,82 @@
+// test/eia-paging.test.js
+//
+// Paging through EIA v2 results (fetchEiaPaged in _lib/eia.js): when it stops, the offsets it asks
+// for, and the page counts jobs report in their diagnostics.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { getStore } from "@netlify/blobs";
+import { startTestEnv } from "./harness/env.js";
+import { fetchEiaPaged } from "../netlify/functions/_lib/eia.js";
+
+// Serves `rows` in pages the way EIA does, recording the offset/length of each request.
+function fakeEia(rows, { total = rows.length, withTotal = true } = {}) {
+  const asked = [];
+  const fetchJson = async (url) => {
+    const u = new URL(url);
+    const offset = Number(u.searchParams.get("offset"));
+    const length = Number(u.searchParams.get("length"));
+    asked.push([offset, length]);
+    return { response: { ...(withTotal ? { total } : {}), data: rows.slice(offset, offset + length) } };
+  };
+  return { asked, fetchJson };
+}
+
+const ROWS = Array.from({ length: 25 }, (_, i) => ({ period: "2024", n: i }));
+
+test("pages are requested until response.total rows are in, replacing any offset/length in the url", async () => {
+  const { asked, fetchJson } = fakeEia(ROWS);
+  const out = await fetchEiaPaged("https://eia.test/v2/x/data?offset=500&length=3000", { pageSize: 10, fetchJson });
+
+  assert.deepEqual(asked, [[0, 10], [10, 10], [20, 10]]);
+  assert.deepEqual(out.rows, ROWS);
+  assert.equal(out.total, 25);
+  assert.equal(out.pages, 3);
+});
+
+test("a string total counts, and without one a short page ends the query", async () => {
+  const stringTotal = fakeEia(ROWS, { total: "25" });
+  assert.equal((await fetchEiaPaged("https://eia.test/v2/x/data", { pageSize: 10, fetchJson: stringTotal.fetchJson })).total, 25);
+  assert.equal(stringTotal.asked.length, 3);
+
+  const noTotal = fakeEia(ROWS, { withTotal: false });
+  const out = await fetchEiaPaged("https://eia.test/v2/x/data", { pageSize: 5, fetchJson: noTotal.fetchJson });
+  // 25 rows in pages of 5: the sixth page is empty.
+  assert.equal(out.rows.length, 25);
+  assert.equal(out.total, null);
+  assert.equal(out.pages, 6);
+});
+
+test("an empty page ends the query even when total promises more", async () => {
+  const { asked, fetchJson } = fakeEia(ROWS.slice(0, 12), { total: 40 });
+  const out = await fetchEiaPaged("https://eia.test/v2/x/data", { pageSize: 10, fetchJson });
+  assert.equal(out.rows.length, 12);
+  assert.equal(out.total, 40);
+  assert.deepEqual(asked.map(([offset]) => offset), [0, 10, 20]);
+});
+
+test("a query that needs more than maxPages fails with EIA_PAGINATION_LIMIT instead of truncating", async () => {
+  const { fetchJson } = fakeEia(ROWS);
+  await assert.rejects(
+    fetchEiaPaged("https://eia.test/v2/x/data", { pageSize: 5, maxPages: 3, fetchJson }),
+    /^Error: EIA_PAGINATION_LIMIT: stopped after 3 pages \(15\/25 rows\)$/
+  );
+});
+
+test("jobs report the pages and rows they fetched in updater_last_run diagnostics", async () => {
+  const env = await startTestEnv();
+  try {
+    env.reset();
+    await env.site.invoke("update-data");
+    const status = await getStore("system").get("system_status", { type: "json" });
+
+    for (const j of status.updater_last_run.jobs) {
+      assert.ok(j.diagnostics.pages >= 1, j.job);
+      assert.ok(j.diagnostics.rows_fetched > 0, j.job);
+    }
+    const efficiency = status.updater_last_run.jobs.find((j) => j.job === "eia_efficiency_all_other_costs");
+    assert.equal(efficiency.diagnostics.rows_fetched, efficiency.diagnostics.total);
+  } finally {
+    await env.close();
+  }
+});
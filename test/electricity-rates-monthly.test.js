@@ -0,0 +1,129 @@
+// test/electricity-rates-monthly.test.js
+//
+// The monthly electricity series (eia_electricity_rates_res_monthly -> electricity_rates_monthly_latest,
+// served at /api/electricity_rates_monthly_latest.json): states plus US, its own thresholds and
+// validation, and kept apart from the annual artifact.
+
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { getStore } from "@netlify/blobs";
+import { startTestEnv } from "./harness/env.js";
+import { readPublishedArtifact } from "../netlify/functions/_lib/generations.js";
+
+const SECTORS = ["RES", "COM", "IND", "TRA"];
+
+let env;
+
+before(async () => {
+  env = await startTestEnv();
+});
+
+after(() => env.close());
+
+beforeEach(async () => {
+  env.reset();
+  await env.site.invoke("update-data");
+});
+
+const systemStatus = () => getStore("system").get("system_status", { type: "json" });
+const published = (key) => readPublishedArtifact(getStore("artifacts"), key);
+const row = (status, artifact) => status.artifacts.find((a) => a.artifact === artifact);
+
+async function get(path) {
+  const res = await env.site.fetch(path);
+  return { status: res.status, body: await res.json() };
+}
+
+// Sets RES prices in the latest month only, so the annual series (periods "YYYY") is untouched.
+function driftLatestMonth(period, set, where = {}) {
+  env.eia.setFaults([
+    { route: "electricity/retail-sales", drift: { where: { period, sectorid: "RES", ...where }, set } }
+  ]);
+}
+
+test("the monthly job publishes its own artifact for every state plus US under monthly thresholds", async () => {
+  const monthly = await published("electricity_rates_monthly_latest");
+  const annual = await published("electricity_rates_latest");
+
+  assert.equal(monthly.frequency, "monthly");
+  assert.match(monthly.data_period, /^\d{4}-\d{2}$/);
+  assert.equal(annual.frequency, "annual");
+  assert.match(annual.data_period, /^\d{4}$/);
+
+  const res = monthly.values.by_state_cents_per_kwh;
+  assert.equal(Object.keys(res).length, 52);
+  assert.ok("US" in res && "DC" in res);
+  assert.deepEqual(monthly.sectors, SECTORS);
+
+  const status = await systemStatus();
+  for (const sector of SECTORS) {
+    const r = row(status, `electricity_rates_monthly_latest.json#${sector}`);
+    assert.equal(r.status, "OK", sector);
+    assert.equal(r.data_period, monthly.data_period, sector);
+    assert.deepEqual(r.thresholds, { warn_after_days: 45, error_after_days: 90 }, sector);
+    assert.deepEqual(row(status, `electricity_rates_latest.json#${sector}`).thresholds, { warn_after_days: 400, error_after_days: 800 });
+  }
+  assert.ok(status.updater_last_run.jobs.some((j) => j.job === "eia_electricity_rates_res_monthly"));
+});
+
+test("/api/electricity_rates_monthly_latest.json serves the monthly artifact and takes ?sector=", async () => {
+  const monthly = await published("electricity_rates_monthly_latest");
+
+  const all = await get("/api/electricity_rates_monthly_latest.json");
+  assert.equal(all.status, 200);
+  assert.equal(all.body.frequency, "monthly");
+  assert.equal(all.body.data_period, monthly.data_period);
+  assert.deepEqual(all.body.values, monthly.values);
+  assert.notEqual(all.body.data_period, (await get("/api/electricity_rates_latest.json")).body.data_period);
+
+  const com = await get("/api/electricity_rates_monthly_latest.json?sector=COM");
+  assert.equal(com.status, 200);
+  assert.equal(com.body.frequency, "monthly");
+  assert.equal(com.body.sector, "COM");
+  assert.deepEqual(com.body.values, { by_state_cents_per_kwh: monthly.values.by_sector.COM.by_state_cents_per_kwh });
+});
+
+test("a monthly sector that fails range or coverage keeps its previous month; the annual series is unaffected", async () => {
+  const monthlyBefore = await published("electricity_rates_monthly_latest");
+  const annualBefore = await published("electricity_rates_latest");
+
+  driftLatestMonth(monthlyBefore.data_period, { price: 500 });
+  await env.site.invoke("update-data");
+
+  let status = await systemStatus();
+  let res = row(status, "electricity_rates_monthly_latest.json#RES");
+  assert.equal(res.validation.range_ok, false);
+  assert.equal(res.fallback.active, true);
+  assert.equal(row(status, "electricity_rates_monthly_latest.json#COM").status, "OK");
+  assert.equal(row(status, "electricity_rates_latest.json#RES").status, "OK");
+
+  const monthlyAfter = await published("electricity_rates_monthly_latest");
+  assert.equal(monthlyAfter.values.by_sector.RES.fallback, true);
+  assert.deepEqual(monthlyAfter.values.by_state_cents_per_kwh, monthlyBefore.values.by_state_cents_per_kwh);
+  assert.deepEqual((await published("electricity_rates_latest")).values, annualBefore.values);
+
+  // A withheld state is missing coverage.
+  driftLatestMonth(monthlyBefore.data_period, { price: null }, { stateid: "CA" });
+  await env.site.invoke("update-data");
+
+  status = await systemStatus();
+  res = row(status, "electricity_rates_monthly_latest.json#RES");
+  assert.equal(res.validation.complete_coverage, false);
+  assert.deepEqual(res.validation.missing_keys, ["CA"]);
+  assert.equal(res.fallback.active, true);
+});
+
+test("month-over-month moves beyond 35% are flagged against the previous monthly artifact", async () => {
+  const before = await published("electricity_rates_monthly_latest");
+  const prevCa = before.values.by_sector.RES.by_state_cents_per_kwh.CA;
+  const next = Math.round(prevCa * 1.5 * 100) / 100;
+
+  driftLatestMonth(before.data_period, { price: next }, { stateid: "CA" });
+  await env.site.invoke("update-data");
+
+  const res = row(await systemStatus(), "electricity_rates_monthly_latest.json#RES");
+  assert.equal(res.status, "WARN");
+  assert.equal(res.validation.delta_ok, false);
+  const delta = res.validation.anomalies.find((a) => a.type === "delta").details;
+  assert.deepEqual(delta.offenders.map((o) => [o.state, o.prev, o.next, o.max_pct]), [["CA", prevCa, next, 35]]);
+});
@@ -0,0 +1,82 @@
+// test/electricity-rates.test.js
+//
+// /api/electricity_rates_latest.json and its ?sector= selector: every sector by default, one sector's
+// map at by_state_cents_per_kwh when asked for, and 400s for selectors it does not know.
+
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { startTestEnv } from "./harness/env.js";
+
+const SECTORS = ["RES", "COM", "IND", "TRA"];
+
+let env;
+
+before(async () => {
+  env = await startTestEnv();
+});
+
+after(() => env.close());
+
+beforeEach(() => env.reset());
+
+async function rates(query = "") {
+  const res = await env.site.fetch(`/api/electricity_rates_latest.json${query}`);
+  return { status: res.status, body: await res.json() };
+}
+
+test("before the first updater run the endpoint answers 503", async () => {
+  const { status, body } = await rates();
+  assert.equal(status, 503);
+  assert.match(body.error, /Updater has not ingested EIA data/);
+  assert.equal((await rates("?sector=COM")).status, 503);
+});
+
+test("without a sector every sector is served, with residential at the version 1 location", async () => {
+  await env.site.invoke("update-data");
+  const { status, body } = await rates();
+
+  assert.equal(status, 200);
+  assert.equal(body.version, 2);
+  assert.deepEqual(body.sectors, SECTORS);
+  assert.deepEqual(Object.keys(body.values.by_sector), SECTORS);
+  assert.deepEqual(body.values.by_state_cents_per_kwh, body.values.by_sector.RES.by_state_cents_per_kwh);
+  assert.equal(body.sector, undefined);
+});
+
+test("?sector= narrows the artifact to that sector's map, period and fallback", async () => {
+  await env.site.invoke("update-data");
+  const all = (await rates()).body;
+
+  for (const sector of SECTORS) {
+    const { status, body } = await rates(`?sector=${sector}`);
+    assert.equal(status, 200, sector);
+    assert.equal(body.sector, sector);
+    assert.deepEqual(body.sectors, [sector]);
+    assert.equal(body.data_period, all.values.by_sector[sector].data_period);
+    assert.equal(body.fallback, false);
+    assert.deepEqual(body.quarantined_states, []);
+    assert.deepEqual(body.overrides_by_state, {});
+    assert.deepEqual(body.values, { by_state_cents_per_kwh: all.values.by_sector[sector].by_state_cents_per_kwh });
+  }
+
+  // Transportation is only reported for a few states; the selector is case-insensitive.
+  const tra = (await rates("?sector=tra")).body;
+  assert.equal(tra.sector, "TRA");
+  assert.ok(Object.keys(tra.values.by_state_cents_per_kwh).length < Object.keys(all.values.by_state_cents_per_kwh).length);
+  assert.ok("US" in tra.values.by_state_cents_per_kwh);
+});
+
+test("an unknown sector or frequency is a 400 listing the valid values", async () => {
+  await env.site.invoke("update-data");
+
+  const sector = await rates("?sector=AGR");
+  assert.equal(sector.status, 400);
+  assert.deepEqual(sector.body, { error: 'Unknown sector "AGR".', sectors: SECTORS });
+
+  const frequency = await rates("?frequency=weekly");
+  assert.equal(frequency.status, 400);
+  assert.deepEqual(frequency.body.frequencies, ["annual", "monthly"]);
+
+  // An empty selector is the same as none.
+  assert.deepEqual((await rates("?sector=")).body.sectors, SECTORS);
+});
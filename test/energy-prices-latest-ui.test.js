@@ -0,0 +1,92 @@
+// test/energy-prices-latest-ui.test.js
+//
+// energy-prices-latest-ui: the frozen v1 contract and conditional GET (ETag / 304).
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestEnv } from "./harness/env.js";
+import { resetBlobs } from "./harness/blobs.js";
+
+const EXPECTED_GEOS = 61;
+const EXPECTED_FUELS = 5;
+const VALUE_CELL = ["price", "units", "period", "is_fallback", "fallback_from_geo_code", "is_override"];
+
+let env;
+
+before(async () => {
+  env = await startTestEnv();
+  await env.site.invoke("update-data");
+});
+
+after(() => env.close());
+
+const getUi = (headers = {}) => env.site.invoke("energy-prices-latest-ui", { headers });
+
+test("the body satisfies the v1 contract", async () => {
+  const res = await getUi();
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get("cache-control"), /s-maxage=300/);
+
+  const body = await res.json();
+  assert.equal(body.ok, true);
+  assert.equal(body.version, "v1");
+  assert.deepEqual(body.schema.value_cell, VALUE_CELL);
+  assert.equal(body.schema.geos, EXPECTED_GEOS);
+  assert.equal(body.schema.fuels, EXPECTED_FUELS);
+  assert.deepEqual(body.meta.counts, { fuels: EXPECTED_FUELS, geos: EXPECTED_GEOS });
+
+  const geoCodes = body.geos.map((g) => g.geo_code);
+  assert.equal(geoCodes.length, EXPECTED_GEOS);
+  assert.deepEqual(geoCodes, [...geoCodes].sort());
+  assert.ok(body.geos.every((g) => typeof g.geo_display_name === "string" && g.geo_display_name));
+
+  assert.equal(body.fuels.length, EXPECTED_FUELS);
+  for (const f of body.fuels) {
+    assert.equal(f.fuel_key, `${f.dataset}::${f.fuel}::${f.sector}`);
+    const cells = body.values[f.fuel_key];
+    assert.deepEqual(Object.keys(cells).sort(), [...geoCodes].sort(), f.fuel_key);
+    for (const cell of Object.values(cells)) {
+      assert.deepEqual(Object.keys(cell), VALUE_CELL);
+      assert.ok(cell.price === null || (typeof cell.price === "number" && cell.price > 0));
+    }
+    assert.ok(Object.values(cells).some((c) => c.price !== null && !c.is_fallback), f.fuel_key);
+  }
+});
+
+test("the ETag is stable across requests even though generated_at changes", async () => {
+  const a = await getUi();
+  await new Promise((r) => setTimeout(r, 5));
+  const b = await getUi();
+
+  assert.match(a.headers.get("etag"), /^"[0-9a-f]{64}"$/);
+  assert.equal(a.headers.get("etag"), b.headers.get("etag"));
+});
+
+test("If-None-Match with the current ETag returns 304 with no body", async () => {
+  const etag = (await getUi()).headers.get("etag");
+
+  for (const inm of [etag, `W/${etag}`, `"${etag.slice(1, -1)}-df"`, `${etag}, "other"`]) {
+    const res = await getUi({ "if-none-match": inm });
+    assert.equal(res.status, 304, inm);
+    assert.equal(res.headers.get("etag"), etag);
+    assert.equal(await res.text(), "");
+  }
+});
+
+test("a stale If-None-Match gets the full body", async () => {
+  const res = await getUi({ "if-none-match": `"${"0".repeat(64)}"` });
+  assert.equal(res.status, 200);
+  assert.equal((await res.json()).ok, true);
+});
+
+test("missing fuel artifacts fail the contract with an uncacheable 500", async () => {
+  resetBlobs();
+  const res = await getUi();
+  assert.equal(res.status, 500);
+  assert.equal(res.headers.get("cache-control"), "no-store");
+
+  const body = await res.json();
+  assert.equal(body.ok, false);
+  assert.equal(body.version, "v1");
+  assert.ok(body.error);
+});
@@ -0,0 +1,82 @@
+// test/energy-prices-pipeline.test.js
+//
+// The energy price pipeline runs in-process (_lib/energy-prices.js): each public endpoint is a thin
+// wrapper over the library stages and works with every other function in the chain unavailable.
+
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { getStore } from "@netlify/blobs";
+import { startTestEnv } from "./harness/env.js";
+import { resetBlobs } from "./harness/blobs.js";
+import {
+  applyGeoFallback,
+  buildUiBody,
+  combineLatest,
+  loadFuelPayloads,
+  loadGeoConfigsForRequest
+} from "../netlify/functions/_lib/energy-prices.js";
+import { applyFuelOverrides, loadActiveOverrides } from "../netlify/functions/_lib/overrides.js";
+
+// Endpoint -> the functions it used to call over HTTP.
+const CHAIN = {
+  "energy-prices-latest": ["heating-fuels-latest", "transportation-fuels-latest"],
+  "energy-prices-latest-with-fallback": ["energy-prices-latest", "heating-fuels-latest", "transportation-fuels-latest"],
+  "energy-prices-latest-ui": [
+    "energy-prices-latest-with-fallback",
+    "energy-prices-latest",
+    "heating-fuels-latest",
+    "transportation-fuels-latest"
+  ]
+};
+
+const NO_DATA = "No heating fuels artifact yet. Updater has not ingested EIA data.";
+
+let env;
+
+before(async () => {
+  env = await startTestEnv();
+});
+
+after(() => env.close());
+
+beforeEach(async () => {
+  env.reset();
+  await env.site.invoke("update-data");
+});
+
+const unavailable = () => new Response("down", { status: 503 });
+
+// generated_at is stamped per call.
+function withoutGeneratedAt(value) {
+  return JSON.parse(JSON.stringify(value, (k, v) => (k === "generated_at" ? undefined : v)));
+}
+
+test("each endpoint answers with every function it used to chain to unavailable", async () => {
+  for (const [name, upstream] of Object.entries(CHAIN)) {
+    env.site.setFunctionOverrides(Object.fromEntries(upstream.map((u) => [u, unavailable])));
+    const res = await env.site.invoke(name);
+    assert.equal(res.status, 200, name);
+    assert.equal((await res.json()).ok ?? true, true, name);
+  }
+});
+
+test("the endpoints return exactly what the library stages build", async () => {
+  const cfg = await loadGeoConfigsForRequest(new Request("http://localhost/"));
+  const combined = combineLatest(await loadFuelPayloads(getStore("artifacts")));
+  const overrides = await loadActiveOverrides(getStore("system"));
+  const filled = applyGeoFallback(applyFuelOverrides(combined, overrides, cfg), cfg);
+
+  const body = async (name) => withoutGeneratedAt(await (await env.site.invoke(name)).json());
+  assert.deepEqual(await body("energy-prices-latest"), withoutGeneratedAt(combined));
+  assert.deepEqual(await body("energy-prices-latest-with-fallback"), withoutGeneratedAt(filled));
+  assert.deepEqual(await body("energy-prices-latest-ui"), withoutGeneratedAt(buildUiBody(filled, cfg)));
+});
+
+test("a missing artifact is reported once, not wrapped in each stage's error", async () => {
+  resetBlobs();
+  for (const name of Object.keys(CHAIN)) {
+    const res = await env.site.invoke(name);
+    assert.equal(res.status, 500, name);
+    assert.equal((await res.json()).error, NO_DATA, name);
+  }
+});
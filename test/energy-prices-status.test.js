@@ -0,0 +1,94 @@
+// test/energy-prices-status.test.js
+//
+// energy-prices-status: 200 when both upstream endpoints are healthy, non-2xx (for monitors) otherwise.
+
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { startTestEnv } from "./harness/env.js";
+import { resetBlobs } from "./harness/blobs.js";
+
+let env;
+
+before(async () => {
+  env = await startTestEnv();
+});
+
+after(() => env.close());
+
+beforeEach(async () => {
+  env.reset();
+  await env.site.invoke("update-data");
+});
+
+async function getStatus(init) {
+  const res = await env.site.fetch("/api/energy_prices_status.json", init);
+  assert.equal(res.headers.get("cache-control"), "no-store");
+  assert.equal(res.headers.get("x-robots-tag"), "noindex, nofollow");
+  return { status: res.status, body: await res.json() };
+}
+
+test("healthy upstreams return 200 with diagnostics", async () => {
+  const { status, body } = await getStatus();
+  assert.equal(status, 200);
+  assert.equal(body.ok, true);
+  assert.equal(body.checks.energy_prices_latest_with_fallback.ok, true);
+  assert.equal(body.checks.energy_prices_latest_ui_json.ok, true);
+  assert.ok(body.counts.rows_filled > 0);
+  assert.equal(body.counts.rows_filled, body.counts.direct_rows + body.counts.fallback_rows);
+  assert.ok(Object.keys(body.latest_period_by_fuel_key).length > 0);
+  assert.equal(body.eia_breaker.state, "closed");
+});
+
+test("no published data fails both checks with 500", async () => {
+  resetBlobs();
+  const { status, body } = await getStatus();
+  assert.equal(status, 500);
+  assert.equal(body.ok, false);
+  assert.equal(body.checks.energy_prices_latest_ui_json.ok, false);
+  assert.equal(body.checks.energy_prices_latest_ui_json.http_status, 500);
+  assert.ok(body.errors.energy_prices_latest_ui_json);
+});
+
+test("one failing upstream is reported with its HTTP status", async () => {
+  env.site.setFunctionOverrides({
+    "energy-prices-latest-ui": async () => new Response("Bad Gateway", { status: 502 })
+  });
+
+  const { status, body } = await getStatus();
+  assert.equal(status, 500);
+  assert.deepEqual(body.checks.energy_prices_latest_ui_json, { ok: false, http_status: 502 });
+  assert.equal(body.checks.energy_prices_latest_with_fallback.ok, true);
+  assert.equal(body.errors.energy_prices_latest_ui_json, "Bad Gateway");
+  assert.equal(body.errors.energy_prices_latest_with_fallback, null);
+});
+
+test("an upstream answering 200 with ok:false still counts as failed", async () => {
+  env.site.setFunctionOverrides({
+    "energy-prices-latest-with-fallback": async () => Response.json({ ok: false, error: "upstream exploded" })
+  });
+
+  const { status, body } = await getStatus();
+  assert.equal(status, 500);
+  assert.deepEqual(body.checks.energy_prices_latest_with_fallback, { ok: false, http_status: 200 });
+  assert.equal(body.errors.energy_prices_latest_with_fallback, "upstream exploded");
+});
+
+test("an unreachable site reports status 0 and the fetch error", async () => {
+  const siteUrl = process.env.URL;
+  process.env.URL = "http://127.0.0.1:9";
+  try {
+    const res = await env.site.invoke("energy-prices-status");
+    const body = await res.json();
+    assert.equal(res.status, 500);
+    assert.equal(body.checks.energy_prices_latest_with_fallback.http_status, 0);
+    assert.match(body.errors.energy_prices_latest_with_fallback, /^Fetch error:/);
+  } finally {
+    process.env.URL = siteUrl;
+  }
+});
+
+test("methods other than GET/HEAD get 405", async () => {
+  const { status, body } = await getStatus({ method: "POST" });
+  assert.equal(status, 405);
+  assert.equal(body.ok, false);
+});
@@ -0,0 +1,125 @@
+// test/flag-log.test.js
+//
+// The rolling flag log (_lib/flag-log.js): how entries open, repeat, resolve and expire, and how
+// updater runs resolve what they no longer raise without touching what they did not check.
+
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { getStore } from "@netlify/blobs";
+import { startTestEnv } from "./harness/env.js";
+import { loadFlagLog, mergeFlags } from "../netlify/functions/_lib/flag-log.js";
+
+const TOKEN = "test-run-token";
+const TRANSPORT_KEY = "energy-prices:transportation_fuels";
+
+let env;
+
+before(async () => {
+  env = await startTestEnv();
+  process.env.RUN_UPDATE_TOKEN = TOKEN;
+});
+
+after(async () => {
+  delete process.env.RUN_UPDATE_TOKEN;
+  await env.close();
+});
+
+beforeEach(() => env.reset());
+
+const at = (day, hour = 0) => new Date(Date.UTC(2026, 0, day, hour)).toISOString();
+
+function flag(key, severity, summary, timestamp) {
+  return { dedupe_key: key, severity, component: "updater", dataset: "d", type: "t", summary, timestamp_utc: timestamp };
+}
+
+const entry = (log, key) => log.entries.find((e) => e.dedupe_key === key);
+
+test("a repeated flag counts occurrences on one entry; INFO resolves it and a new WARN reopens it", () => {
+  let log = mergeFlags(null, [flag("k", "WARN", "stale", at(1))], { nowUtc: at(1) });
+  log = mergeFlags(log, [flag("k", "ERROR", "very stale", at(2))], { nowUtc: at(2) });
+
+  let e = entry(log, "k");
+  assert.equal(e.state, "ACTIVE");
+  assert.equal(e.occurrences, 2);
+  assert.equal(e.first_seen_utc, at(1));
+  assert.equal(e.last_seen_utc, at(2));
+  assert.equal(e.severity, "ERROR");
+  assert.equal(e.summary, "very stale");
+
+  log = mergeFlags(log, [flag("k", "INFO", "fresh again", at(3))], { nowUtc: at(3) });
+  e = entry(log, "k");
+  assert.equal(e.state, "RESOLVED");
+  assert.equal(e.resolved_at_utc, at(3));
+  assert.equal(e.resolution, "fresh again");
+  assert.equal(e.summary, "very stale");
+
+  log = mergeFlags(log, [flag("k", "WARN", "stale", at(4))], { nowUtc: at(4) });
+  e = entry(log, "k");
+  assert.equal(e.state, "ACTIVE");
+  assert.equal(e.occurrences, 1);
+  assert.equal(e.first_seen_utc, at(4));
+  assert.equal(e.resolved_at_utc, null);
+});
+
+test("an INFO flag with no open entry adds nothing", () => {
+  const log = mergeFlags(null, [flag("k", "INFO", "all good", at(1))], { nowUtc: at(1) });
+  assert.deepEqual(log.entries, []);
+});
+
+test("only authoritative keys that were not raised resolve without a flag", () => {
+  let log = mergeFlags(null, [flag("a", "WARN", "a", at(1)), flag("b", "WARN", "b", at(1)), flag("c", "WARN", "c", at(1))], {
+    nowUtc: at(1)
+  });
+  log = mergeFlags(log, [flag("b", "WARN", "b", at(2))], { nowUtc: at(2), authoritativeKeys: ["a", "b"] });
+
+  assert.equal(entry(log, "a").state, "RESOLVED");
+  assert.equal(entry(log, "a").resolution, "No longer raised.");
+  assert.equal(entry(log, "b").state, "ACTIVE");
+  assert.equal(entry(log, "b").occurrences, 2);
+  assert.equal(entry(log, "c").state, "ACTIVE");
+  // Newest activity first.
+  assert.deepEqual(log.entries.map((e) => e.dedupe_key), ["b", "a", "c"]);
+});
+
+test("resolved entries expire after the TTL and the log keeps the most recent maxEntries", () => {
+  let log = mergeFlags(null, [flag("old", "WARN", "old", at(1)), flag("open", "WARN", "open", at(1))], { nowUtc: at(1) });
+  log = mergeFlags(log, [flag("old", "INFO", "ok", at(2))], { nowUtc: at(2) });
+
+  assert.ok(entry(mergeFlags(log, [], { nowUtc: at(16), resolvedTtlDays: 14 }), "old"));
+  const later = mergeFlags(log, [], { nowUtc: at(17), resolvedTtlDays: 14 });
+  assert.equal(entry(later, "old"), undefined);
+  assert.equal(entry(later, "open").state, "ACTIVE");
+
+  const flags = [1, 2, 3].map((d) => flag(`k${d}`, "WARN", "x", at(d)));
+  assert.deepEqual(mergeFlags(null, flags, { nowUtc: at(3), maxEntries: 2 }).entries.map((e) => e.dedupe_key), ["k3", "k2"]);
+});
+
+test("an outage warning stays open through runs of other jobs and resolves on the next clean run of its own", async () => {
+  await env.site.invoke("update-data");
+  env.eia.setFaults([{ route: "petroleum/pri/gnd", status: 503 }]);
+  await env.site.invoke("update-data");
+
+  const opened = entry(await loadFlagLog(getStore("system")), TRANSPORT_KEY);
+  assert.equal(opened.state, "ACTIVE");
+  assert.equal(opened.severity, "WARN");
+  assert.match(opened.summary, /fallback=on/);
+
+  env.eia.setFaults([]);
+  const res = await env.site.invoke("run-update", {
+    method: "POST",
+    headers: { "x-run-token": TOKEN, "content-type": "application/json" },
+    body: JSON.stringify({ jobs: ["eia_heating_fuels"] })
+  });
+  assert.equal(res.status, 200);
+  assert.equal(entry(await loadFlagLog(getStore("system")), TRANSPORT_KEY).state, "ACTIVE");
+
+  await env.site.invoke("update-data");
+  const resolved = entry(await loadFlagLog(getStore("system")), TRANSPORT_KEY);
+  assert.equal(resolved.state, "RESOLVED");
+  assert.equal(resolved.first_seen_utc, opened.first_seen_utc);
+  assert.match(resolved.resolution, /Status=OK, fallback=off/);
+
+  // The status API serves the log with the latest run.
+  const status = await (await env.site.fetch("/api/system_status")).json();
+  assert.equal(entry({ entries: status.flag_log }, TRANSPORT_KEY).state, "RESOLVED");
+});
@@ -0,0 +1,138 @@
+// test/freshness.test.js
+//
+// Freshness thresholds (_lib/status-health.js): how a row's age turns it WARN and then ERROR, and how
+// /api/system_status re-evaluates stored rows from their ingest status at read time.
+
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { getStore } from "@netlify/blobs";
+import { startTestEnv } from "./harness/env.js";
+import { applyFreshness, evaluateFreshness } from "../netlify/functions/_lib/status-health.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const T0 = Date.UTC(2026, 0, 1);
+const THRESHOLDS = { warn_after_days: 14, error_after_days: 30 };
+
+let env;
+
+before(async () => {
+  env = await startTestEnv();
+});
+
+after(() => env.close());
+
+beforeEach(() => env.reset());
+
+const day = (n) => T0 + n * DAY_MS;
+
+function statusRow(overrides = {}) {
+  return {
+    artifact: "transportation_fuels_latest.json",
+    calculator: "energy-prices",
+    status: "OK",
+    data_period: "2025-12-29",
+    data_period_since_utc: new Date(T0).toISOString(),
+    thresholds: THRESHOLDS,
+    fallback: { active: false, reason: null },
+    ...overrides
+  };
+}
+
+test("a row goes OK -> WARN -> ERROR as its data_period ages past each threshold", () => {
+  const at = (n) => evaluateFreshness(statusRow(), day(n));
+
+  assert.deepEqual([0, 14, 15, 30, 31].map((n) => [at(n).status, at(n).freshness.level, at(n).freshness.age_days]), [
+    ["OK", "OK", 0],
+    ["OK", "OK", 14],
+    ["WARN", "WARN", 15],
+    ["WARN", "WARN", 30],
+    ["ERROR", "ERROR", 31]
+  ]);
+  assert.equal(at(31).freshness.base_status, "OK");
+  assert.equal(at(31).freshness.since_utc, new Date(T0).toISOString());
+});
+
+test("the row's status is the worse of its ingest status and its age", () => {
+  const warn = statusRow({ status: "WARN" });
+  assert.equal(evaluateFreshness(warn, day(1)).status, "WARN");
+  assert.equal(evaluateFreshness(warn, day(40)).status, "ERROR");
+  assert.equal(evaluateFreshness(statusRow({ status: "ERROR" }), day(1)).status, "ERROR");
+
+  // Rows from before data_period_since_utc existed age from their last successful update.
+  const legacy = statusRow({ data_period_since_utc: undefined, last_successful_update_utc: new Date(day(-20)).toISOString() });
+  assert.equal(evaluateFreshness(legacy, day(0)).status, "WARN");
+
+  const unknown = evaluateFreshness(statusRow({ thresholds: undefined }), day(100));
+  assert.equal(unknown.status, "OK");
+  assert.equal(unknown.freshness.level, "UNKNOWN");
+});
+
+test("re-evaluating starts from base_status, so a stale verdict clears and is not compounded", () => {
+  const stored = applyFreshness({ artifacts: [statusRow()], recent_flags: [] }, day(31));
+  assert.equal(stored.artifacts[0].status, "ERROR");
+  assert.equal(stored.overall_health.status, "BROKEN");
+
+  // The same document read again later is ERROR once, with one freshness flag...
+  const later = applyFreshness(stored, day(45));
+  assert.equal(later.artifacts[0].status, "ERROR");
+  assert.equal(later.artifacts[0].freshness.base_status, "OK");
+  assert.deepEqual(later.recent_flags.map((f) => [f.dedupe_key, f.severity]), [["freshness:transportation_fuels_latest.json", "ERROR"]]);
+  assert.match(later.recent_flags[0].summary, /is 45 days old \(warn>14, error>30\)/);
+
+  // ...and at earlier times it is WARN or OK again: the stored ERROR did not become the base.
+  const earlier = applyFreshness(stored, day(20));
+  assert.equal(earlier.artifacts[0].status, "WARN");
+  assert.equal(earlier.overall_health.status, "DEGRADED");
+  assert.equal(applyFreshness(stored, day(3)).overall_health.status, "HEALTHY");
+
+  // Other flags are kept; the input is not modified.
+  const withOther = applyFreshness({ ...stored, recent_flags: [...stored.recent_flags, { type: "fallback", dedupe_key: "x" }] }, day(3));
+  assert.deepEqual(withOther.recent_flags, [{ type: "fallback", dedupe_key: "x" }]);
+  assert.equal(stored.artifacts[0].status, "ERROR");
+});
+
+test("/api/system_status ages stored rows at read time, even when no updater has run since", async () => {
+  await env.site.invoke("update-data");
+  const store = getStore("system");
+  const fresh = await store.get("system_status", { type: "json" });
+  const name = "transportation_fuels_latest.json";
+  assert.equal(fresh.artifacts.find((a) => a.artifact === name).status, "OK");
+
+  async function readAged(days) {
+    const aged = structuredClone(fresh);
+    aged.artifacts.find((a) => a.artifact === name).data_period_since_utc = new Date(Date.now() - days * DAY_MS).toISOString();
+    await store.set("system_status", JSON.stringify(aged));
+    const body = await (await env.site.fetch("/api/system_status")).json();
+    return { row: body.artifacts.find((a) => a.artifact === name), body };
+  }
+
+  let { row, body } = await readAged(20);
+  assert.equal(row.status, "WARN");
+  assert.equal(row.freshness.level, "WARN");
+  assert.equal(body.overall_health.status, "DEGRADED");
+  assert.ok(body.recent_flags.some((f) => f.dedupe_key === `freshness:${name}` && f.severity === "WARN"));
+
+  ({ row, body } = await readAged(40));
+  assert.equal(row.status, "ERROR");
+  assert.equal(body.overall_health.status, "BROKEN");
+  assert.equal(body.overall_health.broken_user_impact, true);
+
+  // Reading does not write: the stored row still holds its ingest status.
+  const stored = (await store.get("system_status", { type: "json" })).artifacts.find((a) => a.artifact === name);
+  assert.equal(stored.status, "OK");
+});
+
+test("an updater run that finds the same data_period keeps the row's since time, so age keeps growing", async () => {
+  await env.site.invoke("update-data");
+  const first = (await getStore("system").get("system_status", { type: "json" })).artifacts;
+
+  await env.site.invoke("update-data");
+  const second = (await getStore("system").get("system_status", { type: "json" })).artifacts;
+
+  for (const row of second) {
+    const prev = first.find((a) => a.artifact === row.artifact);
+    assert.equal(row.data_period, prev.data_period, row.artifact);
+    assert.equal(row.data_period_since_utc, prev.data_period_since_utc, row.artifact);
+    assert.notEqual(row.last_successful_update_utc, prev.last_successful_update_utc, row.artifact);
+  }
+});
@@ -0,0 +1,79 @@
+// test/fuel-endpoints.test.js
+//
+// /api/heating_fuels_latest.json and /api/transportation_fuels_latest.json serve the artifacts the
+// updater ingested: never EIA directly, and last-known-good while EIA is down.
+
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { getStore } from "@netlify/blobs";
+import { startTestEnv } from "./harness/env.js";
+import { readPublishedArtifact } from "../netlify/functions/_lib/generations.js";
+
+const ENDPOINTS = {
+  heating_fuels_latest: { path: "/api/heating_fuels_latest.json", fuels: ["Heating Oil", "Natural Gas", "Propane"] },
+  transportation_fuels_latest: { path: "/api/transportation_fuels_latest.json", fuels: ["Diesel", "Gasoline"] }
+};
+
+const ROW_KEYS = ["fuel", "sector", "geo_code", "geo_display_name", "period", "price", "price_units", "source_route", "source_series"];
+
+let env;
+
+before(async () => {
+  env = await startTestEnv();
+});
+
+after(() => env.close());
+
+beforeEach(() => env.reset());
+
+async function get(path) {
+  const res = await env.site.fetch(path);
+  return { status: res.status, body: await res.json() };
+}
+
+test("before the first updater run both endpoints answer 503 without calling EIA", async () => {
+  for (const { path } of Object.values(ENDPOINTS)) {
+    const { status, body } = await get(path);
+    assert.equal(status, 503, path);
+    assert.equal(body.ok, false);
+    assert.match(body.error, /Updater has not ingested EIA data/);
+  }
+  assert.equal(env.eia.requests.length, 0);
+});
+
+test("each endpoint serves its published artifact in the payload shape it has always had", async () => {
+  await env.site.invoke("update-data");
+  env.eia.requests.length = 0;
+
+  for (const [key, { path, fuels }] of Object.entries(ENDPOINTS)) {
+    const artifact = await readPublishedArtifact(getStore("artifacts"), key);
+    const { status, body } = await get(path);
+
+    assert.equal(status, 200, path);
+    assert.equal(body.ok, true);
+    assert.equal(body.generated_at, artifact.fetched_at_utc);
+    assert.deepEqual(body.artifact, { version: 1, source: "EIA", dataset: key, fetched_at_utc: artifact.fetched_at_utc });
+    assert.equal(body.data_period, artifact.data_period);
+    for (const field of ["latest", "windows", "sources", "counts", "rows"]) assert.deepEqual(body[field], artifact[field], `${path} ${field}`);
+
+    assert.deepEqual([...new Set(body.rows.map((r) => r.fuel))].sort(), fuels);
+    for (const r of body.rows) for (const k of ROW_KEYS) assert.ok(k in r, `${path} row.${k}`);
+    // Validator inputs and diagnostics stay out of the artifact.
+    assert.equal(body.history, undefined);
+    assert.equal(body.unknown_codes, undefined);
+  }
+  assert.equal(env.eia.requests.length, 0);
+});
+
+test("while EIA is down the endpoints keep serving last-known-good data", async () => {
+  await env.site.invoke("update-data");
+  const before = await Promise.all(Object.values(ENDPOINTS).map(({ path }) => get(path)));
+
+  env.eia.setFaults([{ status: 503 }]);
+  await env.site.invoke("update-data");
+  env.eia.requests.length = 0;
+
+  const after = await Promise.all(Object.values(ENDPOINTS).map(({ path }) => get(path)));
+  assert.deepEqual(after, before);
+  assert.equal(env.eia.requests.length, 0);
+});
@@ -0,0 +1,151 @@
+// test/generations.test.js
+//
+// Two-phase publish (_lib/generations.js) on the in-memory blob store: promote, reject, rollback and
+// pruning, plus the admin rollback endpoint and the flag it leaves until the next promotion.
+
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { getStore } from "@netlify/blobs";
+import { startTestEnv } from "./harness/env.js";
+import {
+  POINTER_KEY,
+  ROLLBACK_DEDUPE_KEY,
+  generationKey,
+  listGenerations,
+  loadPointer,
+  openGeneration,
+  promoteGeneration,
+  readPublishedArtifact,
+  rejectGeneration,
+  rollbackGeneration
+} from "../netlify/functions/_lib/generations.js";
+import { snapshotKey } from "../netlify/functions/_lib/artifact-history.js";
+import { loadFlagLog } from "../netlify/functions/_lib/flag-log.js";
+
+const TOKEN = "test-run-token";
+const KEYS = ["a_latest", "b_latest"];
+const OK_CHECKS = { ok: true, severity: "OK", checks: [] };
+const FAILED_CHECKS = { ok: false, severity: "ERROR", checks: [{ name: "period_regression", ok: false, severity: "ERROR" }] };
+
+let env;
+
+before(async () => {
+  env = await startTestEnv();
+  process.env.RUN_UPDATE_TOKEN = TOKEN;
+});
+
+after(async () => {
+  delete process.env.RUN_UPDATE_TOKEN;
+  await env.close();
+});
+
+beforeEach(() => env.reset());
+
+const artifacts = () => getStore("artifacts");
+
+function at(minute) {
+  return new Date(Date.UTC(2026, 0, 1, 0, minute)).toISOString();
+}
+
+function artifact(period, value) {
+  return { version: 1, source: "test", data_period: period, fetched_at_utc: at(0), value };
+}
+
+// Stage `values` ({ key: artifact }) in a generation at `minute` and promote or reject it.
+async function publish(minute, values, { checks = OK_CHECKS } = {}) {
+  const store = artifacts();
+  const gen = await openGeneration(store, { generatedAt: at(minute), artifactKeys: KEYS });
+  for (const [key, value] of Object.entries(values)) await gen.stage(key, value);
+  if (checks.ok) await promoteGeneration(store, gen, { generatedAt: at(minute), checks });
+  else await rejectGeneration(store, gen, { generatedAt: at(minute), checks });
+  return gen;
+}
+
+test("promoting flips the pointer, carries unstaged artifacts forward and snapshots the new ones", async () => {
+  const first = await publish(1, { a_latest: artifact("2025", 1), b_latest: artifact("2025", 1) });
+  const second = await publish(2, { b_latest: artifact("2026", 2) });
+
+  const pointer = await loadPointer(artifacts());
+  assert.equal(pointer.generation, second.id);
+  assert.equal(pointer.previous, first.id);
+  assert.deepEqual(pointer.artifacts, {
+    a_latest: generationKey(first.id, "a_latest"),
+    b_latest: generationKey(second.id, "b_latest")
+  });
+
+  assert.equal((await readPublishedArtifact(artifacts(), "b_latest")).value, 2);
+  assert.equal((await readPublishedArtifact(artifacts(), "a_latest")).value, 1);
+  assert.ok(await artifacts().getMetadata(snapshotKey("b_latest", "2026")));
+});
+
+test("a rejected generation keeps its manifest but leaves the pointer and readers alone", async () => {
+  const good = await publish(1, { a_latest: artifact("2025", 1) });
+  const bad = await publish(2, { a_latest: artifact("2024", 0) }, { checks: FAILED_CHECKS });
+
+  assert.equal((await loadPointer(artifacts())).generation, good.id);
+  assert.equal((await readPublishedArtifact(artifacts(), "a_latest")).value, 1);
+  assert.equal(await artifacts().getMetadata(snapshotKey("a_latest", "2024")), null);
+
+  const manifests = await listGenerations(artifacts());
+  assert.deepEqual(manifests.map((m) => [m.generation, m.state]), [[bad.id, "rejected"], [good.id, "promoted"]]);
+  assert.deepEqual(manifests[0].checks, FAILED_CHECKS);
+});
+
+test("rollback points readers at an earlier promoted generation and refuses anything else", async () => {
+  const store = artifacts();
+  await assert.rejects(rollbackGeneration(store, { nowUtc: at(0) }), /^Error: GENERATION_ROLLBACK: nothing has been promoted/);
+
+  const first = await publish(1, { a_latest: artifact("2025", 1) });
+  const rejected = await publish(2, { a_latest: artifact("2024", 0) }, { checks: FAILED_CHECKS });
+  const second = await publish(3, { a_latest: artifact("2026", 3) });
+
+  await assert.rejects(rollbackGeneration(store, { to: second.id, nowUtc: at(4) }), /is already current/);
+  await assert.rejects(rollbackGeneration(store, { to: rejected.id, nowUtc: at(4) }), /was rejected, not promoted/);
+  await assert.rejects(rollbackGeneration(store, { to: "19990101T000000000Z", nowUtc: at(4) }), /not found/);
+
+  const pointer = await rollbackGeneration(store, { nowUtc: at(4) });
+  assert.equal(pointer.generation, first.id);
+  assert.equal(pointer.rolled_back_from, second.id);
+  assert.equal((await readPublishedArtifact(store, "a_latest")).value, 1);
+});
+
+test("promotion prunes generations beyond the newest 10 but keeps blobs the kept ones still point at", async () => {
+  const first = await publish(0, { a_latest: artifact("2025", 0), b_latest: artifact("2025", 0) });
+  for (let i = 1; i <= 11; i++) await publish(i, { b_latest: artifact(String(2025 + i), i) });
+
+  const { blobs } = await artifacts().list({ prefix: "generations/" });
+  const ids = [...new Set(blobs.map((b) => b.key.split("/")[1]))];
+  assert.equal(ids.length, 11);
+
+  // The oldest generation is gone except for the artifact every later pointer carries forward.
+  assert.deepEqual(
+    blobs.filter((b) => b.key.includes(first.id)).map((b) => b.key),
+    [generationKey(first.id, "a_latest")]
+  );
+  assert.equal((await listGenerations(artifacts())).length, 10);
+  assert.equal((await readPublishedArtifact(artifacts(), "a_latest")).value, 0);
+  assert.equal((await readPublishedArtifact(artifacts(), "b_latest")).value, 11);
+});
+
+test("the admin rollback flag stays open until the updater promotes a generation again", async () => {
+  await env.site.invoke("update-data");
+  await env.site.invoke("update-data");
+  const before = await loadPointer(artifacts());
+
+  const res = await env.site.invoke("generations", {
+    method: "POST",
+    headers: { "x-run-token": TOKEN, "content-type": "application/json" },
+    body: JSON.stringify({ action: "rollback" })
+  });
+  assert.equal(res.status, 200);
+  assert.equal((await res.json()).pointer.generation, before.previous);
+
+  const status = await getStore("system").get("system_status", { type: "json" });
+  assert.equal(status.publish.live_generation, before.previous);
+  const flag = () => loadFlagLog(getStore("system")).then((log) => log.entries.find((e) => e.dedupe_key === ROLLBACK_DEDUPE_KEY));
+  assert.equal((await flag()).state, "ACTIVE");
+
+  await env.site.invoke("update-data");
+  assert.notEqual((await artifacts().get(POINTER_KEY, { type: "json" })).generation, before.previous);
+  assert.equal((await flag()).state, "RESOLVED");
+});
@@ -0,0 +1,103 @@
+// test/harness/blobs.js
+//
+// In-memory stand-in for @netlify/blobs. test/harness/loader.js resolves every
+// `import { getStore } from "@netlify/blobs"` to this module, so functions run unmodified
+// against stores the test can seed and inspect.
+//
+// Covers the store API the functions use: get (type json|text|arrayBuffer), getWithMetadata,
+// getMetadata, set, setJSON, list({ prefix }) and delete. consistency options are accepted and ignored:
+// reads are always strongly consistent here.
+
+import crypto from "node:crypto";
+
+const stores = new Map();
+
+function storeName(input) {
+  const name = typeof input === "string" ? input : input?.name;
+  if (!name) throw new Error("getStore: a store name is required");
+  return name;
+}
+
+async function toBytes(data) {
+  if (typeof data === "string") return Buffer.from(data, "utf8");
+  if (data instanceof ArrayBuffer) return Buffer.from(data);
+  if (ArrayBuffer.isView(data)) return Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+  if (data instanceof Blob) return Buffer.from(await data.arrayBuffer());
+  throw new Error("set: data must be a string, ArrayBuffer, typed array or Blob");
+}
+
+function decode(entry, type = "text") {
+  if (type === "json") return JSON.parse(entry.bytes.toString("utf8"));
+  if (type === "text") return entry.bytes.toString("utf8");
+  if (type === "arrayBuffer") return entry.bytes.buffer.slice(entry.bytes.byteOffset, entry.bytes.byteOffset + entry.bytes.byteLength);
+  if (type === "blob") return new Blob([entry.bytes]);
+  throw new Error(`get: unsupported type "${type}"`);
+}
+
+function createStore(blobs) {
+  return {
+    async get(key, { type } = {}) {
+      const entry = blobs.get(key);
+      return entry ? decode(entry, type) : null;
+    },
+
+    async getWithMetadata(key, { type } = {}) {
+      const entry = blobs.get(key);
+      return entry ? { data: decode(entry, type), etag: entry.etag, metadata: entry.metadata } : null;
+    },
+
+    async getMetadata(key) {
+      const entry = blobs.get(key);
+      return entry ? { etag: entry.etag, metadata: entry.metadata } : null;
+    },
+
+    async set(key, data, { metadata = {} } = {}) {
+      const bytes = await toBytes(data);
+      const etag = `"${crypto.createHash("md5").update(bytes).digest("hex")}"`;
+      blobs.set(key, { bytes, etag, metadata: structuredClone(metadata) });
+    },
+
+    async setJSON(key, value, options) {
+      return this.set(key, JSON.stringify(value), options);
+    },
+
+    async list({ prefix = "" } = {}) {
+      const keys = [...blobs.keys()].filter((k) => k.startsWith(prefix)).sort();
+      return { blobs: keys.map((key) => ({ key, etag: blobs.get(key).etag })), directories: [] };
+    },
+
+    async delete(key) {
+      blobs.delete(key);
+    }
+  };
+}
+
+export function getStore(input) {
+  const name = storeName(input);
+  if (!stores.has(name)) stores.set(name, new Map());
+  return createStore(stores.get(name));
+}
+
+export function getDeployStore(input = "deploy") {
+  return getStore(input);
+}
+
+// ---------- test helpers (not part of the @netlify/blobs API) ----------
+
+export function resetBlobs() {
+  stores.clear();
+}
+
+// { [key]: parsed JSON or text } for one store, for assertions and debugging.
+export function dumpStore(name) {
+  const out = {};
+  for (const [key, entry] of stores.get(name) ?? []) {
+    const text = entry.bytes.toString("utf8");
+    try {
+      out[key] = JSON.parse(text);
+    } catch {
+      out[key] = text;
+    }
+  }
+  return out;
+}
@@ -0,0 +1,46 @@
+// test/harness/env.js
+//
+// One call to stand up what a function test needs: the local site (public/ + functions), the mock
+// EIA server wired in via EIA_API_BASE_URL, and a fresh in-memory blob store.
+//
+//   const env = await startTestEnv();
+//   beforeEach(() => env.reset());
+//   await env.site.invoke("update-data");
+//   after(() => env.close());
+
+import { startSite } from "./site.js";
+import { resetBlobs } from "./blobs.js";
+import { startMockEiaServer } from "../mock-eia/server.js";
+
+export async function startTestEnv({ faults = [], functionOverrides = {} } = {}) {
+  const eia = await startMockEiaServer({ faults });
+  const site = await startSite({ functionOverrides });
+
+  process.env.EIA_API_BASE_URL = eia.url;
+  process.env.EIA_API_KEY = "test-key";
+  // Every run must reach the mock server, or faults set between runs would be masked by cached responses.
+  process.env.EIA_CACHE_TTL_MS = "0";
+  // The in-memory store answers at once, so lease writes settle long before this.
+  process.env.LOCK_SETTLE_MS = "5";
+  resetBlobs();
+
+  return {
+    eia,
+    site,
+
+    reset: () => {
+      resetBlobs();
+      eia.setFaults([]);
+      eia.requests.length = 0;
+      site.setFunctionOverrides({});
+    },
+
+    close: async () => {
+      delete process.env.EIA_API_BASE_URL;
+      delete process.env.EIA_API_KEY;
+      delete process.env.EIA_CACHE_TTL_MS;
+      delete process.env.LOCK_SETTLE_MS;
+      await Promise.all([site.close(), eia.close()]);
+    }
+  };
+}
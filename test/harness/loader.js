@@ -0,0 +1,10 @@
+// test/harness/loader.js
+//
+// Module resolve hook: @netlify/blobs -> the in-memory store in ./blobs.js.
+
+const BLOBS_URL = new URL("./blobs.js", import.meta.url).href;
+
+export async function resolve(specifier, context, nextResolve) {
+  if (specifier === "@netlify/blobs") return { url: BLOBS_URL, shortCircuit: true };
+  return nextResolve(specifier, context);
+}
@@ -0,0 +1,8 @@
+// test/harness/register.js
+//
+// Preloaded by `npm test` (node --import ./test/harness/register.js) so the loader hook is
+// installed before any function module is imported.
+
+import { register } from "node:module";
+
+register("./loader.js", import.meta.url);
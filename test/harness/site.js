@@ -0,0 +1,176 @@
+// test/harness/site.js
+//
+// A local stand-in for the deployed site:
+//   - serves public/ (geo configs, static pages)
+//   - applies the [[redirects]] from netlify.toml (/api/... -> /.netlify/functions/...)
+//   - runs /.netlify/functions/<name> by calling the function's default export with a real Request
+//
+// startSite() sets process.env.URL to the local origin, as Netlify does, so functions that fetch
+// configs or other endpoints from their own site reach this server.
+//
+//   const site = await startSite();
+//   const res = await site.invoke("energy-prices-latest-ui", { headers: { "if-none-match": etag } });
+//   const res = await site.fetch("/api/energy_prices_status.json");
+//   await site.close();
+
+import http from "node:http";
+import { readFile } from "node:fs/promises";
+import { readFileSync } from "node:fs";
+import path from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+
+const ROOT = fileURLToPath(new URL("../../", import.meta.url));
+const PUBLIC_DIR = path.join(ROOT, "public");
+const FUNCTIONS_DIR = path.join(ROOT, "netlify", "functions");
+
+const CONTENT_TYPES = {
+  ".json": "application/json",
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript",
+  ".css": "text/css",
+  ".txt": "text/plain; charset=utf-8",
+  ".xml": "application/xml"
+};
+
+// Only the [[redirects]] tables of netlify.toml: from / to / status.
+export function loadRedirects(tomlPath = path.join(ROOT, "netlify.toml")) {
+  const redirects = [];
+  let current = null;
+  for (const raw of readFileSync(tomlPath, "utf8").split("\n")) {
+    const line = raw.trim();
+    if (line.startsWith("[")) {
+      current = line === "[[redirects]]" ? {} : null;
+      if (current) redirects.push(current);
+      continue;
+    }
+    const m = current && line.match(/^(from|to|status)\s*=\s*(?:"([^"]*)"|(\d+))$/);
+    if (m) current[m[1]] = m[2] ?? Number(m[3]);
+  }
+  return redirects;
+}
+
+function matchRedirect(redirects, pathname) {
+  for (const r of redirects) {
+    const params = {};
+    const from = r.from.split("/");
+    const actual = pathname.split("/");
+    if (from.length !== actual.length) continue;
+    const ok = from.every((seg, i) => {
+      if (seg.startsWith(":")) {
+        params[seg.slice(1)] = decodeURIComponent(actual[i]);
+        return actual[i] !== "";
+      }
+      return seg === actual[i];
+    });
+    if (ok) return r.to.replace(/:([A-Za-z_]+)/g, (_, name) => encodeURIComponent(params[name] ?? ""));
+  }
+  return null;
+}
+
+const modules = new Map();
+
+async function loadFunction(name) {
+  if (!modules.has(name)) {
+    const file = path.join(FUNCTIONS_DIR, `${name}.mjs`);
+    modules.set(name, import(pathToFileURL(file).href));
+  }
+  const mod = await modules.get(name);
+  if (typeof mod.default !== "function") throw new Error(`${name}.mjs has no default export`);
+  return mod.default;
+}
+
+async function serveStatic(pathname) {
+  const rel = path.normalize(decodeURIComponent(pathname)).replace(/^([/\\])+/, "");
+  const file = path.join(PUBLIC_DIR, rel.endsWith("/") || rel === "" ? path.join(rel, "index.html") : rel);
+  if (!file.startsWith(PUBLIC_DIR)) return new Response("Forbidden", { status: 403 });
+
+  try {
+    const body = await readFile(file);
+    return new Response(body, {
+      status: 200,
+      headers: { "content-type": CONTENT_TYPES[path.extname(file)] ?? "application/octet-stream" }
+    });
+  } catch {
+    return new Response("Not Found", { status: 404 });
+  }
+}
+
+/**
+ * Start the site. Options:
+ *   functionOverrides  { [name]: async (request) => Response } replaces a function (e.g. to simulate one failing)
+ */
+export async function startSite({ functionOverrides = {} } = {}) {
+  const redirects = loadRedirects();
+  let overrides = { ...functionOverrides };
+  let origin = null;
+
+  async function dispatch(request) {
+    const url = new URL(request.url);
+
+    const rewritten = matchRedirect(redirects, url.pathname);
+    if (rewritten) {
+      const target = new URL(rewritten, origin);
+      for (const [k, v] of url.searchParams) if (!target.searchParams.has(k)) target.searchParams.append(k, v);
+      const init = { method: request.method, headers: request.headers, body: request.body, duplex: "half" };
+      return dispatch(new Request(target, init));
+    }
+
+    const fn = url.pathname.match(/^\/\.netlify\/functions\/([^/]+)\/?$/);
+    if (fn) {
+      const handler = overrides[fn[1]] ?? (await loadFunction(fn[1]));
+      return handler(request);
+    }
+
+    if (request.method !== "GET" && request.method !== "HEAD") return new Response("Method Not Allowed", { status: 405 });
+    return serveStatic(url.pathname);
+  }
+
+  const server = http.createServer(async (req, res) => {
+    try {
+      const chunks = [];
+      for await (const chunk of req) chunks.push(chunk);
+      const body = chunks.length && req.method !== "GET" && req.method !== "HEAD" ? Buffer.concat(chunks) : undefined;
+
+      const response = await dispatch(new Request(new URL(req.url, origin), { method: req.method, headers: req.headers, body }));
+      res.writeHead(response.status, Object.fromEntries(response.headers));
+      res.end(Buffer.from(await response.arrayBuffer()));
+    } catch (err) {
+      res.writeHead(500, { "content-type": "text/plain" });
+      res.end(String(err?.stack || err));
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(0, "127.0.0.1", resolve);
+  });
+
+  origin = `http://127.0.0.1:${server.address().port}`;
+  const previousUrl = process.env.URL;
+  process.env.URL = origin;
+
+  return {
+    url: origin,
+
+    // Call one function in-process (no HTTP), the way Netlify invokes it.
+    invoke: async (name, { path: reqPath = `/.netlify/functions/${name}`, ...init } = {}) => {
+      const handler = overrides[name] ?? (await loadFunction(name));
+      return handler(new Request(new URL(reqPath, origin), init));
+    },
+
+    // Request a site path over HTTP (redirects, static files and functions).
+    fetch: (reqPath, init) => fetch(new URL(reqPath, origin), init),
+
+    setFunctionOverrides: (next) => {
+      overrides = { ...next };
+    },
+
+    close: () =>
+      new Promise((resolve) => {
+        if (previousUrl === undefined) delete process.env.URL;
+        else process.env.URL = previousUrl;
+        server.closeAllConnections?.();
+        server.close(() => resolve());
+      })
+  };
+}
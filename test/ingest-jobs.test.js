@@ -0,0 +1,125 @@
+// test/ingest-jobs.test.js
+//
+// The ingestion job registry (_lib/jobs/index.js) and the runner that turns job results into
+// system_status rows, updater_last_run.jobs and recent_flags (_lib/ingest-runner.js).
+
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { getStore } from "@netlify/blobs";
+import { resetBlobs } from "./harness/blobs.js";
+import { INGEST_JOBS } from "../netlify/functions/_lib/jobs/index.js";
+import { selectJobs } from "../netlify/functions/_lib/updater.js";
+import { buildSystemStatus, runIngestJobs } from "../netlify/functions/_lib/ingest-runner.js";
+import { openGeneration } from "../netlify/functions/_lib/generations.js";
+import { coverageCheck } from "../netlify/functions/_lib/ingest-validators.js";
+
+beforeEach(() => resetBlobs());
+
+// A dataset added to the updater is nothing but a definition like this one.
+function demoJob({ job = "demo_prices", fetch } = {}) {
+  return {
+    job,
+    source: "EIA",
+    calculator: "demo",
+    artifact_key: `${job}_latest`,
+    thresholds: { warn_after_days: 10, error_after_days: 20 },
+    dedupe_key: `demo:${job}`,
+    label: `Demo ${job}`,
+    fetch: fetch ?? (async () => ({ period: "2026-01", values: { A: 1, B: 2 }, diagnostics: { pages: 1 } })),
+    validators: [coverageCheck({ expected: ["A", "B"], present: (data) => Object.keys(data.values) })],
+    buildArtifact: (data, { generatedAt }) => ({ data_period: data.period, fetched_at_utc: generatedAt, values: data.values })
+  };
+}
+
+async function run(jobs, { prevStatus = null, generatedAt = "2026-02-01T00:00:00.000Z" } = {}) {
+  const store = getStore("artifacts");
+  const generation = await openGeneration(store, { generatedAt, artifactKeys: jobs.map((j) => j.artifact_key) });
+  const results = await runIngestJobs(jobs, { generation, generatedAt, loadGeoConfigs: async () => ({}) });
+  const status = buildSystemStatus({ jobs, results, prevStatus, generatedAt, startedAtMs: Date.parse(generatedAt), finishedAtMs: Date.parse(generatedAt) + 5 });
+  return { generation, results, status };
+}
+
+test("every registered job declares what the runner needs, under ids and keys of its own", () => {
+  for (const job of INGEST_JOBS) {
+    for (const field of ["job", "source", "calculator", "artifact_key", "dedupe_key", "label"]) {
+      assert.equal(typeof job[field], "string", `${job.job}.${field}`);
+    }
+    assert.ok(job.thresholds.warn_after_days < job.thresholds.error_after_days, job.job);
+    assert.equal(typeof job.fetch, "function", job.job);
+    assert.equal(typeof job.buildArtifact, "function", job.job);
+    assert.ok(Array.isArray(job.partitions) || Array.isArray(job.validators), job.job);
+  }
+
+  for (const field of ["job", "artifact_key", "dedupe_key"]) {
+    const values = INGEST_JOBS.map((j) => j[field]);
+    assert.equal(new Set(values).size, values.length, field);
+  }
+});
+
+test("selectJobs keeps registry order and refuses ids it does not know", () => {
+  assert.equal(selectJobs(null), INGEST_JOBS);
+  assert.equal(selectJobs([]), INGEST_JOBS);
+  assert.deepEqual(
+    selectJobs(["eia_transportation_fuels", "eia_heating_fuels"]).map((j) => j.job),
+    ["eia_heating_fuels", "eia_transportation_fuels"]
+  );
+  assert.throws(() => selectJobs(["eia_heating_fuels", "a", "b"]), /^Error: UPDATER_UNKNOWN_JOB: a, b$/);
+});
+
+test("a job's result becomes its status row, job record and flag", async () => {
+  const { generation, status } = await run([demoJob()]);
+
+  assert.deepEqual([...generation.staged.keys()], ["demo_prices_latest"]);
+
+  const [row] = status.artifacts;
+  assert.equal(row.artifact, "demo_prices_latest.json");
+  assert.equal(row.calculator, "demo");
+  assert.equal(row.status, "OK");
+  assert.equal(row.data_period, "2026-01");
+  assert.deepEqual(row.thresholds, { warn_after_days: 10, error_after_days: 20 });
+  assert.equal(row.validation.complete_coverage, true);
+
+  const [record] = status.updater_last_run.jobs;
+  assert.equal(record.job, "demo_prices");
+  assert.equal(record.updated, true);
+  assert.deepEqual(record.diagnostics, { pages: 1 });
+  assert.equal(record.message, "Fetched and stored Demo demo_prices.");
+
+  const flag = status.recent_flags.find((f) => f.dedupe_key === "demo:demo_prices");
+  assert.equal(flag.severity, "INFO");
+  assert.equal(flag.summary, "Demo demo_prices ingest complete. Status=OK, fallback=off, period=2026-01.");
+  assert.equal(status.updater_last_run.result, "SUCCESS");
+});
+
+test("a failing job is an ERROR row without a prior artifact and does not stop the others", async () => {
+  const broken = demoJob({
+    job: "demo_broken",
+    fetch: async () => {
+      throw new Error("upstream down");
+    }
+  });
+  const incomplete = demoJob({ job: "demo_incomplete", fetch: async () => ({ period: "2026-01", values: { A: 1 } }) });
+  const { generation, status } = await run([broken, incomplete, demoJob()]);
+
+  assert.deepEqual([...generation.staged.keys()], ["demo_prices_latest"]);
+  assert.deepEqual(status.artifacts.map((a) => [a.artifact, a.status, a.fallback.active]), [
+    ["demo_broken_latest.json", "ERROR", true],
+    ["demo_incomplete_latest.json", "ERROR", true],
+    ["demo_prices_latest.json", "OK", false]
+  ]);
+  assert.equal(status.artifacts[1].validation.complete_coverage, false);
+  assert.deepEqual(status.artifacts[1].validation.missing_keys, ["B"]);
+  assert.equal(status.updater_last_run.result, "PARTIAL");
+  assert.deepEqual(status.updater_last_run.errors, ["One or more artifacts failed.", "demo_broken: upstream down"]);
+  assert.equal(status.overall_health.status, "BROKEN");
+});
+
+test("rows of jobs that did not run are carried over from the previous status", async () => {
+  const first = (await run([demoJob(), demoJob({ job: "demo_other" })])).status;
+  const { status } = await run([demoJob()], { prevStatus: first, generatedAt: "2026-02-02T00:00:00.000Z" });
+
+  assert.deepEqual(status.artifacts.map((a) => a.artifact), ["demo_other_latest.json", "demo_prices_latest.json"]);
+  assert.equal(status.artifacts[0].last_checked_utc, "2026-02-01T00:00:00.000Z");
+  assert.equal(status.artifacts[1].last_checked_utc, "2026-02-02T00:00:00.000Z");
+  assert.deepEqual(status.updater_last_run.jobs.map((j) => j.job), ["demo_prices"]);
+});
@@ -0,0 +1,98 @@
+// test/mock-eia.test.js
+//
+// The EIA client and fuel fetchers end-to-end against the mock EIA v2 server:
+// paging, chunked facet queries, 5xx retry and error redaction.
+
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { startMockEiaServer } from "./mock-eia/server.js";
+import { createEiaClient, eiaUrl, fetchEiaPaged } from "../netlify/functions/_lib/eia.js";
+import { fetchHeatingFuels } from "../netlify/functions/_lib/fuels/heating-fuels.js";
+import { fetchTransportationFuels } from "../netlify/functions/_lib/fuels/transportation-fuels.js";
+
+const readPublicJson = (name) => JSON.parse(readFileSync(new URL(`../public/${name}`, import.meta.url), "utf8"));
+const cfg = {
+  geo_accept_lists_v1: readPublicJson("geo_accept_lists_v1.json"),
+  geo_display_names_v1: readPublicJson("geo_display_names_v1.json")
+};
+
+let eia;
+
+before(async () => {
+  eia = await startMockEiaServer();
+  process.env.EIA_API_BASE_URL = eia.url;
+  process.env.EIA_API_KEY = "test-key";
+});
+
+after(async () => {
+  await eia.close();
+  delete process.env.EIA_API_BASE_URL;
+});
+
+beforeEach(() => {
+  eia.setFaults([]);
+  eia.requests.length = 0;
+});
+
+test("fetchEiaPaged collects every page up to response.total", async () => {
+  const url = `${eiaUrl("electricity/retail-sales/data")}?frequency=annual&data[]=price&facets[sectorid][]=RES`;
+  const { rows, total, pages } = await fetchEiaPaged(url, { pageSize: 100 });
+
+  assert.equal(rows.length, total);
+  assert.equal(pages, Math.ceil(total / 100));
+  assert.ok(rows.every((r) => r.sectorid === "RES" && typeof r.price === "number"));
+});
+
+test("mock rejects pages larger than EIA allows", async () => {
+  const res = await fetch(`${eiaUrl("petroleum/pri/wfr/data")}?api_key=x&length=5001`);
+  assert.equal(res.status, 400);
+});
+
+test("heating fuels chunks the wfr duoarea facets and retries transient 5xx", async () => {
+  eia.setFaults([{ route: "petroleum/pri/wfr", status: 503, times: 2 }]);
+
+  const payload = await fetchHeatingFuels({ eia: createEiaClient({ cacheTtlMs: 0 }), cfg });
+  const wfr = eia.requests.filter((r) => r.route === "petroleum/pri/wfr");
+  const chunks = Math.ceil(cfg.geo_accept_lists_v1.accepted_duoarea_petroleum_wfr.length / 15);
+
+  assert.equal(wfr.filter((r) => r.status === 503).length, 2);
+  assert.equal(wfr.filter((r) => r.status === 200).length, chunks);
+  assert.ok(payload.rows.some((r) => r.fuel === "Heating Oil" && r.geo_code === "US"));
+  assert.ok(payload.rows.some((r) => r.fuel === "Natural Gas" && r.price !== null));
+});
+
+test("transportation fuels gives up after repeated 5xx without leaking the api_key", async () => {
+  eia.setFaults([{ route: "petroleum/pri/gnd", status: 500 }]);
+
+  const eiaClient = createEiaClient({ apiKey: "secret-key", cacheTtlMs: 0, baseDelayMs: 10 });
+  await assert.rejects(fetchTransportationFuels({ eia: eiaClient, cfg }), (err) => {
+    assert.match(err.message, /^EIA_FETCH_FAILED: 500 /);
+    assert.doesNotMatch(err.message, /secret-key/);
+    return true;
+  });
+});
+
+test("slow responses and schema drift are served as configured", async () => {
+  eia.setFaults([{ route: "natural-gas/pri/sum", delayMs: 200, drift: { rename: { duoarea: "duo_area" }, set: { units: "$/MMBTU" } } }]);
+
+  const startedMs = Date.now();
+  const res = await fetch(`${eiaUrl("natural-gas/pri/sum/data")}?api_key=x&frequency=monthly&data[0]=value&length=1`);
+  const row = (await res.json()).response.data[0];
+
+  assert.ok(Date.now() - startedMs >= 200);
+  assert.equal(row.duoarea, undefined);
+  assert.ok(row.duo_area);
+  assert.equal(row.units, "$/MMBTU");
+});
+
+test("transportation fuels reports processes it has no label for", async () => {
+  eia.setFaults([{ route: "petroleum/pri/gnd", drift: { set: { process: "PTR", "process-name": "Retail Price" } } }]);
+
+  const payload = await fetchTransportationFuels({ eia: createEiaClient({ cacheTtlMs: 0 }), cfg });
+
+  assert.deepEqual(
+    payload.unknown_codes.map(({ route, kind, code, name }) => ({ route, kind, code, name })),
+    [{ route: "petroleum/pri/gnd", kind: "processes", code: "PTR", name: "Retail Price" }]
+  );
+});
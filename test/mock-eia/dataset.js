@@ -0,0 +1,252 @@
+// test/mock-eia/dataset.js
+//
+// Deterministic EIA v2 rows for the routes the updater reads, shaped like the real API:
+// dimension columns, data columns and their "<column>-units" siblings.
+//
+// Periods are relative to `now` (so "latest" logic sees current-looking data); values are a stable
+// function of (route, geo, product/sector, period), so repeated runs produce identical artifacts.
+//
+//   {
+//     "<route>": {
+//       facets: [facet column, ...],
+//       data: [data column, ...],
+//       rows: [ { $frequency, period, ...columns } ]    // $-prefixed fields are never sent
+//     }
+//   }
+
+import { readFileSync } from "node:fs";
+
+const PUBLIC_DIR = new URL("../../public/", import.meta.url);
+
+const STATES = [
+  "AL","AK","AZ","AR","CA","CO","CT","DE","FL","GA",
+  "HI","ID","IL","IN","IA","KS","KY","LA","ME","MD",
+  "MA","MI","MN","MS","MO","MT","NE","NV","NH","NJ",
+  "NM","NY","NC","ND","OH","OK","OR","PA","RI","SC",
+  "SD","TN","TX","UT","VT","VA","WA","WV","WI","WY",
+  "DC"
+];
+
+const ELECTRICITY_SECTORS = {
+  RES: { name: "residential", cents: 15 },
+  COM: { name: "commercial", cents: 12 },
+  IND: { name: "industrial", cents: 8 },
+  TRA: { name: "transportation", cents: 11 }
+};
+
+// EIA only reports transportation for a handful of states.
+const TRA_STATES = ["US", "CA", "DC", "IL", "MA", "MD", "NJ", "NY", "PA", "VA", "WA"];
+
+// Ratio of a state's electricity price to the national one (keeps HI/AK/New England plausibly high).
+const STATE_PRICE_FACTOR = { HI: 2.6, AK: 1.6, CA: 1.8, MA: 1.7, CT: 1.7, RI: 1.6, NH: 1.5, VT: 1.3, ME: 1.4, NY: 1.4 };
+
+const EFFICIENCY_SECTORS = { RES: "residential", COM: "commercial", IND: "industrial", TRA: "transportation" };
+
+const PETROLEUM = {
+  EPD2F: { name: "No 2 Fuel Oil / Heating Oil", price: 3.9, units: "$/GAL" },
+  EPLLPA: { name: "Propane, Residential", price: 2.7, units: "$/GAL" },
+  EPD2DXL0: { name: "No 2 Diesel Low Sulfur (0-15 ppm)", price: 3.8, units: "$/GAL" },
+  EPMR: { name: "Regular Gasoline", price: 3.2, units: "$/GAL" }
+};
+
+const PROCESS_NAMES = { PRS: "Residential Price", PTE: "Retail Sales" };
+
+// Areas EIA reports that our accept lists leave out on purpose (metros, the NUS-Z00 aggregate).
+// Queries filtered to accepted duoareas never see them; facet listings do.
+const UNLISTED_DUOAREAS = {
+  "petroleum/pri/gnd": { Y35NY: "New York City", Y05SF: "San Francisco" },
+  "natural-gas/pri/sum": { "NUS-Z00": "U.S. Total" }
+};
+
+function readPublicJson(name) {
+  return JSON.parse(readFileSync(new URL(name, PUBLIC_DIR), "utf8"));
+}
+
+// FNV-1a over the key, mapped to [-1, 1).
+function jitter(key) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < key.length; i++) {
+    h ^= key.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return ((h >>> 0) / 0x100000000) * 2 - 1;
+}
+
+function round(n, digits) {
+  const f = 10 ** digits;
+  return Math.round(n * f) / f;
+}
+
+function pad2(n) {
+  return String(n).padStart(2, "0");
+}
+
+function years(now, { latestLag, count }) {
+  const y = now.getUTCFullYear() - latestLag;
+  return Array.from({ length: count }, (_, i) => String(y - i));
+}
+
+function months(now, { latestLag, count }) {
+  return Array.from({ length: count }, (_, i) => {
+    const d = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - latestLag - i, 1));
+    return `${d.getUTCFullYear()}-${pad2(d.getUTCMonth() + 1)}`;
+  });
+}
+
+// EIA weekly petroleum periods are Mondays.
+function mondays(now, { count }) {
+  const d = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7) - 7);
+  return Array.from({ length: count }, (_, i) => {
+    const w = new Date(d.getTime() - i * 7 * 24 * 60 * 60 * 1000);
+    return w.toISOString().slice(0, 10);
+  });
+}
+
+function retailSales(now, names) {
+  const rows = [];
+  const periods = [
+    ...years(now, { latestLag: 1, count: 6 }).map((p) => ["annual", p]),
+    ...months(now, { latestLag: 2, count: 15 }).map((p) => ["monthly", p])
+  ];
+
+  for (const [frequency, period] of periods) {
+    for (const st of [...STATES, "US"]) {
+      for (const [sectorid, sector] of Object.entries(ELECTRICITY_SECTORS)) {
+        if (sectorid === "TRA" && !TRA_STATES.includes(st)) continue;
+        const base = sector.cents * (STATE_PRICE_FACTOR[st] ?? (1 + jitter(`factor|${st}`) * 0.2));
+        rows.push({
+          $frequency: frequency,
+          period,
+          stateid: st,
+          stateDescription: names[st] ?? st,
+          sectorid,
+          sectorName: sector.name,
+          price: round(base * (1 + jitter(`${st}|${sectorid}|${period}`) * 0.03), 2),
+          "price-units": "cents per kilowatt-hour"
+        });
+      }
+    }
+  }
+  return { facets: ["stateid", "sectorid"], data: ["price"], rows };
+}
+
+function energyEfficiency(now, names) {
+  const rows = [];
+  for (const period of years(now, { latestLag: 2, count: 6 })) {
+    for (const st of [...STATES, "US"]) {
+      const scale = st === "US" ? 40 : 1;
+      for (const [sector, sectorName] of Object.entries(EFFICIENCY_SECTORS)) {
+        const base = 2000 * scale * (1 + jitter(`size|${st}|${sector}`) * 0.8);
+        rows.push({
+          $frequency: "annual",
+          period,
+          state: st,
+          stateName: names[st] ?? st,
+          sector,
+          sectorName,
+          "all-other-costs": round(base * (1 + jitter(`${st}|${sector}|${period}`) * 0.05), 0),
+          "all-other-costs-units": "thousand dollars"
+        });
+      }
+    }
+  }
+  return { facets: ["state", "sector"], data: ["all-other-costs"], rows };
+}
+
+function areaName(duoarea, { names, duoToGeo, unlisted = {} }) {
+  return unlisted[duoarea] ?? names[duoToGeo[duoarea]] ?? duoarea;
+}
+
+function petroleumRows({ frequency, periods, duoareas, products, process, names, duoToGeo, unlisted = {} }) {
+  const rows = [];
+  for (const period of periods) {
+    for (const duoarea of [...duoareas, ...Object.keys(unlisted)]) {
+      const area = areaName(duoarea, { names, duoToGeo, unlisted });
+      for (const product of products) {
+        const p = PETROLEUM[product];
+        const base = p.price * (1 + jitter(`level|${duoarea}|${product}`) * 0.1);
+        rows.push({
+          $frequency: frequency,
+          period,
+          duoarea,
+          "area-name": area,
+          product,
+          "product-name": p.name,
+          process,
+          "process-name": PROCESS_NAMES[process],
+          series: `W_${product}_${process}_${duoarea}_DPG`,
+          "series-description": `${area} ${p.name} ${PROCESS_NAMES[process]} (Dollars per Gallon)`,
+          value: round(base * (1 + jitter(`${duoarea}|${product}|${period}`) * 0.02), 3),
+          units: p.units
+        });
+      }
+    }
+  }
+  return { facets: ["duoarea", "product", "process", "series"], data: ["value"], rows };
+}
+
+function naturalGasSum(now, { duoareas, names, duoToGeo, unlisted = {} }) {
+  const rows = [];
+  for (const period of months(now, { latestLag: 3, count: 26 })) {
+    for (const duoarea of [...duoareas, ...Object.keys(unlisted)]) {
+      const area = areaName(duoarea, { names, duoToGeo, unlisted });
+      const base = 15 * (1 + jitter(`level|${duoarea}|ng`) * 0.35);
+      rows.push({
+        $frequency: "monthly",
+        period,
+        duoarea,
+        "area-name": area,
+        product: "EPG0",
+        "product-name": "Natural Gas",
+        process: "PRS",
+        "process-name": PROCESS_NAMES.PRS,
+        series: `N3010${duoarea.slice(1)}3`,
+        "series-description": `${area} Price of Natural Gas Delivered to Residential Consumers (Dollars per Thousand Cubic Feet)`,
+        value: round(base * (1 + jitter(`${duoarea}|ng|${period}`) * 0.04), 2),
+        units: "$/MCF"
+      });
+    }
+  }
+  return { facets: ["duoarea", "product", "process", "series"], data: ["value"], rows };
+}
+
+/**
+ * Build the mock dataset. Geo universe and display names come from the configs in public/.
+ */
+export function buildMockDataset({ now = new Date() } = {}) {
+  const accept = readPublicJson("geo_accept_lists_v1.json");
+  const names = readPublicJson("geo_display_names_v1.json").geo_display_names;
+  const duoToGeo = accept.duoarea_to_geo_code;
+  const weeks = mondays(now, { count: 30 });
+
+  return {
+    "electricity/retail-sales": retailSales(now, names),
+    "electricity/state-electricity-profiles/energy-efficiency": energyEfficiency(now, names),
+    "petroleum/pri/wfr": petroleumRows({
+      frequency: "weekly",
+      periods: weeks,
+      duoareas: accept.accepted_duoarea_petroleum_wfr,
+      products: ["EPD2F", "EPLLPA"],
+      process: "PRS",
+      names,
+      duoToGeo
+    }),
+    "petroleum/pri/gnd": petroleumRows({
+      frequency: "weekly",
+      periods: weeks,
+      duoareas: accept.accepted_duoarea_petroleum_gnd,
+      products: ["EPD2DXL0", "EPMR"],
+      process: "PTE",
+      names,
+      duoToGeo,
+      unlisted: UNLISTED_DUOAREAS["petroleum/pri/gnd"]
+    }),
+    "natural-gas/pri/sum": naturalGasSum(now, {
+      duoareas: accept.accepted_duoarea_natural_gas,
+      names,
+      duoToGeo,
+      unlisted: UNLISTED_DUOAREAS["natural-gas/pri/sum"]
+    })
+  };
+}
@@ -0,0 +1,296 @@
+// test/mock-eia/server.js
+//
+// Local stand-in for the parts of the EIA v2 API the updater uses (GET /v2/<route>/data/):
+// frequency, data[], facets[<col>][], start/end, sort[i][column|direction], offset/length (max 5000)
+// and response.total, with EIA-style 400s for bad facets and oversized pages.
+// GET /v2/<route>/facet/<facet>/ lists a facet's values ({ id, name }) as the accept-list discovery
+// tool reads them.
+//
+// Point functions at it with EIA_API_BASE_URL=<server.url> (see netlify/functions/_lib/eia.js).
+//
+// Faults (first matching rule wins; `times` limits how many requests it applies to):
+//   { route: "petroleum/pri/wfr",   // substring of the route; omit to match every route
+//     status: 503,                  // answer with this error instead of data
+//     delayMs: 2000,                // wait before answering
+//     drift: {                      // schema drift applied to every returned row
+//       where: { stateid: "TX" },   //   ...or only to rows with these column values
+//       rename: { duoarea: "duo_area" },
+//       drop: ["units"],
+//       set: { units: "$/MMBTU" }
+//     },
+//     times: 2 }
+//
+// Programmatic:  const eia = await startMockEiaServer({ faults }); ... eia.setFaults([...]); await eia.close();
+// Standalone:    node test/mock-eia/server.js [--port 8787] [--fault '<json rule>' ...]
+//                PUT /__mock/faults (JSON array) replaces the rules; GET /__mock/requests lists requests.
+
+import http from "node:http";
+import { pathToFileURL } from "node:url";
+import { buildMockDataset } from "./dataset.js";
+
+const MAX_LENGTH = 5000;
+
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+function send(res, status, body) {
+  res.writeHead(status, { "content-type": "application/json" });
+  res.end(typeof body === "string" ? body : JSON.stringify(body));
+}
+
+function eiaError(res, status, message) {
+  send(res, status, { error: message, code: status });
+}
+
+// facets[stateid][] -> ["facets", "stateid"]; sort[0][column] -> ["sort", "0", "column"]
+function bracketPath(name) {
+  const m = name.match(/^([^[]+)((?:\[[^\]]*\])*)$/);
+  if (!m) return [name];
+  return [m[1], ...[...m[2].matchAll(/\[([^\]]*)\]/g)].map((x) => x[1])];
+}
+
+function parseQuery(searchParams) {
+  const q = { facets: {}, data: [], sort: [], params: {} };
+  for (const [name, value] of searchParams) {
+    const [head, a, b] = bracketPath(name);
+    q.params[name] = name in q.params ? [].concat(q.params[name], value) : value;
+
+    if (head === "facets" && a) (q.facets[a] ??= []).push(value);
+    else if (head === "data") q.data.push(value);
+    else if (head === "sort" && a !== undefined && b) (q.sort[Number(a)] ??= {})[b] = value;
+  }
+  q.sort = q.sort.filter(Boolean);
+  return q;
+}
+
+function compare(a, b) {
+  const na = Number(a);
+  const nb = Number(b);
+  if (a !== "" && b !== "" && Number.isFinite(na) && Number.isFinite(nb)) return na - nb;
+  return String(a ?? "").localeCompare(String(b ?? ""));
+}
+
+function applyDrift(row, drift) {
+  if (!drift) return row;
+  if (drift.where && !Object.entries(drift.where).every(([col, v]) => String(row[col]) === String(v))) return row;
+  const out = { ...row };
+  for (const [from, to] of Object.entries(drift.rename ?? {})) {
+    if (from in out) {
+      out[to] = out[from];
+      delete out[from];
+    }
+  }
+  for (const col of drift.drop ?? []) delete out[col];
+  Object.assign(out, drift.set ?? {});
+  return out;
+}
+
+// Keep dimension columns and the requested data columns (+ their "-units"); drop internal $ fields.
+function project(row, dataColumns, requested) {
+  const out = {};
+  for (const [k, v] of Object.entries(row)) {
+    if (k.startsWith("$")) continue;
+    const dataCol = dataColumns.find((c) => k === c || k === `${c}-units`);
+    if (dataCol && !requested.includes(dataCol)) continue;
+    out[k] = v;
+  }
+  return out;
+}
+
+// Column EIA takes a facet value's display name from.
+const FACET_NAME_COLUMNS = {
+  duoarea: "area-name",
+  product: "product-name",
+  process: "process-name",
+  series: "series-description",
+  stateid: "stateDescription",
+  sectorid: "sectorName",
+  state: "stateName",
+  sector: "sectorName"
+};
+
+function facetValues(spec, facet) {
+  const byId = new Map();
+  for (const r of spec.rows) {
+    const id = String(r[facet]);
+    if (!byId.has(id)) byId.set(id, { id, name: r[FACET_NAME_COLUMNS[facet]] ?? id });
+  }
+  return [...byId.values()].sort((a, b) => compare(a.id, b.id));
+}
+
+function query(route, spec, q) {
+  for (const col of Object.keys(q.facets)) {
+    if (!spec.facets.includes(col)) return { error: `Invalid facet '${col}' for route ${route}.` };
+  }
+  const unknownData = q.data.filter((c) => !spec.data.includes(c));
+  if (unknownData.length) return { error: `Invalid data column(s): ${unknownData.join(", ")}.` };
+
+  const offset = Number(q.params.offset ?? 0);
+  const length = Number(q.params.length ?? MAX_LENGTH);
+  if (!Number.isInteger(offset) || offset < 0) return { error: "offset must be a non-negative integer." };
+  if (!Number.isInteger(length) || length < 0) return { error: "length must be a non-negative integer." };
+  if (length > MAX_LENGTH) return { error: `length must be <= ${MAX_LENGTH}.` };
+
+  const frequency = q.params.frequency ?? null;
+  const start = q.params.start ?? null;
+  const end = q.params.end ?? null;
+
+  let rows = spec.rows.filter(
+    (r) =>
+      (!frequency || r.$frequency === frequency) &&
+      (!start || String(r.period) >= start) &&
+      (!end || String(r.period) <= end) &&
+      Object.entries(q.facets).every(([col, values]) => values.includes(String(r[col])))
+  );
+
+  if (q.sort.length) {
+    rows = [...rows].sort((a, b) => {
+      for (const s of q.sort) {
+        const d = compare(a[s.column], b[s.column]);
+        if (d !== 0) return s.direction === "desc" ? -d : d;
+      }
+      return 0;
+    });
+  }
+
+  return { total: rows.length, frequency, rows: rows.slice(offset, offset + length) };
+}
+
+/**
+ * Start the mock server. Resolves to { url, port, requests, setFaults, close }.
+ *   url       base URL to use as EIA_API_BASE_URL (ends in /v2)
+ *   requests  log of { route, facet?, params, status, at_ms } (api_key omitted)
+ */
+export async function startMockEiaServer({
+  port = 0,
+  host = "127.0.0.1",
+  dataset = buildMockDataset(),
+  faults = [],
+  requireApiKey = true
+} = {}) {
+  let rules = faults.map((f) => ({ ...f }));
+  const requests = [];
+
+  function takeFault(route) {
+    const rule = rules.find((f) => (!f.route || route.includes(f.route)) && (f.times === undefined || f.times > 0));
+    if (rule && rule.times !== undefined) rule.times -= 1;
+    return rule ?? null;
+  }
+
+  async function handle(req, res) {
+    const u = new URL(req.url, "http://mock");
+
+    if (u.pathname === "/__mock/faults" && req.method === "PUT") {
+      let body = "";
+      for await (const chunk of req) body += chunk;
+      try {
+        const next = JSON.parse(body || "[]");
+        if (!Array.isArray(next)) throw new Error("expected a JSON array of fault rules");
+        rules = next;
+        return send(res, 200, { ok: true, faults: rules });
+      } catch (err) {
+        return eiaError(res, 400, String(err?.message || err));
+      }
+    }
+    if (u.pathname === "/__mock/requests" && req.method === "GET") return send(res, 200, { requests });
+
+    const facetMatch = u.pathname.match(/^\/v2\/(.+?)\/facet\/([^/]+)\/?$/);
+    const m = facetMatch ?? u.pathname.match(/^\/v2\/(.+?)\/data\/?$/);
+    const route = m?.[1] ?? null;
+    const q = parseQuery(u.searchParams);
+    const { api_key: apiKey, ...loggedParams } = q.params;
+    const log = {
+      route: route ?? u.pathname,
+      ...(facetMatch ? { facet: facetMatch[2] } : {}),
+      params: loggedParams,
+      status: 200,
+      at_ms: Date.now()
+    };
+    requests.push(log);
+
+    const reply = (status, body) => {
+      log.status = status;
+      return status === 200 ? send(res, 200, body) : eiaError(res, status, body);
+    };
+
+    if (req.method !== "GET") return reply(405, "Only GET is supported.");
+    if (!route || !dataset[route]) return reply(404, `No such route: ${u.pathname}`);
+    if (requireApiKey && !apiKey) return reply(403, "API_KEY_MISSING: No api_key was supplied.");
+
+    const fault = takeFault(route);
+    if (fault?.delayMs) await sleep(fault.delayMs);
+    if (fault?.status) return reply(fault.status, `Injected ${fault.status} for ${route}.`);
+
+    if (facetMatch) {
+      const facet = facetMatch[2];
+      if (!dataset[route].facets.includes(facet)) return reply(400, `Invalid facet '${facet}' for route ${route}.`);
+      const facets = facetValues(dataset[route], facet);
+      return reply(200, {
+        response: { totalFacets: facets.length, facets },
+        request: { command: `/v2/${route}/facet/${facet}/`, params: q.params },
+        apiVersion: "2.1.8"
+      });
+    }
+
+    const result = query(route, dataset[route], q);
+    if (result.error) return reply(400, result.error);
+
+    return reply(200, {
+      response: {
+        total: String(result.total),
+        dateFormat: "YYYY-MM-DD",
+        frequency: result.frequency,
+        data: result.rows.map((r) => applyDrift(project(r, dataset[route].data, q.data), fault?.drift)),
+        description: `Mock EIA v2 data for ${route}.`
+      },
+      request: { command: `/v2/${route}/data/`, params: q.params },
+      apiVersion: "2.1.8"
+    });
+  }
+
+  const server = http.createServer((req, res) => {
+    handle(req, res).catch((err) => {
+      if (!res.headersSent) eiaError(res, 500, String(err?.message || err));
+    });
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, resolve);
+  });
+
+  const actualPort = server.address().port;
+  return {
+    url: `http://${host}:${actualPort}/v2`,
+    port: actualPort,
+    requests,
+    setFaults: (next) => {
+      rules = next.map((f) => ({ ...f }));
+    },
+    close: () =>
+      new Promise((resolve) => {
+        server.closeAllConnections?.();
+        server.close(() => resolve());
+      })
+  };
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const args = process.argv.slice(2);
+  const faults = [];
+  let port = 8787;
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === "--port") port = Number(args[++i]);
+    else if (args[i] === "--fault") faults.push(JSON.parse(args[++i]));
+  }
+
+  const eia = await startMockEiaServer({ port, faults });
+  console.log(`Mock EIA v2 listening on ${eia.url}`);
+  console.log(`Run functions with EIA_API_BASE_URL=${eia.url} EIA_API_KEY=mock`);
+
+  process.on("SIGINT", async () => {
+    await eia.close();
+    process.exit(0);
+  });
+}
@@ -0,0 +1,128 @@
+// test/overrides.test.js
+//
+// Admin overrides (_lib/overrides.js, overrides.mjs): geo validation against the accept-list configs,
+// concurrent writes, display names of cloned rows and how overrides travel through the geo fallback.
+
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { getStore } from "@netlify/blobs";
+import { startTestEnv } from "./harness/env.js";
+import { readPublishedArtifact } from "../netlify/functions/_lib/generations.js";
+import { applyFuelOverrides, loadOverrideAudit, loadOverrides, upsertOverride } from "../netlify/functions/_lib/overrides.js";
+import { loadAndValidateGeoConfigs } from "../netlify/functions/_lib/config-validators.js";
+import { combineLatest, loadFuelPayloads } from "../netlify/functions/_lib/energy-prices.js";
+
+const TOKEN = "test-run-token";
+const GEO_NAMES = JSON.parse(readFileSync(new URL("../public/geo_display_names_v1.json", import.meta.url), "utf8"));
+
+let env;
+
+before(async () => {
+  env = await startTestEnv();
+  process.env.RUN_UPDATE_TOKEN = TOKEN;
+});
+
+after(async () => {
+  delete process.env.RUN_UPDATE_TOKEN;
+  await env.close();
+});
+
+beforeEach(async () => {
+  env.reset();
+  await env.site.invoke("update-data");
+});
+
+async function heatingWeek() {
+  return (await readPublishedArtifact(getStore("artifacts"), "heating_fuels_latest")).rows.find((r) => r.fuel === "Heating Oil").period;
+}
+
+async function postOverride(fields) {
+  const res = await env.site.invoke("overrides", {
+    method: "POST",
+    headers: { "x-run-token": TOKEN, "content-type": "application/json" },
+    body: JSON.stringify({ reason: "EIA decimal slip", author: "ops", ...fields })
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+async function withFallbackRow(fuel, geo) {
+  const body = await (await env.site.fetch("/api/energy_prices_latest_with_fallback.json")).json();
+  return body.rows_filled.find((r) => r.fuel === fuel && r.geo_code === geo);
+}
+
+test("geos outside the accept-list configs are rejected", async () => {
+  const period = await heatingWeek();
+
+  const typo = await postOverride({ dataset: "heating_fuels_latest", fuel: "Propane", geo: "VTT", period, value: 3 });
+  assert.equal(typo.status, 400);
+  assert.match(typo.body.error, /^OVERRIDES: unknown geo "VTT" for heating_fuels_latest/);
+
+  // Fuel regions are geo_codes, but not electricity states.
+  const region = await postOverride({ dataset: "electricity_rates_latest", fuel: "RES", geo: "R10", period: "2025", value: 15 });
+  assert.equal(region.status, 400);
+  assert.match(region.body.error, /unknown geo "R10"/);
+
+  const ok = await postOverride({ dataset: "heating_fuels_latest", fuel: "Propane", geo: "R10", period, value: 3 });
+  assert.equal(ok.status, 200);
+  assert.equal((await loadOverrides(getStore("system"))).overrides.length, 1);
+});
+
+test("concurrent writes queue on the overrides lock and none is lost", async () => {
+  const period = await heatingWeek();
+  const geoConfigs = await loadAndValidateGeoConfigs({ baseUrl: env.site.url });
+  const store = getStore("system");
+  const geos = ["VT", "NH", "ME"];
+
+  // Started together, so every read of data_overrides would happen before any write without the lock.
+  await Promise.all(
+    geos.map((geo) =>
+      upsertOverride(
+        store,
+        { dataset: "heating_fuels_latest", fuel: "Heating Oil", geo, period, value: 4, reason: "r", author: "ops" },
+        { nowUtc: new Date().toISOString(), geoConfigs }
+      )
+    )
+  );
+
+  assert.deepEqual((await loadOverrides(store)).overrides.map((o) => o.geo).sort(), [...geos].sort());
+  assert.deepEqual((await loadOverrideAudit(store)).entries.map((e) => e.action), ["create", "create", "create"]);
+  assert.equal(await store.get("data_overrides_lock"), null);
+});
+
+test("a row cloned for a geo without source data takes that geo's display name", async () => {
+  const payloads = await loadFuelPayloads(getStore("artifacts"));
+  const combined = combineLatest(payloads);
+  const period = await heatingWeek();
+  assert.equal(combined.rows.some((r) => r.fuel === "Heating Oil" && r.geo_code === "AK"), false);
+
+  const out = applyFuelOverrides(
+    combined,
+    [{ id: "x", dataset: "heating_fuels_latest", fuel: "Heating Oil", geo: "AK", period, value: 5.5, reason: "r", author: "a" }],
+    { geo_display_names_v1: GEO_NAMES }
+  );
+  const ak = out.rows.find((r) => r.fuel === "Heating Oil" && r.geo_code === "AK");
+  assert.equal(ak.price, 5.5);
+  assert.equal(ak.is_override, true);
+  assert.equal(ak.geo_display_name, "Alaska");
+  assert.equal(ak.source_series, null);
+});
+
+test("cells filled by fallback from an overridden geo carry its value but not its override", async () => {
+  const period = await heatingWeek();
+  assert.equal((await withFallbackRow("Heating Oil", "AK")).fallback_from_geo_code, "US");
+
+  const res = await postOverride({ dataset: "heating_fuels_latest", fuel: "Heating Oil", geo: "US", period, value: 4.44 });
+  assert.equal(res.status, 200);
+
+  const us = await withFallbackRow("Heating Oil", "US");
+  assert.equal(us.is_override, true);
+  assert.equal(us.override.id, res.body.override.id);
+
+  const ak = await withFallbackRow("Heating Oil", "AK");
+  assert.equal(ak.price, 4.44);
+  assert.equal(ak.is_fallback, true);
+  assert.equal(ak.is_override, false);
+  assert.equal("override" in ak, false);
+  assert.equal("source_price" in ak, false);
+});
@@ -0,0 +1,83 @@
+// test/run-lock.test.js
+//
+// The lease lock (_lib/run-lock.js) under overlapping acquirers: a read that comes back late must not
+// let two callers hold the lease at once.
+
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { getStore } from "@netlify/blobs";
+import { resetBlobs } from "./harness/blobs.js";
+import { LOCK_KEY, acquireLock, releaseLock } from "../netlify/functions/_lib/run-lock.js";
+
+const SETTLE_MS = 100;
+
+beforeEach(() => resetBlobs());
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// The store as one caller sees it: its first `reads` reads answer with what was there when they were
+// made, but only after delayMs.
+function slowReads(store, delayMs, { reads = 1 } = {}) {
+  let left = reads;
+  return {
+    ...store,
+    get: async (...args) => {
+      const value = await store.get(...args);
+      if (left-- > 0) await sleep(delayMs);
+      return value;
+    },
+    set: (...args) => store.set(...args),
+    delete: (...args) => store.delete(...args)
+  };
+}
+
+test("a caller whose read of the free lease comes back late does not share the lease", async () => {
+  const store = getStore("system");
+
+  const [a, b] = await Promise.all([
+    acquireLock(store, { owner: "A", trigger: "scheduled", settleMs: SETTLE_MS }),
+    acquireLock(slowReads(store, 50), { owner: "B", trigger: "manual", settleMs: SETTLE_MS })
+  ]);
+
+  // B saw no lease, so it overwrote A's; A finds that on its second check.
+  assert.deepEqual([a.acquired, b.acquired], [false, true]);
+  assert.equal(a.heldBy.owner, "B");
+  assert.equal((await store.get(LOCK_KEY, { type: "json" })).owner, "B");
+});
+
+test("of many overlapping acquirers with read latency under the settle time, exactly one holds the lease", async () => {
+  const store = getStore("system");
+  const owners = ["A", "B", "C", "D", "E"];
+
+  const results = await Promise.all(
+    owners.map((owner, i) =>
+      acquireLock(slowReads(store, i * 15), { key: "data_overrides_lock", owner, trigger: "admin", settleMs: SETTLE_MS })
+    )
+  );
+
+  const holders = owners.filter((_, i) => results[i].acquired);
+  assert.equal(holders.length, 1);
+  assert.equal((await store.get("data_overrides_lock", { type: "json" })).owner, holders[0]);
+
+  assert.equal(await releaseLock(store, holders[0], { key: "data_overrides_lock" }), true);
+  assert.equal(await store.get("data_overrides_lock"), null);
+});
+
+test("a live lease is not taken over, a stale one is recovered", async () => {
+  const store = getStore("system");
+  const held = await acquireLock(store, { owner: "A", trigger: "scheduled", leaseMs: 60_000, settleMs: 0 });
+  assert.equal(held.acquired, true);
+
+  const refused = await acquireLock(store, { owner: "B", trigger: "manual", settleMs: 0 });
+  assert.equal(refused.acquired, false);
+  assert.equal(refused.heldBy.owner, "A");
+
+  const stale = { ...held.lock, expires_at_utc: new Date(Date.now() - 1000).toISOString() };
+  await store.set(LOCK_KEY, JSON.stringify(stale));
+  const recovered = await acquireLock(store, { owner: "B", trigger: "manual", settleMs: 0 });
+  assert.equal(recovered.acquired, true);
+  assert.equal(recovered.recoveredStale.owner, "A");
+  assert.equal(await releaseLock(store, "A"), false);
+});
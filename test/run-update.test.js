@@ -0,0 +1,134 @@
+// test/run-update.test.js
+//
+// The authenticated run-update trigger: auth, job selection, dry runs, the updater lock and the run
+// ledger records it leaves behind.
+
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { getStore } from "@netlify/blobs";
+import { startTestEnv } from "./harness/env.js";
+import { dumpStore } from "./harness/blobs.js";
+import { LOCK_KEY } from "../netlify/functions/_lib/run-lock.js";
+
+const TOKEN = "test-run-token";
+
+let env;
+
+before(async () => {
+  env = await startTestEnv();
+  process.env.RUN_UPDATE_TOKEN = TOKEN;
+});
+
+after(async () => {
+  delete process.env.RUN_UPDATE_TOKEN;
+  await env.close();
+});
+
+beforeEach(() => env.reset());
+
+async function runUpdate(body, { query = "", token = TOKEN } = {}) {
+  const res = await env.site.invoke("run-update", {
+    path: `/.netlify/functions/run-update${query}`,
+    method: "POST",
+    headers: { ...(token ? { "x-run-token": token } : {}), "content-type": "application/json" },
+    ...(body ? { body: JSON.stringify(body) } : {})
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+async function ledger(query = "") {
+  const res = await env.site.fetch(`/api/updater_runs.json${query}`);
+  return { status: res.status, body: await res.json() };
+}
+
+test("requests without the run token are refused and run nothing", async () => {
+  assert.equal((await runUpdate(null, { token: null })).status, 403);
+  assert.equal((await runUpdate(null, { token: "wrong" })).status, 403);
+
+  delete process.env.RUN_UPDATE_TOKEN;
+  try {
+    assert.equal((await runUpdate(null, { token: "" })).status, 403);
+  } finally {
+    process.env.RUN_UPDATE_TOKEN = TOKEN;
+  }
+
+  assert.equal(env.eia.requests.length, 0);
+  assert.deepEqual(dumpStore("system"), {});
+});
+
+test("unknown job ids and malformed bodies are a 400", async () => {
+  const unknown = await runUpdate({ jobs: ["eia_heating_fuels", "eia_nope"] });
+  assert.equal(unknown.status, 400);
+  assert.equal(unknown.body.error, "UPDATER_UNKNOWN_JOB: eia_nope");
+
+  const res = await env.site.invoke("run-update", {
+    method: "POST",
+    headers: { "x-run-token": TOKEN },
+    body: "{not json"
+  });
+  assert.equal(res.status, 400);
+  assert.equal(env.eia.requests.length, 0);
+});
+
+test("a dry run reports the would-be artifacts, generation checks and EIA stats without writing a blob", async () => {
+  await runUpdate();
+  const system = dumpStore("system");
+  const artifacts = dumpStore("artifacts");
+  env.eia.requests.length = 0;
+
+  const { status, body } = await runUpdate(null, { query: "?dry_run=1&jobs=eia_heating_fuels" });
+  assert.equal(status, 200);
+  assert.equal(body.dry_run, true);
+  assert.deepEqual(body.jobs.map((j) => [j.job, j.would_publish]), [["eia_heating_fuels", true]]);
+  assert.equal(body.jobs[0].artifact.source, "EIA");
+  assert.equal(body.generation_checks.ok, true);
+  assert.ok(Array.isArray(body.generation_checks.checks));
+  assert.equal(body.eia.requests, env.eia.requests.length);
+  assert.ok(env.eia.requests.every((r) => /petroleum\/pri\/wfr|natural-gas/.test(r.route)));
+
+  assert.deepEqual(dumpStore("system"), system);
+  assert.deepEqual(dumpStore("artifacts"), artifacts);
+});
+
+test("a dry run bypasses an open circuit breaker and the updater lock", async () => {
+  const until = new Date(Date.now() + 60_000).toISOString();
+  const store = getStore("system");
+  await store.set("eia_breaker", JSON.stringify({ state: "open", consecutive_failures: 3, trips: 1, open_until_utc: until }));
+  await store.set(LOCK_KEY, JSON.stringify({ owner: "other-run", trigger: "scheduled", expires_at_utc: until }));
+
+  const { status, body } = await runUpdate({ dry_run: true, jobs: ["eia_transportation_fuels"] });
+  assert.equal(status, 200);
+  assert.equal(body.jobs[0].would_publish, true);
+  assert.equal(body.eia.breaker_rejections, 0);
+});
+
+test("a manual run with selected jobs runs only those and is recorded as manual", async () => {
+  const { status, body } = await runUpdate({ jobs: ["eia_transportation_fuels"] });
+  assert.equal(status, 200);
+  assert.equal(body.dry_run, false);
+  assert.equal(body.result, "SUCCESS");
+  assert.deepEqual(body.jobs.map((j) => j.job), ["eia_transportation_fuels"]);
+  assert.ok(env.eia.requests.every((r) => r.route.startsWith("petroleum/pri/gnd")));
+
+  const runs = (await ledger()).body.runs;
+  assert.equal(runs.length, 1);
+  assert.equal(runs[0].run_id, body.run_id);
+  assert.equal(runs[0].trigger, "manual");
+  assert.deepEqual(runs[0].jobs.map((j) => [j.job, j.updated]), [["eia_transportation_fuels", true]]);
+});
+
+test("a run that finds the updater lock held answers 409 and leaves a SKIPPED ledger record", async () => {
+  const lock = { owner: "scheduled-run", trigger: "scheduled", expires_at_utc: new Date(Date.now() + 60_000).toISOString() };
+  await getStore("system").set(LOCK_KEY, JSON.stringify(lock));
+
+  const { status, body } = await runUpdate({ jobs: ["eia_heating_fuels"] });
+  assert.equal(status, 409);
+  assert.equal(body.skipped, true);
+  assert.match(body.error, /^skipped: locked \(held by scheduled-run until /);
+  assert.equal(env.eia.requests.length, 0);
+
+  const [run] = (await ledger()).body.runs;
+  assert.equal(run.run_id, body.run_id);
+  assert.equal(run.result, "SKIPPED");
+  assert.deepEqual(run.jobs.map((j) => [j.job, j.skipped]), [["eia_heating_fuels", "locked"]]);
+});
@@ -0,0 +1,402 @@
+// test/update-data.test.js
+//
+// update-data end-to-end against the mock EIA server: a clean run, and each way a job falls back
+// to (or lacks) last-known-good data.
+
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { getStore } from "@netlify/blobs";
+import { startTestEnv } from "./harness/env.js";
+import { readPublishedArtifact } from "../netlify/functions/_lib/generations.js";
+import { LOCK_KEY } from "../netlify/functions/_lib/run-lock.js";
+import { BREAKER_KEY, createEiaBreaker, loadBreakerState } from "../netlify/functions/_lib/eia-breaker.js";
+import { loadFlagLog } from "../netlify/functions/_lib/flag-log.js";
+import { RUN_LEDGER_KEY, SKIPPED_RUNS_PREFIX, appendRunRecord, appendSkippedRunRecord, loadRunLedger } from "../netlify/functions/_lib/run-ledger.js";
+
+let env;
+
+before(async () => {
+  env = await startTestEnv();
+});
+
+after(() => env.close());
+
+beforeEach(() => env.reset());
+
+async function runUpdateData() {
+  const res = await env.site.invoke("update-data");
+  assert.equal(res.status, 200);
+  return res.text();
+}
+
+const systemStatus = () => getStore("system").get("system_status", { type: "json" });
+const published = (key) => readPublishedArtifact(getStore("artifacts"), key);
+const row = (status, artifact) => status.artifacts.find((a) => a.artifact === artifact);
+
+test("a clean run publishes every artifact with OK status", async () => {
+  assert.equal(await runUpdateData(), "ok");
+
+  const status = await systemStatus();
+  assert.equal(status.updater_last_run.result, "SUCCESS");
+  assert.equal(status.overall_health.fallback_active, false);
+  assert.ok(status.artifacts.length > 0);
+  for (const a of status.artifacts) assert.equal(a.status, "OK", a.artifact);
+  assert.equal(status.publish.promoted, true);
+
+  for (const key of ["electricity_rates_latest", "heating_fuels_latest", "transportation_fuels_latest"]) {
+    assert.ok(await published(key), key);
+  }
+});
+
+test("an EIA outage after a good run keeps last-known-good data and flags the fallback", async () => {
+  await runUpdateData();
+  const before = await published("transportation_fuels_latest");
+
+  env.eia.setFaults([{ route: "petroleum/pri/gnd", status: 503 }]);
+  await runUpdateData();
+
+  const status = await systemStatus();
+  const transport = row(status, "transportation_fuels_latest.json");
+  assert.equal(transport.status, "WARN");
+  assert.equal(transport.fallback.active, true);
+  assert.equal(status.overall_health.fallback_active, true);
+  assert.ok(status.updater_last_run.errors.some((e) => e.startsWith("eia_transportation_fuels:")));
+
+  assert.deepEqual(await published("transportation_fuels_latest"), before);
+  assert.equal(row(status, "heating_fuels_latest.json").status, "OK");
+});
+
+test("an EIA outage with nothing published yet is an ERROR and the other artifacts still publish", async () => {
+  env.eia.setFaults([{ route: "petroleum/pri/gnd", status: 500 }]);
+  await runUpdateData();
+
+  const status = await systemStatus();
+  assert.equal(row(status, "transportation_fuels_latest.json").status, "ERROR");
+  assert.equal(status.updater_last_run.result, "PARTIAL");
+  assert.equal(await published("transportation_fuels_latest"), null);
+  assert.ok(await published("heating_fuels_latest"));
+});
+
+test("out-of-range values are rejected per sector and the previous values stay published", async () => {
+  await runUpdateData();
+  const before = await published("electricity_rates_latest");
+
+  env.eia.setFaults([{ route: "electricity/retail-sales", drift: { set: { price: 500 } } }]);
+  await runUpdateData();
+
+  const status = await systemStatus();
+  for (const sector of ["RES", "COM", "IND", "TRA"]) {
+    const r = row(status, `electricity_rates_latest.json#${sector}`);
+    assert.equal(r.status, "WARN", sector);
+    assert.equal(r.fallback.active, true, sector);
+    assert.equal(r.validation.range_ok, false, sector);
+  }
+
+  const after = await published("electricity_rates_latest");
+  assert.deepEqual(after.values.by_state_cents_per_kwh, before.values.by_state_cents_per_kwh);
+});
+
+test("a state that spikes against its earlier years is quarantined while the rest of the sector publishes", async () => {
+  await runUpdateData();
+  const before = await published("electricity_rates_latest");
+  const prevTx = before.values.by_sector.RES.by_state_cents_per_kwh.TX;
+
+  // Only the latest year spikes; the earlier years in the same response are the baseline.
+  env.eia.setFaults([
+    {
+      route: "electricity/retail-sales",
+      drift: { where: { period: before.data_period, stateid: "TX", sectorid: "RES" }, set: { price: 45 } }
+    }
+  ]);
+  await runUpdateData();
+
+  const res = row(await systemStatus(), "electricity_rates_latest.json#RES");
+  assert.equal(res.status, "WARN");
+  assert.equal(res.fallback.active, false);
+  assert.equal(res.validation.outliers_ok, false);
+  assert.deepEqual(res.validation.quarantined.map((q) => [q.state, q.next, q.fallback]), [["TX", 45, prevTx]]);
+  assert.equal(res.validation.anomalies.find((a) => a.type === "outlier").details.history_points, 5);
+
+  const after = await published("electricity_rates_latest");
+  assert.notEqual(after.fetched_at_utc, before.fetched_at_utc);
+  const resValues = after.values.by_sector.RES;
+  assert.equal(resValues.fallback, false);
+  assert.deepEqual(resValues.quarantined_states, ["TX"]);
+  assert.equal(resValues.by_state_cents_per_kwh.TX, prevTx);
+
+  const status = await systemStatus();
+  for (const sector of ["COM", "IND", "TRA"]) assert.equal(row(status, `electricity_rates_latest.json#${sector}`).status, "OK", sector);
+});
+
+test("an efficiency state/sector that spikes against its earlier years keeps its previous value", async () => {
+  await runUpdateData();
+  const before = await published("efficiency_all_other_costs_latest");
+  const prevTx = before.values.by_state.TX.RES;
+
+  env.eia.setFaults([
+    {
+      route: "energy-efficiency",
+      drift: { where: { period: before.data_period, state: "TX", sector: "RES" }, set: { "all-other-costs": prevTx * 4 } }
+    }
+  ]);
+  await runUpdateData();
+
+  const eff = row(await systemStatus(), "efficiency_all_other_costs_latest.json");
+  assert.equal(eff.status, "WARN");
+  assert.equal(eff.fallback.active, false);
+  assert.equal(eff.validation.outliers_ok, false);
+  assert.deepEqual(eff.validation.quarantined.map((q) => [q.state, q.sector, q.fallback]), [["TX", "RES", prevTx]]);
+  assert.equal(eff.validation.anomalies.find((a) => a.type === "outlier").details.history_points, 5);
+
+  const after = await published("efficiency_all_other_costs_latest");
+  assert.notEqual(after.fetched_at_utc, before.fetched_at_utc);
+  assert.deepEqual(after.values.quarantined, [{ state: "TX", sector: "RES" }]);
+  assert.equal(after.values.by_state.TX.RES, prevTx);
+  assert.deepEqual(after.values.by_state.TX.COM, before.values.by_state.TX.COM);
+});
+
+test("an invalid efficiency tolerance override fails the job and keeps last-known-good data", async () => {
+  await runUpdateData();
+  const before = await published("efficiency_all_other_costs_latest");
+
+  process.env.EFFICIENCY_DELTA_TOLERANCES = JSON.stringify({ by_state: { TX: "fifty" } });
+  try {
+    await runUpdateData();
+  } finally {
+    delete process.env.EFFICIENCY_DELTA_TOLERANCES;
+  }
+
+  const eff = row(await systemStatus(), "efficiency_all_other_costs_latest.json");
+  assert.equal(eff.status, "WARN");
+  assert.equal(eff.fallback.active, true);
+  assert.match(eff.fallback.reason, /EFFICIENCY_TOLERANCES: by_state\.TX must be a non-negative number/);
+  assert.deepEqual(await published("efficiency_all_other_costs_latest"), before);
+});
+
+test("a fuel price that spikes against its earlier weeks keeps its previous row while the rest publish", async () => {
+  await runUpdateData();
+  const before = await published("transportation_fuels_latest");
+  const prevRow = before.rows.find((r) => r.fuel === "Gasoline");
+  const duoarea = prevRow.source_series.split("_")[3];
+
+  env.eia.setFaults([
+    {
+      route: "petroleum/pri/gnd",
+      drift: { where: { period: prevRow.period, duoarea, product: "EPMR" }, set: { value: prevRow.price * 3 } }
+    }
+  ]);
+  await runUpdateData();
+
+  const transport = row(await systemStatus(), "transportation_fuels_latest.json");
+  assert.equal(transport.status, "WARN");
+  assert.equal(transport.fallback.active, false);
+  assert.equal(transport.validation.outliers_ok, false);
+  assert.deepEqual(
+    transport.validation.quarantined.map((q) => [q.fuel, q.geo_code, q.fallback]),
+    [["Gasoline", prevRow.geo_code, prevRow.price]]
+  );
+
+  const after = await published("transportation_fuels_latest");
+  assert.notEqual(after.fetched_at_utc, before.fetched_at_utc);
+  assert.deepEqual(after.quarantined, [{ fuel: "Gasoline", geo_code: prevRow.geo_code }]);
+  assert.deepEqual(after.rows.find((r) => r.fuel === "Gasoline" && r.geo_code === prevRow.geo_code), prevRow);
+  assert.equal(after.rows.length, before.rows.length);
+});
+
+test("changed units are schema drift: the data is rejected and the drifted fields are listed", async () => {
+  await runUpdateData();
+  const before = await published("heating_fuels_latest");
+
+  env.eia.setFaults([{ route: "petroleum/pri/wfr", drift: { set: { units: "$/MMBTU" } } }]);
+  await runUpdateData();
+
+  const status = await systemStatus();
+  const heating = row(status, "heating_fuels_latest.json");
+  assert.equal(heating.status, "WARN");
+  assert.equal(heating.fallback.active, true);
+  assert.equal(heating.validation.schema_valid, false);
+
+  const drift = heating.validation.anomalies.find((a) => a.type === "schema_drift").details;
+  assert.deepEqual(
+    drift.map(({ route, field, issue, seen }) => ({ route, field, issue, seen })),
+    [{ route: "petroleum/pri/wfr", field: "units", issue: "units_changed", seen: ["$/MMBTU"] }]
+  );
+  assert.deepEqual(await published("heating_fuels_latest"), before);
+  assert.equal(row(status, "transportation_fuels_latest.json").validation.schema_valid, true);
+});
+
+test("a renamed column is reported as drift next to the fetch error it causes", async () => {
+  env.eia.setFaults([{ route: "natural-gas/pri/sum", drift: { rename: { duoarea: "duo_area" } } }]);
+  await runUpdateData();
+
+  const heating = row(await systemStatus(), "heating_fuels_latest.json");
+  assert.equal(heating.status, "ERROR");
+  const types = heating.validation.anomalies.map((a) => a.type);
+  assert.deepEqual(types, ["fetch_error", "schema_drift"]);
+
+  const drift = heating.validation.anomalies[1].details;
+  assert.deepEqual(
+    drift.map((f) => `${f.field}:${f.issue}:${f.severity}`).sort(),
+    ["duo_area:unexpected_column:WARN", "duoarea:missing_column:ERROR"]
+  );
+});
+
+test("codes our configs do not know are reported as warnings without holding the data back", async () => {
+  env.eia.setFaults([{ route: "energy-efficiency", drift: { set: { sector: "ALL", sectorName: "all sectors" } } }]);
+  await runUpdateData();
+
+  let status = await systemStatus();
+  const jobs = Object.fromEntries(status.updater_last_run.jobs.map((j) => [j.job, j]));
+  assert.deepEqual(
+    jobs.eia_efficiency_all_other_costs.diagnostics.unknown_codes.map(({ kind, code, name }) => ({ kind, code, name })),
+    [{ kind: "sectors", code: "ALL", name: "all sectors" }]
+  );
+  assert.deepEqual(jobs.eia_heating_fuels.diagnostics.unknown_codes, []);
+  assert.deepEqual(jobs.eia_transportation_fuels.diagnostics.unknown_codes, []);
+
+  const flags = status.recent_flags.filter((f) => f.type === "unknown_codes");
+  assert.deepEqual(flags.map((f) => [f.dedupe_key, f.severity]), [["efficiency:all_other_costs:unknown_codes", "WARN"]]);
+  assert.match(flags[0].summary, /sectors ALL/);
+  assert.equal(row(status, "efficiency_all_other_costs_latest.json").status, "OK");
+
+  // The next run that sees only known codes resolves the flag-log entries.
+  env.eia.setFaults([]);
+  await runUpdateData();
+
+  status = await systemStatus();
+  assert.ok(!status.recent_flags.some((f) => f.type === "unknown_codes"));
+  const log = await loadFlagLog(getStore("system"));
+  const entries = log.entries.filter((e) => e.type === "unknown_codes");
+  assert.deepEqual(entries.map((e) => e.state), ["RESOLVED"]);
+});
+
+test("repeated EIA failures open the circuit breaker and the next run fails fast to last-known-good", async () => {
+  await runUpdateData();
+
+  env.eia.requests.length = 0;
+  env.eia.setFaults([{ status: 503 }]);
+  await runUpdateData();
+
+  let status = await systemStatus();
+  assert.equal(status.eia_breaker.state, "open");
+  assert.equal(status.eia_breaker.consecutive_failures, 3);
+  assert.ok(status.recent_flags.some((f) => f.type === "circuit_breaker" && f.severity === "WARN"));
+  assert.ok(status.updater_last_run.eia.breaker_rejections > 0);
+  // Three jobs spent their retries, the rest were refused without a request.
+  assert.equal(env.eia.requests.length, 9);
+
+  env.eia.requests.length = 0;
+  await runUpdateData();
+
+  status = await systemStatus();
+  assert.equal(env.eia.requests.length, 0);
+  assert.ok(status.updater_last_run.errors.filter((e) => e.includes(": ")).every((e) => e.includes("EIA_CIRCUIT_OPEN")));
+  for (const a of status.artifacts) {
+    assert.equal(a.status, "WARN", a.artifact);
+    assert.equal(a.fallback.active, true, a.artifact);
+  }
+  assert.ok(await published("electricity_rates_latest"));
+});
+
+test("after the cooldown one probe request closes the breaker again", async () => {
+  const past = new Date(Date.now() - 1000).toISOString();
+  const breaker = { state: "open", consecutive_failures: 3, trips: 1, opened_at_utc: past, open_until_utc: past, last_error: "EIA_FETCH_FAILED: 503" };
+  await getStore("system").set(BREAKER_KEY, JSON.stringify(breaker));
+
+  await runUpdateData();
+
+  const status = await systemStatus();
+  assert.equal(status.updater_last_run.result, "SUCCESS");
+  assert.equal(status.eia_breaker.state, "closed");
+  assert.equal(status.eia_breaker.consecutive_failures, 0);
+  assert.equal(status.eia_breaker.trips, 1);
+  assert.ok(!status.recent_flags.some((f) => f.type === "circuit_breaker"));
+});
+
+test("a success does not overwrite failures another run recorded since it was allowed", async () => {
+  const store = getStore("system");
+  const outage = Object.assign(new Error("EIA_FETCH_FAILED: 503"), { status: 503 });
+  const a = createEiaBreaker(store, { owner: "run-a", threshold: 3, cooldownMs: 60_000 });
+  const b = createEiaBreaker(store, { owner: "run-b", threshold: 3, cooldownMs: 60_000 });
+
+  await b.recordFailure(outage);
+  await a.allow();
+  await b.recordFailure(outage);
+  await a.recordSuccess();
+
+  // EIA answered run A, so the count restarts, but B's failure stays on record.
+  let state = await loadBreakerState(store);
+  assert.equal(state.state, "closed");
+  assert.equal(state.consecutive_failures, 0);
+  assert.equal(state.last_error, "EIA_FETCH_FAILED: 503");
+
+  await b.recordFailure(outage);
+  await a.allow();
+  await b.recordFailure(outage);
+  await b.recordFailure(outage);
+  await a.recordSuccess();
+
+  // B tripped the breaker after A was let through; only a probe after the cooldown closes it.
+  state = await loadBreakerState(store);
+  assert.equal(state.state, "open");
+  assert.equal(state.consecutive_failures, 3);
+  assert.equal(state.trips, 1);
+});
+
+test("a run is skipped while another run holds the updater lock", async () => {
+  const lock = {
+    owner: "manual-run",
+    trigger: "manual",
+    acquired_at_utc: new Date().toISOString(),
+    expires_at_utc: new Date(Date.now() + 60_000).toISOString()
+  };
+  await getStore("system").set(LOCK_KEY, JSON.stringify(lock));
+
+  assert.equal(await runUpdateData(), "skipped: locked");
+  assert.equal(await systemStatus(), null);
+  assert.equal(env.eia.requests.length, 0);
+});
+
+test("a skipped run's ledger record cannot race the lock holder's and is folded in by the next run", async () => {
+  const store = getStore("system");
+  const lock = {
+    owner: "manual-run",
+    trigger: "manual",
+    acquired_at_utc: new Date().toISOString(),
+    expires_at_utc: new Date(Date.now() + 60_000).toISOString()
+  };
+  await store.set(LOCK_KEY, JSON.stringify(lock));
+
+  // The holder appends its record while a skipped run records its own elsewhere; neither is lost.
+  const held = { run_id: "2026-01-01T00:00:00.000Z", result: "SUCCESS", jobs: [] };
+  const [, skipped] = await Promise.all([appendRunRecord(store, held), env.site.invoke("update-data").then((r) => r.text())]);
+  assert.equal(skipped, "skipped: locked");
+
+  let ledger = await loadRunLedger(store);
+  assert.deepEqual(ledger.runs.map((r) => r.result), ["SKIPPED", "SUCCESS"]);
+  assert.match(ledger.runs[0].warnings[0], /^skipped: locked \(held by manual-run/);
+  // updater_runs itself is left to the lock holder.
+  assert.deepEqual((await store.get(RUN_LEDGER_KEY, { type: "json" })).runs, [held]);
+
+  await store.delete(LOCK_KEY);
+  await runUpdateData();
+
+  ledger = await store.get(RUN_LEDGER_KEY, { type: "json" });
+  assert.deepEqual(ledger.runs.map((r) => r.result), ["SUCCESS", "SKIPPED", "SUCCESS"]);
+  assert.deepEqual((await store.list({ prefix: SKIPPED_RUNS_PREFIX })).blobs, []);
+});
+
+test("a skipped run and the next run starting in the same millisecond both stay in the ledger", async () => {
+  const store = getStore("system");
+  const runId = new Date().toISOString();
+  const skipped = { run_id: runId, result: "SKIPPED", jobs: [] };
+  await appendSkippedRunRecord(store, skipped);
+  await appendRunRecord(store, { run_id: runId, result: "SUCCESS", jobs: [] });
+  // Folding the same skipped record twice (its key survived a failed delete) keeps one copy.
+  await appendRunRecord(store, { run_id: new Date(Date.parse(runId) + 1).toISOString(), result: "SUCCESS", jobs: [] });
+  await appendSkippedRunRecord(store, skipped);
+  await appendRunRecord(store, { run_id: new Date(Date.parse(runId) + 2).toISOString(), result: "SUCCESS", jobs: [] });
+
+  const { runs } = await store.get(RUN_LEDGER_KEY, { type: "json" });
+  assert.deepEqual(runs.map((r) => r.result).sort(), ["SKIPPED", "SUCCESS", "SUCCESS", "SUCCESS"]);
+});
@@ -0,0 +1,107 @@
+// test/updater-runs.test.js
+//
+// The run ledger (_lib/run-ledger.js) as /api/updater_runs.json serves it: paging, the job filter,
+// the counts that come with each page and skipped runs not yet folded in.
+
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { getStore } from "@netlify/blobs";
+import { startTestEnv } from "./harness/env.js";
+import { appendRunRecord, appendSkippedRunRecord } from "../netlify/functions/_lib/run-ledger.js";
+
+let env;
+
+before(async () => {
+  env = await startTestEnv();
+});
+
+after(() => env.close());
+
+beforeEach(() => env.reset());
+
+const at = (minute) => new Date(Date.UTC(2026, 0, 1, 0, minute)).toISOString();
+
+function record(minute, jobs, result = "SUCCESS") {
+  return {
+    run_id: at(minute),
+    trigger: "scheduled",
+    result,
+    jobs: jobs.map((job) => ({ job, updated: result === "SUCCESS", data_period: null, duration_ms: 10 }))
+  };
+}
+
+async function ledger(query = "") {
+  const res = await env.site.fetch(`/api/updater_runs.json${query}`);
+  return { status: res.status, body: await res.json() };
+}
+
+const ids = (body) => body.runs.map((r) => r.run_id);
+
+test("runs page newest first and next_before walks back through the rest", async () => {
+  const store = getStore("system");
+  for (let m = 1; m <= 5; m++) await appendRunRecord(store, record(m, ["eia_heating_fuels"]));
+
+  const first = await ledger("?limit=2");
+  assert.equal(first.status, 200);
+  assert.deepEqual(ids(first.body), [at(5), at(4)]);
+  assert.equal(first.body.next_before, at(4));
+  assert.equal(first.body.total, 5);
+
+  const second = await ledger(`?limit=2&before=${encodeURIComponent(first.body.next_before)}`);
+  assert.deepEqual(ids(second.body), [at(3), at(2)]);
+  assert.equal(second.body.total, 3);
+
+  const last = await ledger(`?limit=2&before=${encodeURIComponent(second.body.next_before)}`);
+  assert.deepEqual(ids(last.body), [at(1)]);
+  assert.equal(last.body.next_before, null);
+  assert.equal(last.body.total, 1);
+});
+
+test("the job filter narrows each run to that job, drops runs without it and counts only what matches", async () => {
+  const store = getStore("system");
+  await appendRunRecord(store, record(1, ["eia_heating_fuels"]));
+  await appendRunRecord(store, record(2, ["eia_transportation_fuels"]));
+  await appendRunRecord(store, record(3, ["eia_heating_fuels", "eia_transportation_fuels"]));
+  await appendRunRecord(store, record(4, ["eia_transportation_fuels"]));
+
+  const heating = await ledger("?job=eia_heating_fuels&limit=1");
+  assert.deepEqual(ids(heating.body), [at(3)]);
+  assert.deepEqual(heating.body.runs[0].jobs.map((j) => j.job), ["eia_heating_fuels"]);
+  assert.equal(heating.body.total, 2);
+  assert.equal(heating.body.next_before, at(3));
+
+  const rest = await ledger(`?job=eia_heating_fuels&before=${encodeURIComponent(heating.body.next_before)}`);
+  assert.deepEqual(ids(rest.body), [at(1)]);
+  assert.equal(rest.body.total, 1);
+
+  const none = await ledger("?job=eia_nope");
+  assert.deepEqual(none.body.runs, []);
+  assert.equal(none.body.total, 0);
+});
+
+test("skipped runs show up in place before the next lock holder folds them in", async () => {
+  const store = getStore("system");
+  await appendRunRecord(store, record(1, ["eia_heating_fuels"]));
+  await appendSkippedRunRecord(store, record(2, ["eia_heating_fuels"], "SKIPPED"));
+  await appendRunRecord(store, record(3, ["eia_heating_fuels"]));
+  await appendSkippedRunRecord(store, record(4, ["eia_heating_fuels"], "SKIPPED"));
+
+  const { body } = await ledger();
+  assert.deepEqual(body.runs.map((r) => r.result), ["SKIPPED", "SUCCESS", "SKIPPED", "SUCCESS"]);
+  assert.equal(body.total, 4);
+});
+
+test("real runs are recorded with their jobs and durations", async () => {
+  await env.site.invoke("update-data");
+
+  const { body } = await ledger("?job=eia_heating_fuels");
+  assert.equal(body.runs.length, 1);
+  assert.equal(body.runs[0].trigger, "scheduled");
+  assert.equal(body.runs[0].result, "SUCCESS");
+  assert.equal(body.runs[0].jobs[0].updated, true);
+  assert.ok(body.runs[0].jobs[0].duration_ms >= 0);
+});
+
+test("limits outside 1..100 are a 400", async () => {
+  for (const limit of ["0", "101", "ten"]) assert.equal((await ledger(`?limit=${limit}`)).status, 400, limit);
+});